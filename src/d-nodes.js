@@ -1,8 +1,11 @@
 const _ = require('lodash')
-const { decorate, observable, computed, runInAction, autorun, toJS } = require('mobx')
+const { decorate, observable, computed, runInAction, autorun, toJS, isObservableObject } = require('mobx')
 const { fromPromise } = require('mobx-utils')
 const { getValueAtPath, expandObject } = require('./object-path-utils')
-const transformFns = require('./transform-fns')
+const { NodeError, NoRowMatchedError } = require('./errors')
+const { serializeDecimals } = require('./decimal')
+const { checkSchema } = require('./schema')
+const { parseExpression, collectExpressionPaths, compileExpression, evaluateExpression } = require('./expression')
 
 
 /**
@@ -59,6 +62,38 @@ const getValueAtPathWithArraySupport = (obj, path) => {
 	return result
 }
 
+/**
+ * Like `Promise.all(items.map(fn))`, but with at most `limit` of the promises
+ * returned by `fn` pending at once. Once one rejects, no more are started.
+ *
+ * @param {Array} items
+ * @param {Number} [limit] Defaults to no limit.
+ * @param {Function} fn Called with each item and its index, returning a promise.
+ * @return {Promise<Array>}
+ */
+const mapWithConcurrency = (items, limit, fn) => {
+	if (!limit || limit >= items.length) {
+		return Promise.all(items.map(fn))
+	}
+	const results = new Array(items.length)
+	let next = 0
+	let hasFailed = false
+	const runNext = () => {
+		if (hasFailed || next >= items.length) {
+			return Promise.resolve()
+		}
+		const i = next++
+		return Promise.resolve(fn(items[i], i)).then((result) => {
+			results[i] = result
+			return runNext()
+		}, (error) => {
+			hasFailed = true
+			throw error
+		})
+	}
+	return Promise.all(_.times(limit, runNext)).then(() => results)
+}
+
 /**
  * Base class for DNodes. Construct with the graph in which the node
  * participates, and the node's definition.
@@ -101,11 +136,35 @@ valuePath
 			this.log(`No dNode with id '${nodeId}' found in in graph '${this.dGraph.name}' (value path '${valuePath}'). Requesting node: '${this.name}'.`)
 		}
 
-		let nodeValue = dNode.get ? dNode.get() : dNode.value
+		if (dNode.type === 'inputs') {
+			const inputError = dNode.getError(valuePath ? valuePath.split('.')[0] : undefined)
+			if (inputError) {
+				throw inputError
+			}
+		}
+
+		let nodeValue
+		try {
+			nodeValue = dNode.get ? dNode.get() : dNode.value
+		}
+		catch (error) {
+			// if the node we're reading failed, so does this one.
+			throw NodeError.wrap(error, this.dGraph.name, nodeId)
+		}
 
 		// note check for not being an array.
 		nodeValue = (nodeValue && nodeValue.get && !_.isArray(nodeValue)) ? nodeValue.get() : nodeValue
 
+		// only read (and so only depend on) the property we need of an observable
+		// object like the inputs, rather than every property via `toJS`.
+		if (valuePath && isObservableObject(nodeValue)) {
+			const [key, ...rest] = valuePath.split('.')
+			if (key !== '*') {
+				nodeValue = nodeValue[key]
+				valuePath = rest.length ? rest.join('.') : undefined
+			}
+		}
+
 		let result = !_.isUndefined(nodeValue) ? toJS(nodeValue) : undefined
 
 		if (!_.isUndefined(result) && !_.isUndefined(valuePath)) {
@@ -123,6 +182,11 @@ valuePath
 		return this.originalNodeDef.type
 	}
 
+	/**
+	 * Whether this node's value is included in the graph's state (see
+	 * `DGraph.getState`). Node types can override this to add their own rules,
+	 * generally and-ing them with `super.isVisibleInGraphState`.
+	 */
 	get isVisibleInGraphState() {
 		let result = true
 
@@ -133,6 +197,84 @@ valuePath
 		return result
 	}
 
+	/**
+	 * Convert this node's value to the plain form included in the graph's
+	 * state (see `DGraph.getState`). Decimals are converted according to the
+	 * graph's `decimalOutput` option. Node types whose values need special
+	 * treatment to be serializable can override this.
+	 *
+	 * @param {*} value The node's current value.
+	 * @param {String} [decimalOutput] Overrides the graph's `decimalOutput` option.
+	 */
+	serializeValue(value, decimalOutput = this.dGraph.options.decimalOutput) {
+		return serializeDecimals(toJS(value), decimalOutput)
+	}
+
+	/**
+	 * The paths this node's value is derived from, keyed by the name under
+	 * which the node uses each: param names for nodes whose path property has
+	 * subproperties (eg transform `params`), otherwise the property name (eg
+	 * `mirror`). Used to build provenance records; node types that read values
+	 * from elsewhere should override this.
+	 */
+	getProvenanceSources() {
+		const sources = {}
+		_.forOwn(this.constructor.getPathProps(), ({ hasSubproperties }, propName) => {
+			// path props will have been normalized to { name: path }
+			_.forOwn(this.constructor.getPathDef(this.originalNodeDef, propName), (path, key) => {
+				sources[hasSubproperties ? key : propName] = path
+			})
+		})
+		return sources
+	}
+
+	/**
+	 * Describe how this node arrived at its current value, for auditing. The
+	 * record is plain JSON:
+	 *
+	 * ```
+	 * {
+	 *   node: <node name>,
+	 *   type: <node type>,
+	 *   value: <serialized value>,
+	 *   args: <values this node received, by name>,
+	 *   sources: <paths those values came from, by the same names>,
+	 *   [error]: <message, if the node failed>,
+	 *   [comments]: <the node definition's comments>
+	 * }
+	 * ```
+	 *
+	 * Sources can be `#literal#` nodes, paths into subgraphs (`sub.node`) or
+	 * `inputs` paths. Subclasses add their own details to `super.getProvenance()`.
+	 */
+	getProvenance() {
+		const sources = this.getProvenanceSources()
+		const record = {
+			node: this.name,
+			type: this.type,
+			value: undefined,
+			args: _.mapValues(sources, (path) => {
+				try {
+					return toJS(this.getGraphValueAt(path))
+				}
+				catch (error) {
+					return undefined
+				}
+			}),
+			sources
+		}
+		try {
+			record.value = this.serializeValue(this.value)
+		}
+		catch (error) {
+			record.error = NodeError.wrap(error, this.dGraph.name, this.name).message
+		}
+		if (this.comments) {
+			record.comments = this.comments
+		}
+		return record
+	}
+
 	/**
 	 * Properties on the nodeDef that should be treated like paths
 	 * to values in the graph. Allows checking for the existence of
@@ -141,13 +283,73 @@ valuePath
 	 *
 	 * Return an object with keys that are property names and values
 	 * that describe how the property names should be handled/interpreted.
-	 * Currently the only such option is hasSubproperties, which is used
-	 * to help describe edge i/o. This is a wee messy.
+	 * Options are `hasSubproperties`, which is used to help describe edge
+	 * i/o (this is a wee messy), and `isRequired`, which is used by
+	 * `DGraph.validate` to flag node definitions missing the property.
 	 */
 	static getPathProps() {
 		return {}
 	}
 
+	/**
+	 * The path definition in `nodeDef` for `propName`, one of the path props
+	 * (see `getPathProps`): normally just `nodeDef[propName]`. Node types whose
+	 * paths are derived from other properties override this.
+	 */
+	static getPathDef(nodeDef, propName) {
+		return nodeDef[propName]
+	}
+
+	/**
+	 * The paths (from those `getPathDef` returns) that the node defined by
+	 * `nodeDef` might never read, so that `DGraph.run` needn't be passed the
+	 * inputs they name. Node types that read some of their paths only
+	 * conditionally override this.
+	 */
+	static getOptionalPaths() {
+		return []
+	}
+
+	/**
+	 * Check a node definition of this class without building it. Returns a
+	 * list of issues shaped `{ level, code, path, message }`, where `level` is
+	 * `error` or `warning` and `path` is the property path within the node
+	 * definition. See `validate.js` for the `context` argument.
+	 *
+	 * Subclasses with additional constraints should extend the result of
+	 * `super.validateNodeDef`.
+	 */
+	static validateNodeDef(nodeDef, context) {
+		const issues = []
+		const pathProps = this.getPathProps()
+		_.forOwn(pathProps, ({ isRequired }, propName) => {
+			const pathDef = this.getPathDef(nodeDef, propName)
+			if (_.isUndefined(pathDef) || _.isNull(pathDef)) {
+				if (isRequired) {
+					issues.push({
+						level: 'error',
+						code: 'missing-property',
+						path: propName,
+						message: `Required property \`${propName}\` is missing.`
+					})
+				}
+				return
+			}
+			const normalizedPaths = context.normalizePathDef(pathDef)
+			_.forOwn(normalizedPaths, (pathOrValue, key) => {
+				if (_.isString(pathOrValue) && !context.isNodePath(pathOrValue)) {
+					issues.push({
+						level: 'warning',
+						code: 'literal-string',
+						path: propName === key ? propName : `${propName}.${key}`,
+						message: `'${pathOrValue}' does not refer to a node in this graph and will be interpreted as a literal string.`
+					})
+				}
+			})
+		})
+		return issues
+	}
+
 }
 
 /**
@@ -177,6 +379,43 @@ class CommentsDNode extends DNode {
 	}
 }
 
+/**
+ * Declare the shapes of the graph's inputs and outputs as JSON Schemas (see
+ * `schema.js` for the supported subset). `DGraph.run` checks its inputs
+ * against `inputSchema` and the graph's state against `outputSchema`. Only a
+ * graph's first schema node counts, and its value is not part of the graph's
+ * state. Usage:
+ *
+ * { name: <node name>, type: "schema", inputSchema: <schema>, outputSchema: <schema> }
+ */
+class SchemaDNode extends DNode {
+	get value() {
+		return _.pick(this.originalNodeDef, ['inputSchema', 'outputSchema'])
+	}
+
+	get isVisibleInGraphState() {
+		return false
+	}
+
+	static validateNodeDef(nodeDef, context) {
+		const issues = super.validateNodeDef(nodeDef, context)
+		if (!nodeDef.inputSchema && !nodeDef.outputSchema) {
+			issues.push({
+				level: 'warning',
+				code: 'empty-schema',
+				message: 'Schema node declares neither `inputSchema` nor `outputSchema`.'
+			})
+		}
+		const schemaPropNames = ['inputSchema', 'outputSchema']
+		schemaPropNames.filter(propName => nodeDef[propName]).forEach((propName) => {
+			checkSchema(nodeDef[propName]).forEach(({ path, message }) => {
+				issues.push({ level: 'error', code: 'invalid-schema', path: path ? `${propName}.${path}` : propName, message })
+			})
+		})
+		return issues
+	}
+}
+
 /**
  * Provide an alias name for a path to a value. Usage:
  *
@@ -194,7 +433,7 @@ class AliasDNode extends DNode {
 	}
 
 	static getPathProps() {
-		return { mirror: {} }
+		return { mirror: { isRequired: true } }
 	}
 }
 
@@ -219,6 +458,10 @@ class EchoDNode extends DNode {
 		return this.getGraphValueAt(`inputs.${this.inputName}`)
 	}
 
+	getProvenanceSources() {
+		return { inputName: `inputs.${this.inputName}` }
+	}
+
 	static getPathProps() {
 		return { inputName: {} }
 	}
@@ -272,8 +515,8 @@ class DereferenceDNode extends DNode {
 
 	static getPathProps() {
 		return {
-			objectPath: {},
-			propNamePath: {}
+			objectPath: { isRequired: true },
+			propNamePath: { isRequired: true }
 		}
 		// return ['objectPath', 'propNamePath']
 	}
@@ -281,6 +524,23 @@ class DereferenceDNode extends DNode {
 
 decorate(DereferenceDNode, { value: computed })
 
+/**
+ * Warn about the string operands of ordering operators in `where` (see
+ * `matchesWhere` in `transform-fns.js`), at `path` in a node definition, that
+ * name nodes or inputs: a `where` is a literal, so they're compared as strings.
+ */
+const findPathLikeOperands = (where, path, context) => _.flatMap(_.isPlainObject(where) ? where : {}, (condition, key) => {
+	if (['gt', 'gte', 'lt', 'lte'].includes(key) && _.isString(condition) && context.isNodePath(condition)) {
+		return [{
+			level: 'warning',
+			code: 'literal-where-operand',
+			path: `${path}.${key}`,
+			message: `'${condition}' names a node or input, but \`where\` is a literal, so it will be compared as a string.`
+		}]
+	}
+	return findPathLikeOperands(condition, `${path}.${key}`, context)
+})
+
 /**
  * Take the values of n input nodes and output a value based on
  * one of several predefined functions.
@@ -300,7 +560,7 @@ decorate(DereferenceDNode, { value: computed })
 class TransformDNode extends DNode {
 	constructor(dGraph, nodeDef) {
 		super(dGraph, nodeDef)
-		this.fn = transformFns[nodeDef.fn]
+		this.fn = dGraph.transforms.get(nodeDef.fn)
 		if (!_.isFunction(this.fn)) {
 			throw new Error(`No transform function '${nodeDef.fn}' is defined.`)
 		}
@@ -320,19 +580,193 @@ class TransformDNode extends DNode {
 		// 	console.log('nonDayrateDiscounts', args, undefinedArgs)
 		// }
 
-		return this.undefinedDependencies.length === 0 ? this.fn(args) : undefined
+		return this.undefinedDependencies.length === 0 ? this.fn(args, this.dGraph.transforms) : undefined
+	}
+
+	getProvenance() {
+		return {
+			...super.getProvenance(),
+			fn: this.originalNodeDef.fn
+		}
 	}
 
 	static getPathProps() {
 		return {
-			params: { hasSubproperties: true }
+			params: { hasSubproperties: true, isRequired: true }
 		}
 		// return ['params']
 	}
+
+	static validateNodeDef(nodeDef, context) {
+		let issues = super.validateNodeDef(nodeDef, context)
+		if (!_.isFunction(context.transforms.get(nodeDef.fn))) {
+			issues.push({
+				level: 'error',
+				code: 'unknown-fn',
+				path: 'fn',
+				message: `No transform function '${nodeDef.fn}' is defined.`
+			})
+			return issues
+		}
+
+		// if the transform declares its params, check them.
+		const { params: paramsMeta, otherParams } = context.transforms.getMeta(nodeDef.fn)
+		if (paramsMeta && _.isPlainObject(nodeDef.params)) {
+			// params declared as strings are expected to be literals.
+			issues = issues.filter(({ code, path }) => !(code === 'literal-string' && _.get(paramsMeta, [path.replace(/^params\./, ''), 'type']) === 'string'))
+			_.forOwn(paramsMeta, (paramMeta, paramName) => {
+				if (!paramMeta.isOptional && !_.has(nodeDef.params, paramName)) {
+					issues.push({
+						level: 'error',
+						code: 'missing-param',
+						path: `params.${paramName}`,
+						message: `Transform '${nodeDef.fn}' expects a param named '${paramName}'.`
+					})
+				}
+			})
+			_.forOwn(paramsMeta, (paramMeta, paramName) => {
+				if (paramMeta.isPredicate) {
+					issues = issues.concat(findPathLikeOperands(_.get(nodeDef.params, paramName), `params.${paramName}`, context))
+				}
+			})
+			_.keys(nodeDef.params).filter(paramName => !otherParams && !_.has(paramsMeta, paramName)).forEach((paramName) => {
+				issues.push({
+					level: 'warning',
+					code: 'unknown-param',
+					path: `params.${paramName}`,
+					message: `Transform '${nodeDef.fn}' does not declare a param named '${paramName}'.`
+				})
+			})
+		}
+		return issues
+	}
 }
 
 decorate(TransformDNode, { value: computed })
 
+/**
+ * Throw if any of `dNode`'s formula paths (see `expression.js`), normalized
+ * as `pathSrcs`, isn't a node: preprocessing will have made it a literal.
+ */
+const assertFormulaPathsAreNodes = (dNode, pathSrcs) => {
+	const unknownPaths = _.keys(pathSrcs).filter(path => pathSrcs[path].startsWith('#literal#'))
+	if (unknownPaths.length) {
+		throw new Error(`${_.upperFirst(dNode.type)} node ${dNode.name} refers to ${unknownPaths.map(path => `'${path}'`).join(', ')}, which ${unknownPaths.length > 1 ? 'are not nodes' : 'is not a node'} in graph '${dNode.dGraph.name}'.`)
+	}
+}
+
+/**
+ * Report the `literal-string` issues of a node whose path props hold formula
+ * paths (see `expression.js`) as errors: in a formula, a path that isn't a
+ * node is a mistake. `locate(path)` gives the locations of the formulas
+ * containing `path`, as issue paths.
+ */
+const reportUnknownFormulaPaths = (issues, locate) => _.flatMap(issues, (issue) => {
+	if (issue.code !== 'literal-string') {
+		return [issue]
+	}
+	const formulaPath = issue.path.replace(/^paths\./, '')
+	return locate(formulaPath).map(location => ({
+		level: 'error',
+		code: 'unknown-path',
+		path: location,
+		message: `'${formulaPath}' in the formula does not refer to a node in this graph.`
+	}))
+})
+
+/**
+ * Computes a formula over other values in the graph (see `expression.js` for
+ * the syntax).
+ *
+ * Usage:
+ *
+ * {
+ *   name: <node name>,
+ *   type: "expression",
+ *   expr: "round(subtotal * (1 + inputs.taxRate), 2)"
+ * }
+ *
+ * The paths in the formula are the node's dependencies, just like a transform
+ * node's `params`, and its operators and calls are calls to the graph's
+ * transforms, so the result is the same as that of the equivalent chain of
+ * transform nodes.
+ */
+class ExpressionDNode extends DNode {
+	constructor(dGraph, nodeDef) {
+		super(dGraph, nodeDef)
+		this.compiledExpr = compileExpression(parseExpression(nodeDef.expr), dGraph.transforms)
+
+		this.pathSrcs = dGraph.normalizePathDef(ExpressionDNode.getPathDef(nodeDef, 'paths'))
+		assertFormulaPathsAreNodes(this, this.pathSrcs)
+	}
+
+	get value() {
+		const args = _.mapValues(this.pathSrcs, srcPath => this.getGraphValueAt(srcPath))
+		this.undefinedDependencies = this.dGraph.getUndefinedPaths(args)
+		if (this.undefinedDependencies.length) {
+			return undefined
+		}
+		return evaluateExpression(this.compiledExpr, path => args[path], this.dGraph.transforms)
+	}
+
+	getProvenance() {
+		return {
+			...super.getProvenance(),
+			expr: this.originalNodeDef.expr
+		}
+	}
+
+	static getPathProps() {
+		return {
+			paths: { hasSubproperties: true }
+		}
+	}
+
+	/**
+	 * The `paths` are those read by the `expr`, keyed by themselves, unless
+	 * preprocessing has already filled them in.
+	 */
+	static getPathDef(nodeDef, propName) {
+		if (propName === 'paths' && !nodeDef.paths) {
+			try {
+				return collectExpressionPaths(parseExpression(nodeDef.expr))
+			}
+			catch (error) {
+				// reported by `validateNodeDef`.
+				return undefined
+			}
+		}
+		return super.getPathDef(nodeDef, propName)
+	}
+
+	static validateNodeDef(nodeDef, context) {
+		const issues = reportUnknownFormulaPaths(super.validateNodeDef(nodeDef, context), () => ['expr'])
+		if (_.isUndefined(nodeDef.expr)) {
+			issues.push({
+				level: 'error',
+				code: 'missing-property',
+				path: 'expr',
+				message: 'Required property `expr` is missing.'
+			})
+			return issues
+		}
+		try {
+			compileExpression(parseExpression(nodeDef.expr), context.transforms)
+		}
+		catch (error) {
+			issues.push({
+				level: 'error',
+				code: 'invalid-expression',
+				path: 'expr',
+				message: error.message
+			})
+		}
+		return issues
+	}
+}
+
+decorate(ExpressionDNode, { value: computed })
+
 /**
  * Used internally to automatically create an `inputs` node.
  */
@@ -340,6 +774,7 @@ class InputsDNode extends DNode {
 	constructor(dGraph, nodeDef) {
 		super(dGraph, nodeDef)
 		this._value = observable.object({})
+		this._errors = observable.map({})
 	}
 
 	get value() {
@@ -349,8 +784,35 @@ class InputsDNode extends DNode {
 	setValue(key, value) {
 		runInAction(() => {
 			this._value[key] = value
+			this._errors.delete(key)
+		})
+	}
+
+	/**
+	 * Record that the input named `key` failed (ie, its promise rejected).
+	 * Nodes depending on it will fail with a `NodeError` naming the input.
+	 */
+	setError(key, error) {
+		runInAction(() => {
+			this._errors.set(key, new NodeError({
+				graphName: this.dGraph.name,
+				nodeName: this.name,
+				inputName: key,
+				cause: error
+			}))
 		})
 	}
+
+	/**
+	 * The error for the input named `key`, if it failed. If `key` is undefined,
+	 * the first error for any input.
+	 */
+	getError(key) {
+		if (_.isUndefined(key)) {
+			return this._errors.size ? Array.from(this._errors.values())[0] : undefined
+		}
+		return this._errors.get(key)
+	}
 }
 
 decorate(InputsDNode, { value: computed })
@@ -397,17 +859,13 @@ class BranchDNode extends DNode {
 	}
 
 	_switch(test, cases, values) {
+		// the first matching case wins; the default only applies if none match.
+		const matchIdx = cases.findIndex(_case => test === _case)
+		if (matchIdx !== -1) {
+			return values[matchIdx]
+		}
 		const defaultIdx = cases.indexOf('_default_')
-		let result
-		_.forEach(cases, (_case, i) => {
-			if (test === _case) {
-				result = values[i]
-			}
-			else if (defaultIdx !== -1) {
-				result = values[defaultIdx]
-			}
-		})
-		return result
+		return defaultIdx !== -1 ? values[defaultIdx] : undefined
 	}
 
 	get value() {
@@ -426,11 +884,59 @@ class BranchDNode extends DNode {
 		return result
 	}
 
+	/**
+	 * The test, plus the node whose value was taken once the test resolved.
+	 */
+	getProvenanceSources() {
+		const testValuePath = this.testValuePath[_.keys(this.testValuePath)[0]]
+		const sources = { test: testValuePath }
+		const testValue = this.getGraphValueAt(testValuePath)
+		if (!_.isUndefined(testValue)) {
+			const branchedNodeName = this._switch(testValue, this.cases, _.keys(this.nodeNames))
+			if (branchedNodeName) {
+				sources.branch = branchedNodeName
+			}
+		}
+		return sources
+	}
+
+	getProvenance() {
+		const record = super.getProvenance()
+		if (record.sources.branch) {
+			record.case = this.cases[_.keys(this.nodeNames).indexOf(record.sources.branch)]
+		}
+		return record
+	}
+
 	static getPathProps() {
 		return {
-			test: {},
-			nodeNames: {}
+			test: { isRequired: true },
+			nodeNames: { isRequired: true }
+		}
+	}
+
+	static validateNodeDef(nodeDef, context) {
+		const issues = super.validateNodeDef(nodeDef, context)
+		if (!_.isArray(nodeDef.cases)) {
+			issues.push({
+				level: 'error',
+				code: 'missing-property',
+				path: 'cases',
+				message: 'Required property `cases` must be an array.'
+			})
+		}
+		else if (nodeDef.nodeNames) {
+			const nNodeNames = _.keys(context.normalizePathDef(nodeDef.nodeNames)).length
+			if (nodeDef.cases.length !== nNodeNames) {
+				issues.push({
+					level: 'error',
+					code: 'branch-length-mismatch',
+					path: 'nodeNames',
+					message: `Branch has ${nodeDef.cases.length} cases but ${nNodeNames} node names.`
+				})
+			}
 		}
+		return issues
 	}
 }
 
@@ -438,81 +944,523 @@ decorate(BranchDNode, {
 	value: computed
 })
 
-
-let DGraph
-
 /**
- * Create a subgraph node. The value of this node can depend on some of its
- * supergraph's nodes and its supergraph's nodes can depend on the value
- * of this node. Just be sure those are two separate sets of nodes: circular
- * dependencies will prevent the graph from ever fulfilling.
- *
- * You can supply explicit inputs with an `inputs` property. Otherwise, the
- * subgraph will attempt to find its required inputs automatically
- * from its supergraph's nodes OR, barring that, from properties on its
- * supergraph's `inputs` node.
- *
- * Usage:
+ * Takes the first of several cases that holds, like `if ... else if ...`.
+ * Each case's `when` and `then` are formulas (see `expression.js`), so paths
+ * or expressions, or plain literal values:
  *
  * {
  *   name: <node name>,
- *   type: "graph",
- *   graphDef: <graph definition, aka an array of node definitions>
- *   [inputs]: <inputs definition (optional)>
+ *   type: "cond",
+ *   cases: [
+ *     { when: "inputs.mileage > 500", then: "longHaulRate" },
+ *     { when: "isHoliday", then: "baseRate * 1.5" }
+ *   ],
+ *   default: "baseRate"
  * }
  *
+ * Cases are tried in order, and evaluation is lazy: the node only reads the
+ * values it needs, so it resolves once the `when`s up to the one that holds
+ * and that case's `then` have, whatever the state of later cases. If no case
+ * holds, the node takes its `default`, or fails if it has none.
  */
-class GraphDNode extends DNode {
+class CondDNode extends DNode {
 	constructor(dGraph, nodeDef) {
 		super(dGraph, nodeDef)
-		if (!DGraph) {
-			DGraph = require('./index') // eslint-disable-line global-require
-		}
+		const compile = formula => (_.isString(formula) ? compileExpression(parseExpression(formula), dGraph.transforms) : { value: formula })
+		this.compiledCases = nodeDef.cases.map(({ when, then }) => ({ when: compile(when), then: compile(then) }))
+		this.compiledDefault = _.has(nodeDef, 'default') ? compile(nodeDef.default) : null
+		this.pathSrcs = dGraph.normalizePathDef(CondDNode.getPathDef(nodeDef, 'paths'))
+		assertFormulaPathsAreNodes(this, this.pathSrcs)
+	}
 
-		this.collectionMode = nodeDef.collectionMode
+	/**
+	 * Evaluate a compiled formula, adding the paths it reads to `reads.paths`
+	 * and those that are undefined to `reads.undefinedPaths`.
+	 */
+	_evaluate(term, reads) {
+		return evaluateExpression(term, (path) => {
+			const value = this.getGraphValueAt(this.pathSrcs[path])
+			reads.paths.push(path)
+			if (_.isUndefined(value)) {
+				this._assertInputPassed(this.pathSrcs[path])
+				reads.undefinedPaths.push(path)
+			}
+			return value
+		}, this.dGraph.transforms)
+	}
 
-		if (nodeDef.isTemplate) {
-			this._value = `Template Node ${this.name}`
-			this.isTemplate = true
+	/**
+	 * Inputs read by later cases needn't be passed (see `getOptionalPaths`),
+	 * so fail, rather than wait forever, if a case that's taken reads one that
+	 * wasn't.
+	 */
+	_assertInputPassed(src) {
+		if (!_.isString(src) || !src.startsWith('inputs.')) {
+			return
 		}
-		else {
-			// support copying another graph node's graphDef.
-			if (_.isString(nodeDef.graphDef)) {
-				this.dGraph.isConstructed.then(() => {
+		const inputName = src.split('.')[1]
+		if (!_.has(this.dGraph._latestInputs, inputName)) {
+			throw new Error(`Cond node ${this.name} reads input '${inputName}', which was not passed to graph ${this.dGraph.name}.`)
+		}
+	}
 
-					// search up the tree.
-					const templateDNode = this.dGraph.getDNode(nodeDef.graphDef, true)
-					if (!templateDNode) {
-						throw new Error(`Subgraph node ${this.name} cannot find graphDef template at path ${nodeDef.graphDef}.`)
-					}
-					this.buildWithGraphDef(nodeDef, templateDNode.originalNodeDef.graphDef)
-				})
+	/**
+	 * The index of the first case that holds (`cases.length` if none do, for
+	 * the default), or undefined while the `when`s up to it are unresolved.
+	 */
+	_selectCase(reads) {
+		for (let i = 0; i < this.compiledCases.length; i++) {
+			const holds = this._evaluate(this.compiledCases[i].when, reads)
+			if (_.isUndefined(holds)) {
+				return undefined
 			}
-			else {
-				this.buildWithGraphDef(nodeDef, nodeDef.graphDef)
+			if (holds) {
+				return i
 			}
 		}
+		return this.compiledCases.length
 	}
 
-	buildWithGraphDef(nodeDef, graphDef) {
-		if (nodeDef.inputs) {
-			const explicitInputs = this.dGraph.normalizePathDef(nodeDef.inputs)
-			this.hasExplicitInputs = true
-			this.inputSrcs = _.mapValues(explicitInputs, this.srcFromPath)
+	/**
+	 * The compiled `then` of case `caseIdx`, or the default.
+	 */
+	_getThen(caseIdx) {
+		if (caseIdx < this.compiledCases.length) {
+			return this.compiledCases[caseIdx].then
 		}
-		else {
-			const expectedInputPaths = DGraph.collectExpectedInputPaths(graphDef)
-			const paths = this.dGraph.normalizePathDef(expectedInputPaths)
-			this.inputSrcs = _.mapValues(paths, this.srcFromPath)
+		if (!this.compiledDefault) {
+			throw new Error(`No case of cond node ${this.name} holds, and it has no \`default\`.`)
 		}
+		return this.compiledDefault
+	}
+
+	get value() {
+		const reads = { paths: [], undefinedPaths: [] }
+		const caseIdx = this._selectCase(reads)
+		const value = _.isUndefined(caseIdx) ? undefined : this._evaluate(this._getThen(caseIdx), reads)
+		this.undefinedDependencies = _.uniq(reads.undefinedPaths)
+		return value
+	}
+
+	/**
+	 * The paths read to select the case taken and compute its value.
+	 */
+	getProvenanceSources() {
+		const reads = { paths: [], undefinedPaths: [] }
+		const caseIdx = this._selectCase(reads)
+		if (!_.isUndefined(caseIdx) && (caseIdx < this.compiledCases.length || this.compiledDefault)) {
+			this._evaluate(this._getThen(caseIdx), reads)
+		}
+		const paths = _.uniq(reads.paths)
+		return _.zipObject(paths, paths.map(path => this.pathSrcs[path]))
+	}
+
+	/**
+	 * Adds the `case` taken (its index, or `default`) and its `when` and
+	 * `then`, once the node has selected one.
+	 */
+	getProvenance() {
+		const record = super.getProvenance()
+		const caseIdx = this._selectCase({ paths: [], undefinedPaths: [] })
+		const { cases } = this.originalNodeDef
+		if (caseIdx < cases.length) {
+			_.assign(record, { case: caseIdx, when: cases[caseIdx].when, then: cases[caseIdx].then })
+		}
+		else if (!_.isUndefined(caseIdx) && _.has(this.originalNodeDef, 'default')) {
+			_.assign(record, { case: 'default', then: this.originalNodeDef.default })
+		}
+		return record
+	}
+
+	static getPathProps() {
+		return {
+			paths: { hasSubproperties: true }
+		}
+	}
+
+	/**
+	 * The `paths` are those read by all the cases' formulas, unless
+	 * preprocessing has already filled them in.
+	 */
+	static getPathDef(nodeDef, propName) {
+		if (propName === 'paths' && !nodeDef.paths) {
+			const formulas = _.map(CondDNode.locateFormulas(nodeDef), 'formula')
+			try {
+				return _.uniq(_.flatMap(formulas, formula => collectExpressionPaths(parseExpression(formula))))
+			}
+			catch (error) {
+				// reported by `validateNodeDef`.
+				return undefined
+			}
+		}
+		return super.getPathDef(nodeDef, propName)
+	}
+
+	/**
+	 * Only the first case's `when` is always read: the paths in the rest of
+	 * the formulas are read only if an earlier case does or doesn't hold.
+	 */
+	static getOptionalPaths(nodeDef) {
+		const readPaths = formula => (_.isString(formula) ? collectExpressionPaths(parseExpression(formula)) : [])
+		try {
+			const alwaysRead = readPaths(_.get(nodeDef, 'cases.0.when'))
+			return _.difference(_.flatMap(CondDNode.locateFormulas(nodeDef), ({ formula }) => readPaths(formula)), alwaysRead)
+		}
+		catch (error) {
+			// reported by `validateNodeDef`.
+			return []
+		}
+	}
+
+	/**
+	 * The formulas (strings, as opposed to literal values) in `nodeDef`, as
+	 * `{ path, formula }`, where `path` locates the formula in `nodeDef`.
+	 */
+	static locateFormulas(nodeDef) {
+		const locations = _.flatMap(_.isArray(nodeDef.cases) ? nodeDef.cases : [], (_case, i) => ['when', 'then'].map(key => ({
+			path: `cases.${i}.${key}`,
+			formula: _.get(_case, key)
+		})))
+		return locations.concat([{ path: 'default', formula: nodeDef.default }]).filter(({ formula }) => _.isString(formula))
+	}
+
+	static validateNodeDef(nodeDef, context) {
+		const locations = CondDNode.locateFormulas(nodeDef)
+		const locate = path => locations.filter(({ formula }) => {
+			try {
+				return collectExpressionPaths(parseExpression(formula)).includes(path)
+			}
+			catch (error) {
+				return false
+			}
+		}).map(location => location.path)
+		const issues = reportUnknownFormulaPaths(super.validateNodeDef(nodeDef, context), locate)
+		if (!_.isArray(nodeDef.cases) || !nodeDef.cases.length) {
+			issues.push({
+				level: 'error',
+				code: 'missing-property',
+				path: 'cases',
+				message: 'Required property `cases` must be a non-empty array.'
+			})
+			return issues
+		}
+		nodeDef.cases.forEach((_case, i) => {
+			['when', 'then'].filter(key => !_.has(_case, key)).forEach((key) => {
+				issues.push({
+					level: 'error',
+					code: 'missing-property',
+					path: `cases.${i}.${key}`,
+					message: `Case ${i} must have a \`${key}\`.`
+				})
+			})
+		})
+		locations.forEach(({ path, formula }) => {
+			try {
+				compileExpression(parseExpression(formula), context.transforms)
+			}
+			catch (error) {
+				issues.push({
+					level: 'error',
+					code: 'invalid-expression',
+					path,
+					message: error.message
+				})
+			}
+		})
+		return issues
+	}
+}
+
+decorate(CondDNode, { value: computed })
+
+/**
+ * Looks a value up in a table of rows, like a rate card or a tax table:
+ *
+ * {
+ *   name: <node name>,
+ *   type: "table",
+ *   rows: <array of row objects, or a path to one>,
+ *   keys: { <column>: <path or value>, ... },
+ *   range: { key: <path or value>, min: <column>, max: <column> },
+ *   column: <column>,
+ *   interpolate: "linear"
+ * }
+ *
+ * A row matches when each of its `keys` columns equals the value given for
+ * it and, with a `range`, its `min` column is at most the `key` and its `max`
+ * column is above it. A row with no `min` or `max` value is open-ended. Given
+ * only `min`, the rows are brackets, and the one with the greatest `min` not
+ * above the key matches (and likewise for only `max`). Otherwise the first
+ * matching row wins.
+ *
+ * The node resolves to the matched row's `column` (null if the row lacks
+ * it), or the whole row if there's no `column`. With `interpolate: "linear"`
+ * (brackets only), the `column` is interpolated between the matched row and
+ * the next bracket up. If no row matches, the node fails with a
+ * `NoRowMatchedError`.
+ */
+class TableDNode extends DNode {
+	constructor(dGraph, nodeDef) {
+		super(dGraph, nodeDef)
+		// normalization will have made these { name: path } pairs.
+		this.rows = _.isArray(nodeDef.rows) ? nodeDef.rows : undefined
+		this.rowsSrcPath = this.rows ? undefined : _.values(nodeDef.rows)[0]
+		this.keySrcPaths = nodeDef.keys || {}
+		this.rangeKeySrcPath = _.values(nodeDef.rangeKey)[0]
+		this.range = nodeDef.range
+		this.column = nodeDef.column
+		this.interpolate = nodeDef.interpolate
+	}
+
+	_callTransform(fn, params) {
+		return this.dGraph.transforms.get(fn)(params)
+	}
+
+	/**
+	 * The row with the greatest (`greatest`) or least value in `column`. Rows
+	 * without one are open-ended, so they lose to any row with one.
+	 */
+	_findBracket(rows, column, greatest) {
+		const isBetter = (row, best) => {
+			if (_.isNil(row[column])) {
+				return false
+			}
+			return _.isNil(best[column]) || this._callTransform(greatest ? 'gt' : 'lt', { a: row[column], b: best[column] })
+		}
+		return rows.reduce((best, row) => (!best || isBetter(row, best) ? row : best), null)
+	}
+
+	_isInRange(row, rangeKey) {
+		const { min, max } = this.range
+		return (!min || _.isNil(row[min]) || this._callTransform('lte', { a: row[min], b: rangeKey }))
+			&& (!max || _.isNil(row[max]) || this._callTransform('lt', { a: rangeKey, b: row[max] }))
+	}
+
+	/**
+	 * Interpolate `column` at `rangeKey` between the bracket `lower` and the
+	 * next bracket up among `rows`, if there is one.
+	 */
+	_interpolate(rows, lower, rangeKey) {
+		const { column, range: { min } } = this
+		const isAbove = row => !_.isNil(row[min]) && this._callTransform('gt', { a: row[min], b: rangeKey })
+		const upper = this._findBracket(rows.filter(isAbove), min, false)
+		if (!upper || _.isNil(lower[min]) || _.isNil(lower[column]) || _.isNil(upper[column])) {
+			return _.isUndefined(lower[column]) ? null : lower[column]
+		}
+		const call = (fn, params) => this._callTransform(fn, params)
+		const fraction = call('div', { num: call('sub', { a: rangeKey, b: lower[min] }), dem: call('sub', { a: upper[min], b: lower[min] }) })
+		return call('add', { a: lower[column], b: call('mult', { amt: call('sub', { a: upper[column], b: lower[column] }), factor: fraction }) })
+	}
+
+	/**
+	 * Find the matching row, returning `{ rowIdx, value }`, or undefined until
+	 * the rows and the values looked up have resolved.
+	 */
+	_lookUp() {
+		const { range, column, interpolate } = this
+		const rows = this.rowsSrcPath ? this.getGraphValueAt(this.rowsSrcPath) : this.rows
+		const keyValues = _.mapValues(this.keySrcPaths, path => this.getGraphValueAt(path))
+		const rangeKey = this.rangeKeySrcPath ? this.getGraphValueAt(this.rangeKeySrcPath) : null
+		const paths = { rows: this.rowsSrcPath, rangeKey: this.rangeKeySrcPath, ...this.keySrcPaths }
+		const values = { rows, rangeKey, ...keyValues }
+		this.undefinedDependencies = _.keys(paths).filter(key => paths[key] && _.isUndefined(values[key])).map(key => paths[key])
+		if (this.undefinedDependencies.length) {
+			return undefined
+		}
+		if (!_.isArray(rows)) {
+			throw new Error(`Table node ${this.name} expects its rows to be an array, not ${JSON.stringify(rows)}.`)
+		}
+
+		let matches = rows.filter(row => _.every(keyValues, (value, key) => _.isEqual(row[key], value)))
+		const candidates = matches
+		if (range) {
+			matches = matches.filter(row => this._isInRange(row, rangeKey))
+			if (range.min && !range.max) {
+				matches = _.compact([this._findBracket(matches, range.min, true)])
+			}
+			else if (range.max && !range.min) {
+				matches = _.compact([this._findBracket(matches, range.max, false)])
+			}
+		}
+		if (!matches.length) {
+			const conditions = _.map(keyValues, (value, key) => `${key} = ${JSON.stringify(value)}`)
+			if (range) {
+				conditions.push(_.compact([range.min && `${range.min} <=`, JSON.stringify(rangeKey), range.max && `< ${range.max}`]).join(' '))
+			}
+			throw new NoRowMatchedError(this.dGraph.name, this.name, conditions)
+		}
+
+		const row = matches[0]
+		let value = row
+		if (interpolate === 'linear') {
+			value = this._interpolate(candidates, row, rangeKey)
+		}
+		else if (column) {
+			value = _.isUndefined(row[column]) ? null : row[column]
+		}
+		return { rowIdx: rows.indexOf(row), value }
+	}
+
+	get value() {
+		const result = this._lookUp()
+		return result ? result.value : undefined
+	}
+
+	/**
+	 * Adds the index of the matched `row`, once there is one.
+	 */
+	getProvenance() {
+		const record = super.getProvenance()
+		try {
+			const result = this._lookUp()
+			if (result) {
+				record.row = result.rowIdx
+			}
+		}
+		catch (error) {
+			// the error is already on the record.
+		}
+		return record
+	}
+
+	static getPathProps() {
+		return {
+			rows: {},
+			keys: { hasSubproperties: true },
+			rangeKey: {}
+		}
+	}
+
+	/**
+	 * `rows` is only a path if it isn't the rows themselves, and `rangeKey` is
+	 * derived from `range.key`, unless preprocessing has already filled it in.
+	 */
+	static getPathDef(nodeDef, propName) {
+		if (propName === 'rows' && _.isArray(nodeDef.rows)) {
+			return undefined
+		}
+		if (propName === 'rangeKey' && !nodeDef.rangeKey) {
+			return _.has(nodeDef, 'range.key') ? { key: nodeDef.range.key } : undefined
+		}
+		return super.getPathDef(nodeDef, propName)
+	}
+
+	static validateNodeDef(nodeDef, context) {
+		const issues = super.validateNodeDef(nodeDef, context)
+		const { rows, range, column, interpolate } = nodeDef
+		const addIssue = (level, code, path, message) => issues.push({ level, code, path, message })
+		if (_.isUndefined(rows) || _.isNull(rows)) {
+			addIssue('error', 'missing-property', 'rows', 'Required property `rows` must be an array of rows or a path to one.')
+		}
+		else if (_.isArray(rows) && !rows.every(_.isPlainObject)) {
+			addIssue('error', 'invalid-rows', 'rows', 'Each of the `rows` must be an object.')
+		}
+		if (range && (!_.has(range, 'key') || (!range.min && !range.max))) {
+			addIssue('error', 'invalid-range', 'range', '`range` needs a `key` and a `min` or `max` column, or both.')
+		}
+		if (!_.isUndefined(interpolate)) {
+			if (interpolate !== 'linear') {
+				addIssue('error', 'invalid-interpolate', 'interpolate', `Unknown interpolation '${interpolate}'; the only one is 'linear'.`)
+			}
+			else if (!column || !range || !range.min || range.max) {
+				addIssue('error', 'invalid-interpolate', 'interpolate', 'Interpolation needs a `column` and a `range` with a `min` column and no `max`.')
+			}
+		}
+		// columns that none of the rows have are likely misspelled.
+		if (_.isArray(rows) && rows.length && rows.every(_.isPlainObject)) {
+			const columns = _.uniq(_.flatMap(rows, _.keys))
+			const used = _.keys(nodeDef.keys).map(key => ({ path: `keys.${key}`, name: key }))
+				.concat(['min', 'max'].filter(bound => range && range[bound]).map(bound => ({ path: `range.${bound}`, name: range[bound] })))
+				.concat(column ? [{ path: 'column', name: column }] : [])
+			used.filter(({ name }) => !columns.includes(name)).forEach(({ path, name }) => {
+				addIssue('warning', 'unknown-column', path, `None of the rows has a column '${name}'.`)
+			})
+		}
+		return issues
+	}
+}
+
+decorate(TableDNode, { value: computed })
+
+
+let DGraph
+
+/**
+ * Create a subgraph node. The value of this node can depend on some of its
+ * supergraph's nodes and its supergraph's nodes can depend on the value
+ * of this node. Just be sure those are two separate sets of nodes: circular
+ * dependencies will prevent the graph from ever fulfilling (`DGraph.run` will
+ * reject with a `CycleError`).
+ *
+ * You can supply explicit inputs with an `inputs` property. Otherwise, the
+ * subgraph will attempt to find its required inputs automatically
+ * from its supergraph's nodes OR, barring that, from properties on its
+ * supergraph's `inputs` node.
+ *
+ * Usage:
+ *
+ * {
+ *   name: <node name>,
+ *   type: "graph",
+ *   graphDef: <graph definition, aka an array of node definitions>
+ *   [inputs]: <inputs definition (optional)>
+ * }
+ *
+ */
+class GraphDNode extends DNode {
+	constructor(dGraph, nodeDef) {
+		super(dGraph, nodeDef)
+		if (!DGraph) {
+			DGraph = require('./index') // eslint-disable-line global-require
+		}
+
+		this.collectionMode = nodeDef.collectionMode
+		this.error = null
+
+		if (nodeDef.isTemplate) {
+			this._value = `Template Node ${this.name}`
+			this.isTemplate = true
+		}
+		else {
+			// support copying another graph node's graphDef.
+			if (_.isString(nodeDef.graphDef)) {
+				this.dGraph.isConstructed.then(() => {
+
+					// search up the tree.
+					const templateDNode = this.dGraph.getDNode(nodeDef.graphDef, true)
+					if (!templateDNode) {
+						throw new Error(`Subgraph node ${this.name} cannot find graphDef template at path ${nodeDef.graphDef}.`)
+					}
+					this.buildWithGraphDef(nodeDef, templateDNode.originalNodeDef.graphDef)
+				})
+			}
+			else {
+				this.buildWithGraphDef(nodeDef, nodeDef.graphDef)
+			}
+		}
+	}
+
+	buildWithGraphDef(nodeDef, graphDef) {
+		if (nodeDef.inputs) {
+			const explicitInputs = this.dGraph.normalizePathDef(nodeDef.inputs)
+			this.hasExplicitInputs = true
+			this.inputSrcs = _.mapValues(explicitInputs, this.srcFromPath)
+		}
+		else {
+			const expectedInputPaths = DGraph.collectExpectedInputPaths(graphDef, false, this.dGraph.nodeTypes)
+			const paths = this.dGraph.normalizePathDef(expectedInputPaths)
+			this.inputSrcs = _.mapValues(paths, this.srcFromPath)
+		}
+
+		// defer actually building the subgraph until time to run.
+		this.graphDef = _.cloneDeep(graphDef)
 
-		// defer actually building the subgraph until time to run.
-		this.graphDef = _.cloneDeep(graphDef)
-
 		this.promise = fromPromise(new Promise((resolve, reject) => {
-			this.resolveNode = (resultValue) => {
+			this.resolveNode = (resultValue, args) => {
 				runInAction(() => {
 					this._value = resultValue
+					this._valueArgs = args
 					resolve(this._value)
 				})
 			}
@@ -520,58 +1468,174 @@ class GraphDNode extends DNode {
 		}))
 
 		this._value = undefined
+		this._valueArgs = undefined
 
 		this.dGraph.rootGraph.isConnected.then(this.waitForFulfillment.bind(this))
 	}
 
+	/**
+	 * Whether the root graph is being watched (see `DGraph.watch`). A live graph
+	 * node keeps watching its inputs after its subgraph first resolves, and
+	 * re-runs the subgraph whenever they change.
+	 */
+	get isLive() {
+		return !!this.dGraph.rootGraph.isLive
+	}
+
 	/**
 	 * Don't we all ... don't we all.
 	 */
 	waitForFulfillment() {
-		let dispose
-		dispose = autorun(() => { // eslint-disable-line prefer-const
-			const args = this.getInputs()
-			this.undefinedDependencies = this.dGraph.getUndefinedPaths(args)
-			if (this.undefinedDependencies.length === 0) {
-				if (this.collectionMode === 'map') {
-					if (args.collection && _.isArray(args.collection)) {
-						this._runAsMap(args, dispose)
+		this._disposeFulfillment = autorun((reaction) => {
+			const dispose = () => {
+				if (!this.isLive) {
+					reaction.dispose()
+				}
+			}
+			try {
+				const args = this.getInputs()
+				this.undefinedDependencies = this.dGraph.getUndefinedPaths(args)
+				if (this.undefinedDependencies.length === 0) {
+					if (this.isLive) {
+						// only re-run the subgraph if its inputs actually changed.
+						if (_.isEqual(args, this._requestedArgs)) {
+							return
+						}
+						this._requestedArgs = args
+						if (this.error) {
+							runInAction(() => {
+								this.error = null
+							})
+						}
+					}
+					if (this.collectionMode === 'map') {
+						if (args.collection && _.isArray(args.collection)) {
+							this._runAsMap(args, dispose)
+						}
+						else {
+							throw new Error(`Graph node ${this.name}: if collectionMode is set to map, an input named \`collection\` must resolve to a single array. Passed: ${args.collection}`)
+						}
+					}
+					else if (this.collectionMode === 'reduce') {
+						this._runAsReduce(args, dispose)
+					}
+					else if (this.collectionMode === 'filter') {
+						this._runAsFilter(args, dispose)
+					}
+					else if (this.collectionMode === 'groupBy') {
+						this._runAsGroups(args, dispose)
 					}
 					else {
-						throw new Error(`Graph node ${this.name}: if collectionMode is set to map, an input named \`collection\` must resolve to a single array. Passed: ${args.collection}`)
+						this._runOnObj(args, dispose)
 					}
 				}
-				// TODO: collectionMode === 'reduce' ?
-				else {
-					this._runOnObj(args, dispose)
+				else if (this.dGraph.options.logUndefinedPaths) {
+					this.dGraph.logUndefinedPaths(this.undefinedDependencies.map(p => `${this.name}.${p}`))
 				}
 			}
-			else if (this.dGraph.options.logUndefinedPaths) {
-				this.dGraph.logUndefinedPaths(this.undefinedDependencies.map(p => `${this.name}.${p}`))
+			catch (error) {
+				// an input failed or couldn't be found. this node fails too.
+				// a live node tries again once its inputs change.
+				this._requestedArgs = undefined
+				runInAction(() => {
+					this.error = error
+				})
+				dispose()
 			}
 		})
 	}
 
-	_runOnObj(args, dispose) {
-		this.subgraph = new DGraph(
-			this.graphDef,
-			`${this.dGraph.name}.${this.name}`,
+	/**
+	 * Stop watching inputs and stop any subgraphs that are being watched.
+	 */
+	stopWatching() {
+		if (this._disposeFulfillment) {
+			this._disposeFulfillment()
+		}
+		this._getSubgraphs().forEach(subgraph => subgraph.unwatch())
+	}
+
+	/**
+	 * Stop waiting on inputs and stop any subgraphs that are still running.
+	 */
+	stopRunning() {
+		if (this._disposeFulfillment) {
+			this._disposeFulfillment()
+		}
+		this._getSubgraphs().forEach(subgraph => subgraph._stopRunning())
+	}
+
+	_getSubgraphs() {
+		return _.compact([this.subgraph].concat(this.subgraphs, _.values(this.groupSubgraphs)))
+	}
+
+	/**
+	 * Build a subgraph running `graphDef`. Subgraphs running the same graphDef
+	 * (one per item, for collection modes) share its preprocessed form, so it
+	 * is only preprocessed once.
+	 */
+	_createSubgraph(name, graphDef = this.graphDef) {
+		if (!this._preprocessedGraphDefs) {
+			this._preprocessedGraphDefs = new Map()
+		}
+		const subgraph = new DGraph(
+			graphDef,
+			name,
 			this.dGraph,
 			{
 				...this.dGraph.options,
-				depth: this.dGraph.options.depth + 1
+				// keep decimals exact until they reach the root graph's state.
+				decimalOutput: 'decimal',
+				depth: this.dGraph.options.depth + 1,
+				preprocessedGraphDef: this._preprocessedGraphDefs.get(graphDef)
 			}
 		)
-		this.subgraph.run(args).then((result) => {
+		this._preprocessedGraphDefs.set(graphDef, subgraph.preprocessedGraphDef)
+		return subgraph
+	}
+
+	/**
+	 * How many subgraphs a collection node runs at once: the node's
+	 * `concurrency`, or else the graph's `concurrency` option. Unlimited if
+	 * neither is set.
+	 */
+	get concurrency() {
+		return this.originalNodeDef.concurrency || this.dGraph.options.concurrency
+	}
+
+	/**
+	 * Whether this node is live and already has a subgraph for each of `n`
+	 * items, which it can update in place, so only items whose inputs changed
+	 * recompute.
+	 */
+	_canUpdateSubgraphs(n) {
+		return this.isLive && !!this.subgraphs && this.subgraphs.length === n && _.compact(this.subgraphs).length === n
+	}
+
+	/**
+	 * Settle this node once `promise`, the result of running the subgraph(s)
+	 * with `args`, settles. A live node ignores results for inputs it has
+	 * since moved on from.
+	 */
+	_settleWith(promise, args, dispose) {
+		const isStale = () => this.isLive && args !== this._requestedArgs
+		promise.then((result) => {
+			if (isStale()) {
+				return
+			}
 			if (this.dGraph.options.logUndefinedPaths) {
 				this.log(`[log-undefined-paths] Subgraph '${this.name}' resolved.`)
 			}
-			this.resolveNode(result)
+			this.resolveNode(result, args)
 			if (dispose) {
 				dispose()
 			}
 		}, (error) => {
+			if (isStale()) {
+				return
+			}
 			runInAction(() => {
+				this.error = error
 				this.rejectNode(error)
 			})
 			if (dispose) {
@@ -580,6 +1644,18 @@ class GraphDNode extends DNode {
 		})
 	}
 
+	_runOnObj(args, dispose) {
+		let promise
+		if (this.isLive && this.subgraph) {
+			promise = this.subgraph.update(args)
+		}
+		else {
+			this.subgraph = this._createSubgraph(`${this.dGraph.name}.${this.name}`)
+			promise = this.isLive ? this.subgraph.watch(args) : this.subgraph.run(args)
+		}
+		this._settleWith(promise, args, dispose)
+	}
+
 	/**
 	 * Conventions for mapping a template graph over a collection of items:
 	 *
@@ -628,38 +1704,229 @@ class GraphDNode extends DNode {
 		if (!_.isArray(collection)) {
 			throw new Error(`A \`collectionMode: map\` node must define a \`collection\` input that resolves to an array. Passed: ${collection}`)
 		}
-		this.subgraphs = []
-		const promises = []
-		collection.forEach((item, i) => {
-			const subgraph = new DGraph(
-				this.graphDef,
-				`${this.dGraph.name}.${this.name}[${i}]`,
-				this.dGraph,
-				{
-					...this.dGraph.options,
-					depth: this.dGraph.options.depth + 1
-				}
-			)
-			this.subgraphs.push(subgraph)
-			promises.push(subgraph.run({ item, ...itemArgs }))
-		})
+		this._settleWith(this._runItemSubgraphs(collection.map(item => ({ item, ...itemArgs }))), args, dispose)
+	}
 
-		Promise.all(promises).then((results) => {
-			if (this.dGraph.options.logUndefinedPaths) {
-				this.log(`[log-undefined-paths] Subgraph '${this.name}' resolved.`)
+	/**
+	 * Run a subgraph for each of `itemInputs`, at most `concurrency` at once,
+	 * resolving to their states. Subgraphs are only built when their turn to
+	 * run comes.
+	 */
+	_runItemSubgraphs(itemInputs) {
+		if (this._canUpdateSubgraphs(itemInputs.length)) {
+			return mapWithConcurrency(this.subgraphs, this.concurrency, (subgraph, i) => subgraph.update(itemInputs[i]))
+		}
+		const subgraphs = this._resetSubgraphs(itemInputs.length)
+		return mapWithConcurrency(itemInputs, this.concurrency, (inputs, i) => {
+			// a live node may have moved on to other inputs in the meantime.
+			if (this.subgraphs !== subgraphs) {
+				return undefined
 			}
-			this.resolveNode(results)
-			if (dispose) {
-				dispose()
+			return this._runItemSubgraph(i, inputs)
+		})
+	}
+
+	/**
+	 * Start over with `n` item subgraphs, stopping any a live node was watching.
+	 */
+	_resetSubgraphs(n) {
+		if (this.isLive && this.subgraphs) {
+			_.compact(this.subgraphs).forEach(subgraph => subgraph.unwatch())
+		}
+		this.subgraphs = new Array(n)
+		this._itemProvenance = new Array(n)
+		return this.subgraphs
+	}
+
+	/**
+	 * Build and run (or, if live, watch) the subgraph for item `i`. Once it
+	 * resolves, a node that isn't live keeps only the item's provenance, not
+	 * the subgraph, so that a large collection doesn't hold on to a built
+	 * graph per item. The first item's subgraph is kept, for `toDot` and
+	 * `toMermaid` to draw.
+	 */
+	_runItemSubgraph(i, inputs) {
+		const { subgraphs } = this
+		subgraphs[i] = this._createSubgraph(`${this.dGraph.name}.${this.name}[${i}]`)
+		if (this.isLive) {
+			return subgraphs[i].watch(inputs)
+		}
+		return subgraphs[i].run(inputs).then((state) => {
+			if (i > 0) {
+				this._itemProvenance[i] = subgraphs[i].getProvenance()
+				subgraphs[i] = null
 			}
-		}, (error) => {
-			runInAction(() => {
-				this.rejectNode(error)
+			return state
+		})
+	}
+
+	/**
+	 * The value of the `output` node in `state`, the state of one of this
+	 * node's subgraphs.
+	 */
+	_getOutput(state) {
+		const outputName = this.originalNodeDef.output
+		if (!_.has(state, outputName)) {
+			throw new Error(`Graph node ${this.name}: the ${this.collectionMode} graph has no visible \`output\` node named '${outputName}'.`)
+		}
+		return state[outputName]
+	}
+
+	/**
+	 * Conventions for filtering a collection with a template graph: as for
+	 * `map`, the graph is run for each `item` in the `collection` input. The
+	 * node resolves to the items for which the graph's `output` node is truthy.
+	 *
+	 * ```
+	 * {
+	 *   "name": "taxableItems",
+	 *   "type": "graph",
+	 *   "collectionMode": "filter",
+	 *   "output": "isTaxable",
+	 *   "inputs": { "collection": "lineItems", "exemptCategories": "exemptCategories" },
+	 *   "graphDef": [{
+	 *     "name": "isTaxable",
+	 *     "type": "transform",
+	 *     "fn": "not",
+	 *     "params": { "item": "isExempt" }
+	 *   }, ...]
+	 * }
+	 * ```
+	 *
+	 * @param {*} args
+	 * @param {*} dispose
+	 */
+	_runAsFilter(args, dispose) {
+		const { collection, ...itemArgs } = args
+		if (!_.isArray(collection)) {
+			throw new Error(`A \`collectionMode: filter\` node must define a \`collection\` input that resolves to an array. Passed: ${collection}`)
+		}
+		const promise = this._runItemSubgraphs(collection.map(item => ({ item, ...itemArgs })))
+			.then(states => collection.filter((item, i) => !!this._getOutput(states[i])))
+		this._settleWith(promise, args, dispose)
+	}
+
+	/**
+	 * Conventions for grouping a collection with a template graph: as for
+	 * `map`, the graph is run for each `item` in the `collection` input, and
+	 * its `output` node computes the item's key. The node resolves to an
+	 * object mapping each key to the items with that key, in order.
+	 *
+	 * With a `groupGraphDef` (a graph definition, or the name of a template
+	 * graph node, like `graphDef`), that graph is also run once per group, with
+	 * the group's `key` and `items` as inputs (plus the remaining `inputs`), and
+	 * the node resolves to an object mapping each key to the group graph's state.
+	 *
+	 * ```
+	 * {
+	 *   "name": "totalsByCategory",
+	 *   "type": "graph",
+	 *   "collectionMode": "groupBy",
+	 *   "output": "category",
+	 *   "inputs": { "collection": "lineItems" },
+	 *   "graphDef": [{ "name": "category", "type": "alias", "mirror": "inputs.item.category" }],
+	 *   "groupGraphDef": [{ "name": "total", "type": "transform", "fn": "addN", "params": ["inputs.items.*.amount"] }]
+	 * }
+	 * ```
+	 *
+	 * @param {*} args
+	 * @param {*} dispose
+	 */
+	_runAsGroups(args, dispose) {
+		const { collection, ...itemArgs } = args
+		if (!_.isArray(collection)) {
+			throw new Error(`A \`collectionMode: groupBy\` node must define a \`collection\` input that resolves to an array. Passed: ${collection}`)
+		}
+		const promise = this._runItemSubgraphs(collection.map(item => ({ item, ...itemArgs }))).then((states) => {
+			const groups = {}
+			collection.forEach((item, i) => {
+				const key = this._getOutput(states[i])
+				if (!_.isString(key) && !_.isNumber(key) && !_.isBoolean(key)) {
+					throw new Error(`Graph node ${this.name}: group keys must be strings, numbers or booleans. Item ${i} has key ${JSON.stringify(key)}.`)
+				}
+				groups[key] = (groups[key] || []).concat([item])
 			})
-			if (dispose) {
-				dispose()
+			const { groupGraphDef } = this.originalNodeDef
+			if (!groupGraphDef) {
+				return groups
 			}
+
+			// group subgraphs are rebuilt each time: the groups themselves change.
+			if (this.isLive && this.groupSubgraphs) {
+				_.forOwn(this.groupSubgraphs, subgraph => subgraph.unwatch())
+			}
+			const graphDef = _.isString(groupGraphDef)
+				? this.dGraph.getDNode(groupGraphDef, true).originalNodeDef.graphDef
+				: groupGraphDef
+			this.groupSubgraphs = _.mapValues(groups, (items, key) => this._createSubgraph(`${this.dGraph.name}.${this.name}{${key}}`, graphDef))
+			const keys = _.keys(groups)
+			return mapWithConcurrency(keys, this.concurrency, (key) => {
+				const subgraph = this.groupSubgraphs[key]
+				const groupInputs = { ...itemArgs, key, items: groups[key] }
+				return this.isLive ? subgraph.watch(groupInputs) : subgraph.run(groupInputs)
+			}).then(groupStates => _.zipObject(keys, groupStates))
 		})
+		this._settleWith(promise, args, dispose)
+	}
+
+	/**
+	 * Conventions for reducing a collection of items with a template graph:
+	 *
+	 * - The reducing node must provide `collection` and `initial` properties in the graph's `inputs`.
+	 * - The graph is run once per item, in order, and is passed the item as `item`, its index
+	 *   as `index` and the value so far as `accumulator`: `initial` for the first item, and
+	 *   the value of the graph's `output` node in the previous run for the rest.
+	 * - Remaining properties in `inputs` will be available as named.
+	 * - The reducing node resolves to the value of the `output` node in the last run, or to
+	 *   `initial` if the collection is empty.
+	 *
+	 * So a running total could be defined as:
+	 *
+	 * ```
+	 * {
+	 *   "name": "total",
+	 *   "type": "graph",
+	 *   "collectionMode": "reduce",
+	 *   "output": "sum",
+	 *   "inputs": {
+	 *     "collection": "lineItems",
+	 *     "initial": 0
+	 *   },
+	 *   "graphDef": [{
+	 *     "name": "sum",
+	 *     "type": "transform",
+	 *     "fn": "add",
+	 *     "params": { "a": "inputs.accumulator", "b": "inputs.item.amount" }
+	 *   }]
+	 * }
+	 * ```
+	 *
+	 * @param {*} args
+	 * @param {*} dispose
+	 */
+	_runAsReduce(args, dispose) {
+		const { collection, initial, ...itemArgs } = args
+		if (!_.isArray(collection)) {
+			throw new Error(`A \`collectionMode: reduce\` node must define a \`collection\` input that resolves to an array. Passed: ${collection}`)
+		}
+		if (!_.has(args, 'initial')) {
+			throw new Error(`A \`collectionMode: reduce\` node must define an \`initial\` input. Graph node: ${this.name}.`)
+		}
+		// as for map, a live node with the same number of items updates each
+		// item's subgraph in place, and otherwise builds each one when its turn comes.
+		const isUpdate = this._canUpdateSubgraphs(collection.length)
+		const subgraphs = isUpdate ? this.subgraphs : this._resetSubgraphs(collection.length)
+
+		const runSubgraph = (i, inputs) => (isUpdate ? subgraphs[i].update(inputs) : this._runItemSubgraph(i, inputs))
+		const step = (accumulator, i) => {
+			if (this.subgraphs !== subgraphs) {
+				return undefined
+			}
+			const inputs = { ...itemArgs, item: collection[i], index: i, accumulator }
+			return runSubgraph(i, inputs).then(state => this._getOutput(state))
+		}
+		const promise = collection.reduce((previous, item, i) => previous.then(accumulator => step(accumulator, i)), Promise.resolve(initial))
+		this._settleWith(promise, args, dispose)
 	}
 
 	getInputs() {
@@ -683,6 +1950,17 @@ class GraphDNode extends DNode {
 
 					const valuePath = src.valuePath && src.valuePath.length ? `${src.nodeId}.${src.valuePath}` : src.nodeId
 
+					// if the input was a promise that rejected, fail. if it's still
+					// pending, wait.
+					const supergraphs = _.uniq([this.dGraph, this.dGraph.rootGraph])
+					const inputError = supergraphs.map(g => g.getDNode('inputs').getError(src.nodeId)).find(e => e)
+					if (inputError) {
+						throw inputError
+					}
+					if (supergraphs.some(g => g.pendingInputs.includes(src.nodeId))) {
+						return undefined
+					}
+
 					// try the immediate supergraph
 					let superGraphInputs = toJS(this.dGraph.getDNode('inputs').value)
 
@@ -721,11 +1999,51 @@ class GraphDNode extends DNode {
 	}
 
 	get value() {
+		// the subgraph failed to run (for example, it has a cycle). rethrow so
+		// that the error surfaces wherever this node is read.
+		if (this.error) {
+			throw this.error
+		}
+		// a live node whose inputs have changed since its subgraph last resolved
+		// is pending again until the subgraph re-runs.
+		if (this.isLive && !_.isEqual(this.getInputs(), this._valueArgs)) {
+			return undefined
+		}
 		// console.log(`'${this.name}' getter returning`, this._value)
 		return this._value
 		// return this.promise ? toJS(this.promise.value) : undefined
 	}
 
+	/**
+	 * Where each of the subgraph's inputs comes from. Implicit inputs that
+	 * aren't supergraph nodes pass through from the supergraph's inputs.
+	 */
+	getProvenanceSources() {
+		return _.mapValues(this.inputSrcs, ({ nodeId, valuePath }) => {
+			const path = valuePath ? `${nodeId}.${valuePath}` : nodeId
+			return this.hasExplicitInputs || this.dGraph.getDNode(nodeId) ? path : `inputs.${path}`
+		})
+	}
+
+	/**
+	 * Adds the provenance of the subgraph's nodes (see `DGraph.getProvenance`)
+	 * as `subgraph`, or as `subgraphs`, one per item, for collection modes,
+	 * plus `groupSubgraphs`, one per group, for `groupBy` with a `groupGraphDef`.
+	 */
+	getProvenance() {
+		const record = super.getProvenance()
+		if (this.subgraphs) {
+			record.subgraphs = this.subgraphs.map((subgraph, i) => (subgraph ? subgraph.getProvenance() : this._itemProvenance[i]))
+		}
+		else if (this.subgraph) {
+			record.subgraph = this.subgraph.getProvenance()
+		}
+		if (this.groupSubgraphs) {
+			record.groupSubgraphs = _.mapValues(this.groupSubgraphs, subgraph => subgraph.getProvenance())
+		}
+		return record
+	}
+
 	get isVisibleInGraphState() {
 		let result = super.isVisibleInGraphState
 		result = result && (!this.isTemplate || this.dGraph.options.echoTemplates)
@@ -739,24 +2057,139 @@ class GraphDNode extends DNode {
 		// return ['inputs']
 	}
 
+	static validateNodeDef(nodeDef, context) {
+		let issues = super.validateNodeDef(nodeDef, context)
+		let { graphDef } = nodeDef
+		if (_.isString(graphDef)) {
+			const templateDef = context.findNodeDef(graphDef)
+			if (!templateDef || templateDef.type !== 'graph') {
+				issues.push({
+					level: 'error',
+					code: 'unresolved-template',
+					path: 'graphDef',
+					message: `Cannot find graphDef template '${graphDef}'.`
+				})
+			}
+			// the template's own definition is validated where it's defined.
+			graphDef = null
+		}
+		else if (!_.isArray(graphDef)) {
+			issues.push({
+				level: 'error',
+				code: 'missing-property',
+				path: 'graphDef',
+				message: 'Required property `graphDef` must be an array of node definitions or the name of a template graph node.'
+			})
+			graphDef = null
+		}
+		if (nodeDef.collectionMode && !GraphDNode.collectionModes.includes(nodeDef.collectionMode)) {
+			issues.push({
+				level: 'error',
+				code: 'unknown-collection-mode',
+				path: 'collectionMode',
+				message: `Unknown collectionMode '${nodeDef.collectionMode}'. Supported: ${GraphDNode.collectionModes.join(', ')}.`
+			})
+		}
+		if (_.has(nodeDef, 'concurrency') && !(Number.isInteger(nodeDef.concurrency) && nodeDef.concurrency > 0)) {
+			issues.push({
+				level: 'error',
+				code: 'invalid-concurrency',
+				path: 'concurrency',
+				message: `\`concurrency\` must be a positive integer. Got ${JSON.stringify(nodeDef.concurrency)}.`
+			})
+		}
+		if (GraphDNode.outputCollectionModes.includes(nodeDef.collectionMode)) {
+			if (!_.isString(nodeDef.output)) {
+				issues.push({
+					level: 'error',
+					code: 'missing-property',
+					path: 'output',
+					message: `A \`collectionMode: ${nodeDef.collectionMode}\` node must name its graph's \`output\` node.`
+				})
+			}
+			else if (graphDef && !graphDef.some(subgraphNodeDef => subgraphNodeDef && subgraphNodeDef.name === nodeDef.output)) {
+				issues.push({
+					level: 'error',
+					code: 'unknown-output',
+					path: 'output',
+					message: `The graph has no node named '${nodeDef.output}' to use as its \`output\`.`
+				})
+			}
+		}
+		if (nodeDef.collectionMode === 'reduce') {
+			const inputNames = nodeDef.inputs ? _.keys(context.normalizePathDef(nodeDef.inputs)) : []
+			_.difference(['collection', 'initial'], inputNames).forEach((inputName) => {
+				issues.push({
+					level: 'error',
+					code: 'missing-input',
+					path: 'inputs',
+					message: `A \`collectionMode: reduce\` node must define an input named \`${inputName}\`.`
+				})
+			})
+		}
+		const { groupGraphDef } = nodeDef
+		if (groupGraphDef && nodeDef.collectionMode !== 'groupBy') {
+			issues.push({
+				level: 'warning',
+				code: 'unused-property',
+				path: 'groupGraphDef',
+				message: '`groupGraphDef` is only used with `collectionMode: groupBy`.'
+			})
+		}
+		else if (_.isString(groupGraphDef) && _.get(context.findNodeDef(groupGraphDef), 'type') !== 'graph') {
+			issues.push({
+				level: 'error',
+				code: 'unresolved-template',
+				path: 'groupGraphDef',
+				message: `Cannot find groupGraphDef template '${groupGraphDef}'.`
+			})
+		}
+		else if (_.isArray(groupGraphDef)) {
+			issues = issues.concat(context.validateSubgraph(groupGraphDef))
+		}
+		if (graphDef) {
+			return issues.concat(context.validateSubgraph(graphDef))
+		}
+		return issues
+	}
+
 }
 
+GraphDNode.collectionModes = ['map', 'reduce', 'filter', 'groupBy']
+
+// collection modes that use the value of the subgraph's `output` node.
+GraphDNode.outputCollectionModes = ['reduce', 'filter', 'groupBy']
+
 decorate(GraphDNode, {
 	value: computed,
 	_value: observable,
+	_valueArgs: observable.ref,
+	error: observable.ref,
 	promise: observable
 })
 
 
+/**
+ * Built-in node classes by `type`, as this module exports them. Register
+ * additional types with `DGraph.registerNodeType`.
+ */
 module.exports = {
 	static: StaticDNode,
 	comments: CommentsDNode,
+	schema: SchemaDNode,
 	alias: AliasDNode,
 	echo: EchoDNode,
 	dereference: DereferenceDNode,
 	transform: TransformDNode,
+	expression: ExpressionDNode,
 	inputs: InputsDNode,
 	async: AsyncDNode,
 	branch: BranchDNode,
+	cond: CondDNode,
+	table: TableDNode,
 	graph: GraphDNode
 }
+
+// the base class, for custom node types. not enumerable, so it isn't mistaken
+// for a type.
+Object.defineProperty(module.exports, 'DNode', { value: DNode })
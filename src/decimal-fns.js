@@ -0,0 +1,87 @@
+const _ = require('lodash')
+const { Decimal } = require('./decimal')
+
+/**
+ * Arithmetic transforms for graphs created with `numeric: 'decimal'`. These
+ * take the place of the built-in transforms of the same names (see
+ * `transform-fns.js`), accepting numbers, numeric strings or decimals and
+ * computing exact `Decimal` results.
+ */
+
+const d = Decimal.from
+
+// as for the xxxN functions in transform-fns.
+const extractNItems = items => _.flattenDeep(_.isArray(items) ? items : _.values(items))
+
+const compare = ({ a, b }) => d(a).cmp(b)
+
+// numbers, decimals and numeric strings compare exactly. anything else, like
+// ISO dates or ids, compares as in float graphs.
+const isNumeric = (value) => {
+	try {
+		d(value)
+		return true
+	}
+	catch (error) {
+		return false
+	}
+}
+const areNumeric = (...values) => values.every(isNumeric)
+const comparing = (exactly, plainly) => args => (areNumeric(args.a, args.b) ? exactly(args) : plainly(args))
+
+const addN = items => extractNItems(items).reduce((t, a) => t.add(a), d(0))
+const add = ({ a, b }) => d(a).add(b)
+const sub = ({ a, b }) => d(a).sub(b)
+const addFactor = ({ amt, factor }) => d(amt).add(d(amt).mul(factor))
+const subFactor = ({ amt, factor }) => d(amt).sub(d(amt).mul(factor))
+const mult = ({ amt, factor }) => d(amt).mul(factor)
+const div = ({ num, dem }) => d(num).div(dem)
+const round = ({ amt, places = 0, mode = 'half-up' }) => d(amt).round(places, mode)
+const roundCurrency = ({ amt, places = 2, mode = 'half-up' }) => d(amt).round(places, mode)
+const ceil = ({ amt }) => d(amt).round(0, 'ceil')
+const floor = ({ amt }) => d(amt).round(0, 'floor')
+const max = comparing(({ a, b }) => (compare({ a, b }) >= 0 ? d(a) : d(b)), ({ a, b }) => (a >= b ? a : b))
+const min = comparing(({ a, b }) => (compare({ a, b }) <= 0 ? d(a) : d(b)), ({ a, b }) => (a <= b ? a : b))
+const gt = comparing(args => compare(args) > 0, ({ a, b }) => a > b)
+const lt = comparing(args => compare(args) < 0, ({ a, b }) => a < b)
+const gte = comparing(args => compare(args) >= 0, ({ a, b }) => a >= b)
+const lte = comparing(args => compare(args) <= 0, ({ a, b }) => a <= b)
+// eq isn't only for numbers: compare anything else as the float version does.
+const eq = ({ a, b }) => {
+	const isNumeric = v => _.isNumber(v) || Decimal.isDecimal(v)
+	return isNumeric(a) && isNumeric(b) ? compare({ a, b }) === 0 : a === b
+}
+const clamp = ({ amt, min, max }) => {
+	if (!areNumeric(amt, min, max)) {
+		if (amt < min) {
+			return min
+		}
+		return amt > max ? max : amt
+	}
+	if (d(amt).cmp(min) < 0) {
+		return d(min)
+	}
+	return d(amt).cmp(max) > 0 ? d(max) : d(amt)
+}
+
+module.exports = {
+	addN,
+	add,
+	sub,
+	addFactor,
+	subFactor,
+	mult,
+	div,
+	round,
+	roundCurrency,
+	ceil,
+	floor,
+	max,
+	min,
+	gt,
+	lt,
+	gte,
+	lte,
+	eq,
+	clamp
+}
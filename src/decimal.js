@@ -0,0 +1,294 @@
+const _ = require('lodash')
+
+// Arithmetic on non-negative integers represented as strings of digits,
+// without leading zeros.
+
+const trimLeadingZeros = digits => digits.replace(/^0+(?=\d)/, '')
+
+const compareDigits = (a, b) => {
+	if (a.length !== b.length) {
+		return a.length < b.length ? -1 : 1
+	}
+	if (a === b) {
+		return 0
+	}
+	return a < b ? -1 : 1
+}
+
+const addDigits = (a, b) => {
+	const result = []
+	let carry = 0
+	for (let i = 1; i <= Math.max(a.length, b.length); i++) {
+		const sum = Number(a[a.length - i] || 0) + Number(b[b.length - i] || 0) + carry
+		result.unshift(sum % 10)
+		carry = sum >= 10 ? 1 : 0
+	}
+	if (carry) {
+		result.unshift(carry)
+	}
+	return trimLeadingZeros(result.join(''))
+}
+
+// a must be >= b.
+const subtractDigits = (a, b) => {
+	const result = []
+	let borrow = 0
+	for (let i = 1; i <= a.length; i++) {
+		let difference = Number(a[a.length - i]) - Number(b[b.length - i] || 0) - borrow
+		borrow = difference < 0 ? 1 : 0
+		difference += borrow * 10
+		result.unshift(difference)
+	}
+	return trimLeadingZeros(result.join(''))
+}
+
+const multiplyDigits = (a, b) => {
+	const result = _.fill(Array(a.length + b.length), 0)
+	for (let i = a.length - 1; i >= 0; i--) {
+		for (let j = b.length - 1; j >= 0; j--) {
+			const sum = result[i + j + 1] + (Number(a[i]) * Number(b[j]))
+			result[i + j + 1] = sum % 10
+			result[i + j] += Math.floor(sum / 10)
+		}
+	}
+	return trimLeadingZeros(result.join(''))
+}
+
+// long division. returns the integer quotient and the remainder.
+const divideDigits = (a, b) => {
+	const quotient = []
+	let remainder = '0'
+	for (let i = 0; i < a.length; i++) {
+		remainder = trimLeadingZeros(remainder + a[i])
+		let digit = 0
+		while (compareDigits(remainder, b) >= 0) {
+			remainder = subtractDigits(remainder, b)
+			digit++
+		}
+		quotient.push(digit)
+	}
+	return { quotient: trimLeadingZeros(quotient.join('')), remainder }
+}
+
+const zeros = n => _.repeat('0', n)
+
+const NUMBER_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i
+
+/**
+ * Rounding modes accepted by `Decimal#round` (and so by the `round`,
+ * `roundCurrency`, etc. transforms):
+ *
+ * - `half-up`: to the nearest value; halves round away from zero.
+ * - `half-even`: to the nearest value; halves round to the even neighbor ("banker's rounding").
+ * - `truncate`: toward zero.
+ * - `ceil`: toward positive infinity.
+ * - `floor`: toward negative infinity.
+ */
+const ROUNDING_MODES = ['half-up', 'half-even', 'truncate', 'ceil', 'floor']
+
+/**
+ * Immutable, exact decimal number, for calculations (money, say) where the
+ * usual floating point errors aren't acceptable. Construct with
+ * `Decimal.from(value)`, where `value` is a number, a numeric string or
+ * another `Decimal`.
+ *
+ * Addition, subtraction and multiplication are exact. Division is carried
+ * out to `Decimal.DIVISION_SCALE` decimal places (or more, if the dividend
+ * has more), rounding half-even.
+ *
+ * Internally the value is `sign * digits * 10^-scale`.
+ */
+class Decimal {
+	constructor(sign, digits, scale) {
+		this.digits = trimLeadingZeros(digits)
+		this.sign = this.digits === '0' ? 1 : sign
+		this.scale = scale
+	}
+
+	static from(value) {
+		if (value instanceof Decimal) {
+			return value
+		}
+		if (_.isNumber(value) && !Number.isFinite(value)) {
+			throw new Error(`Cannot convert ${value} to a decimal.`)
+		}
+		const match = (_.isNumber(value) || _.isString(value)) && String(value).trim().match(NUMBER_PATTERN)
+		if (!match || !(match[2] || match[3])) {
+			throw new Error(`Cannot convert ${JSON.stringify(value)} to a decimal.`)
+		}
+		const [, sign, integerPart = '', fractionPart = '', exponent = '0'] = match
+		let digits = `${integerPart}${fractionPart}` || '0'
+		let scale = fractionPart.length - Number(exponent)
+		if (scale < 0) {
+			digits += zeros(-scale)
+			scale = 0
+		}
+		return new Decimal(sign === '-' ? -1 : 1, digits, scale)
+	}
+
+	static isDecimal(value) {
+		return value instanceof Decimal
+	}
+
+	/**
+	 * This value's digits, scaled to `scale` places.
+	 */
+	_digitsAtScale(scale) {
+		return this.digits === '0' ? '0' : this.digits + zeros(scale - this.scale)
+	}
+
+	add(other) {
+		const b = Decimal.from(other)
+		const scale = Math.max(this.scale, b.scale)
+		const aDigits = this._digitsAtScale(scale)
+		const bDigits = b._digitsAtScale(scale)
+		if (this.sign === b.sign) {
+			return new Decimal(this.sign, addDigits(aDigits, bDigits), scale).normalize()
+		}
+		const comparison = compareDigits(aDigits, bDigits)
+		if (comparison === 0) {
+			return new Decimal(1, '0', 0)
+		}
+		return comparison > 0
+			? new Decimal(this.sign, subtractDigits(aDigits, bDigits), scale).normalize()
+			: new Decimal(b.sign, subtractDigits(bDigits, aDigits), scale).normalize()
+	}
+
+	sub(other) {
+		return this.add(Decimal.from(other).neg())
+	}
+
+	mul(other) {
+		const b = Decimal.from(other)
+		return new Decimal(this.sign * b.sign, multiplyDigits(this.digits, b.digits), this.scale + b.scale).normalize()
+	}
+
+	div(other) {
+		const b = Decimal.from(other)
+		if (b.isZero()) {
+			throw new Error('Division by zero.')
+		}
+		// work out one digit beyond the result's scale, plus whether anything
+		// remains beyond that, so the result can be rounded correctly.
+		const scale = Math.max(Decimal.DIVISION_SCALE, this.scale)
+		const numerator = this.digits + zeros(scale + 1 + b.scale - this.scale)
+		const { quotient, remainder } = divideDigits(numerator, b.digits)
+		const digits = remainder === '0' ? `${quotient}0` : `${quotient}1`
+		return new Decimal(this.sign * b.sign, digits, scale + 2).round(scale, 'half-even').normalize()
+	}
+
+	neg() {
+		return new Decimal(-this.sign, this.digits, this.scale)
+	}
+
+	abs() {
+		return new Decimal(1, this.digits, this.scale)
+	}
+
+	isZero() {
+		return this.digits === '0'
+	}
+
+	/**
+	 * -1, 0 or 1 as this value is less than, equal to or greater than `other`.
+	 */
+	cmp(other) {
+		const difference = this.sub(other)
+		return difference.isZero() ? 0 : difference.sign
+	}
+
+	/**
+	 * Round to `places` decimal places using `mode` (see `Decimal.ROUNDING_MODES`).
+	 * The result has exactly `places` places, so `toString` shows trailing zeros.
+	 */
+	round(places = 0, mode = 'half-up') {
+		if (!Number.isInteger(places) || places < 0) {
+			throw new Error(`Cannot round to ${places} places: places must be a non-negative integer.`)
+		}
+		if (!ROUNDING_MODES.includes(mode)) {
+			throw new Error(`Unknown rounding mode '${mode}'. Supported: ${ROUNDING_MODES.join(', ')}.`)
+		}
+		if (this.scale <= places) {
+			return new Decimal(this.sign, this._digitsAtScale(places), places)
+		}
+		const cut = this.scale - places
+		const padded = zeros(cut + 1 - this.digits.length) + this.digits
+		const kept = padded.slice(0, padded.length - cut)
+		const dropped = padded.slice(padded.length - cut)
+		const half = `5${zeros(cut - 1)}`
+		const isDroppedNonZero = /[1-9]/.test(dropped)
+		let roundAway
+		switch (mode) {
+			case 'half-up':
+				roundAway = compareDigits(dropped, half) >= 0
+				break
+			case 'half-even':
+				roundAway = compareDigits(dropped, half) > 0 || (dropped === half && Number(kept[kept.length - 1]) % 2 === 1)
+				break
+			case 'ceil':
+				roundAway = this.sign > 0 && isDroppedNonZero
+				break
+			case 'floor':
+				roundAway = this.sign < 0 && isDroppedNonZero
+				break
+			default:
+				roundAway = false
+		}
+		return new Decimal(this.sign, roundAway ? addDigits(kept, '1') : kept, places)
+	}
+
+	/**
+	 * The same value without trailing zeros after the decimal point.
+	 */
+	normalize() {
+		const trailingZeros = Math.min(this.scale, this.digits.match(/0*$/)[0].length)
+		if (!trailingZeros || this.digits === '0') {
+			return this.digits === '0' ? new Decimal(1, '0', 0) : this
+		}
+		return new Decimal(this.sign, this.digits.slice(0, this.digits.length - trailingZeros), this.scale - trailingZeros)
+	}
+
+	toString() {
+		const padded = zeros(this.scale + 1 - this.digits.length) + this.digits
+		const integerPart = padded.slice(0, padded.length - this.scale)
+		const fractionPart = padded.slice(padded.length - this.scale)
+		return `${this.sign < 0 ? '-' : ''}${integerPart}${this.scale ? `.${fractionPart}` : ''}`
+	}
+
+	toNumber() {
+		return Number(this.toString())
+	}
+
+	toJSON() {
+		return this.toString()
+	}
+}
+
+Decimal.DIVISION_SCALE = 20
+Decimal.ROUNDING_MODES = ROUNDING_MODES
+
+/**
+ * Replace the decimals in `value`, which can be nested in plain objects and
+ * arrays, with their string (`format` is `'string'`) or number (`'number'`)
+ * forms. A `format` of `'decimal'` leaves them as they are.
+ */
+const serializeDecimals = (value, format = 'string') => {
+	if (value instanceof Decimal) {
+		if (format === 'decimal') {
+			return value
+		}
+		return format === 'number' ? value.toNumber() : value.toString()
+	}
+	if (_.isArray(value)) {
+		return value.map(item => serializeDecimals(item, format))
+	}
+	if (_.isPlainObject(value)) {
+		return _.mapValues(value, item => serializeDecimals(item, format))
+	}
+	return value
+}
+
+module.exports = {
+	Decimal,
+	serializeDecimals
+}
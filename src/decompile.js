@@ -0,0 +1,232 @@
+const _ = require('lodash')
+const { parseExpression, formatExpression, compileExpression } = require('./expression')
+
+/**
+ * Converting graph definitions between chains of `transform` nodes and
+ * `expression` nodes (see `expression.js`), in both directions.
+ */
+
+const isGeneratedName = name => _.isString(name) && name.startsWith('#')
+
+// literals a formula can spell out.
+const isFormulaLiteral = value => _.isString(value) || _.isBoolean(value) || _.isNull(value) || (_.isNumber(value) && _.isFinite(value))
+
+/**
+ * Apply `convertGraph` to `nodeDefs` and to the inline definitions of their
+ * subgraphs, passing the names of nodes that must be kept as they are (a
+ * collection subgraph's `output`).
+ */
+const convertSubgraphs = (nodeDefs, convertGraph) => nodeDefs.map((nodeDef) => {
+	if (nodeDef.type !== 'graph') {
+		return nodeDef
+	}
+	const result = { ...nodeDef }
+	const keep = nodeDef.output ? [nodeDef.output] : []
+	if (_.isArray(nodeDef.graphDef)) {
+		result.graphDef = convertGraph(nodeDef.graphDef, keep)
+	}
+	if (_.isArray(nodeDef.groupGraphDef)) {
+		result.groupGraphDef = convertGraph(nodeDef.groupGraphDef, [])
+	}
+	return result
+})
+
+/**
+ * Rewrite a graph definition so that chains of transform nodes read as
+ * formulas: each transform node, and each static node named with a leading
+ * `#` (like the `#literal#` nodes of preprocessed definitions), that is used
+ * exactly once, as a whole, by a transform or expression node is folded into
+ * that node, which becomes an `expression` node. Folded nodes no longer
+ * appear in the graph's state. Nodes with `aliases` or `comments` are kept as
+ * they are, as are those named in `options.keep`. Subgraph definitions are
+ * rewritten too, keeping collection subgraphs' `output` nodes.
+ *
+ * Only transforms that declare their params (see `DGraph.registerTransform`)
+ * can be written as formulas, and then only when their params are paths or
+ * plain literals, passed in the declared order.
+ *
+ * @param {Array} graphDef
+ * @param {Object} options
+ * @param {Function} options.normalizePathDef Normally `DGraph.normalizePathDef`.
+ * @param {Function} options.collectExpectedInputPaths Normally `DGraph.collectExpectedInputPaths`.
+ * @param {Registry} options.transforms The registry of transform functions.
+ * @param {Registry} options.nodeTypes The registry of node classes.
+ * @param {Array<String>} [options.keep] Names of nodes to keep, eg those whose values are needed
+ *   in the graph's state.
+ * @return {Array}
+ */
+const collapseExpressions = (graphDef, options) => {
+	const { normalizePathDef, collectExpectedInputPaths, transforms, nodeTypes } = options
+
+	const collapseGraph = (nodeDefs, keep) => {
+		const nodeDefsByName = _.keyBy(nodeDefs, 'name')
+		const isNodePath = path => _.isString(path) && (path.split('.')[0] === 'inputs' || _.has(nodeDefsByName, path.split('.')[0]))
+
+		// who uses each node, and whether just its whole value.
+		const uses = {}
+		const addUse = (name, user, isWhole) => {
+			uses[name] = (uses[name] || []).concat([{ user, isWhole }])
+		}
+		nodeDefs.forEach((nodeDef) => {
+			const DNodeClass = nodeTypes.get(nodeDef.type)
+			_.keys(DNodeClass ? DNodeClass.getPathProps() : {}).forEach((propName) => {
+				_.values(normalizePathDef(DNodeClass.getPathDef(nodeDef, propName))).filter(isNodePath).forEach((path) => {
+					addUse(path.split('.')[0], nodeDef.name, !path.includes('.'))
+				})
+			})
+			// subgraphs without explicit inputs read this graph's nodes by name.
+			if (nodeDef.type === 'graph' && !nodeDef.inputs && _.isArray(nodeDef.graphDef)) {
+				collectExpectedInputPaths(nodeDef.graphDef, false, nodeTypes).forEach((path) => {
+					addUse(path.split('.')[0], nodeDef.name, false)
+				})
+			}
+		})
+
+		// the call a transform node makes, as a syntax tree, with its params as
+		// they are (paths or literals); null if it can't be written as a formula.
+		const toCall = (nodeDef) => {
+			const meta = transforms.getMeta(nodeDef.fn) || {}
+			const params = normalizePathDef(nodeDef.params)
+			if (!_.values(params).every(value => isNodePath(value) || isFormulaLiteral(value))) {
+				return null
+			}
+			let args = _.values(params)
+			if (!meta.items) {
+				const paramNames = _.keys(meta.params)
+				const passedNames = paramNames.slice(0, _.keys(params).length)
+				if (!meta.params || !_.isPlainObject(nodeDef.params) || !_.isEqual(_.sortBy(_.keys(params)), _.sortBy(passedNames))) {
+					return null
+				}
+				args = passedNames.map(name => params[name])
+			}
+			return { type: 'call', fn: nodeDef.fn, args: args.map(value => (isNodePath(value) ? { type: 'path', path: value } : { type: 'literal', value })) }
+		}
+
+		// the node as a syntax tree, before folding in other nodes.
+		const toAst = (nodeDef) => {
+			switch (nodeDef.type) {
+				case 'transform':
+					return toCall(nodeDef)
+				case 'expression':
+					try {
+						return parseExpression(nodeDef.expr)
+					}
+					catch (error) {
+						return null
+					}
+				case 'static':
+					return isFormulaLiteral(nodeDef.value) ? { type: 'literal', value: nodeDef.value } : null
+				default:
+					return null
+			}
+		}
+		const asts = _.mapValues(nodeDefsByName, toAst)
+
+		const isFolded = (nodeDef) => {
+			const nodeUses = uses[nodeDef.name] || []
+			if (nodeUses.length !== 1 || !nodeUses[0].isWhole || !asts[nodeDef.name] || keep.includes(nodeDef.name)) {
+				return false
+			}
+			if (nodeDef.aliases || nodeDef.comments || (nodeDef.type === 'static' && !isGeneratedName(nodeDef.name))) {
+				return false
+			}
+			const user = nodeDefsByName[nodeUses[0].user]
+			return ['transform', 'expression'].includes(user.type) && !!asts[user.name]
+		}
+		const foldedNames = nodeDefs.filter(isFolded).map(nodeDef => nodeDef.name)
+
+		// `folding` guards against cycles, which `DGraph.validate` reports.
+		const fold = (ast, folding = []) => {
+			if (ast.type === 'path' && foldedNames.includes(ast.path) && !folding.includes(ast.path)) {
+				return fold(asts[ast.path], folding.concat([ast.path]))
+			}
+			return ast.type === 'call' ? { ...ast, args: ast.args.map(arg => fold(arg, folding)) } : ast
+		}
+		const absorbsFolded = name => foldedNames.some(foldedName => uses[foldedName][0].user === name)
+
+		return nodeDefs
+			// the generated inputs node of a preprocessed definition.
+			.filter(nodeDef => nodeDef.type !== 'inputs' && !foldedNames.includes(nodeDef.name))
+			.map((nodeDef) => {
+				if (!absorbsFolded(nodeDef.name)) {
+					// preprocessing fills in expressions' paths, which are derived from `expr`.
+					return nodeDef.type === 'expression' ? _.omit(nodeDef, ['paths']) : nodeDef
+				}
+				return {
+					..._.omit(nodeDef, ['fn', 'params', 'expr', 'paths']),
+					type: 'expression',
+					expr: formatExpression(fold(asts[nodeDef.name]))
+				}
+			})
+	}
+
+	const collapseAll = (nodeDefs, keep) => convertSubgraphs(collapseGraph(nodeDefs, keep), collapseAll)
+	return collapseAll(graphDef, options.keep || [])
+}
+
+/**
+ * The inverse of `collapseExpressions`: rewrite a graph definition's
+ * `expression` nodes as the `transform` nodes they compute with. Each keeps
+ * its name (as a `transform`, or an `alias` or `static` node if the formula
+ * is just a path or a literal), and the calls within it become transform
+ * nodes named `#expr#<node name>#<n>`, which don't appear in the graph's
+ * state. Subgraph definitions are rewritten too.
+ *
+ * @param {Array} graphDef
+ * @param {Object} options
+ * @param {Registry} options.transforms The registry of transform functions.
+ * @return {Array}
+ */
+const expandExpressions = (graphDef, options) => {
+	const { transforms } = options
+
+	const expandGraph = (nodeDefs) => {
+		const nodeNames = nodeDefs.map(nodeDef => nodeDef.name)
+		// a literal string that reads as a path would be taken as one.
+		const isPathLike = value => _.isString(value) && ['inputs'].concat(nodeNames).includes(value.split('.')[0])
+
+		return _.flatMap(nodeDefs, (nodeDef) => {
+			if (nodeDef.type !== 'expression') {
+				return [nodeDef]
+			}
+			const expanded = []
+			const addNode = (props) => {
+				const name = `#expr#${nodeDef.name}#${expanded.length}`
+				expanded.push({ name, ...props })
+				return name
+			}
+			const toParam = (term) => {
+				if (_.has(term, 'path')) {
+					return term.path
+				}
+				if (_.has(term, 'value')) {
+					return isPathLike(term.value) ? addNode({ type: 'static', value: term.value }) : term.value
+				}
+				return addNode({ type: 'transform', fn: term.fn, params: toParams(term.params) }) // eslint-disable-line no-use-before-define
+			}
+			const toParams = params => (_.isArray(params) ? params.map(toParam) : _.mapValues(params, toParam))
+
+			const term = compileExpression(parseExpression(nodeDef.expr), transforms)
+			const props = _.omit(nodeDef, ['expr', 'paths'])
+			let root
+			if (_.has(term, 'path')) {
+				root = { ...props, type: 'alias', mirror: term.path }
+			}
+			else if (_.has(term, 'value')) {
+				root = { ...props, type: 'static', value: term.value }
+			}
+			else {
+				root = { ...props, type: 'transform', fn: term.fn, params: toParams(term.params) }
+			}
+			return expanded.concat([root])
+		})
+	}
+
+	const expandAll = nodeDefs => convertSubgraphs(expandGraph(nodeDefs), expandAll)
+	return expandAll(graphDef)
+}
+
+module.exports = {
+	collapseExpressions,
+	expandExpressions
+}
@@ -0,0 +1,180 @@
+/**
+ * Describe an edge as `srcNode.srcProp -> dstNode.dst.value.path`.
+ *
+ * @param {Object} edge An edge as returned by `DGraph.collectEdgeDefs`.
+ */
+const describeEdge = ({ srcNodeId, srcPropName, dstNodeId, dstValuePath }) => {
+	const src = srcPropName ? `${srcNodeId}.${srcPropName}` : srcNodeId
+	const dst = dstValuePath ? `${dstNodeId}.${dstValuePath}` : dstNodeId
+	return `${src} -> ${dst}`
+}
+
+/**
+ * Thrown (or rejected) by `DGraph.run` when the graph's dependencies are
+ * circular and so can never resolve.
+ *
+ * `cycles` is a list of cycles, each a list of the edges (shaped like those
+ * returned by `DGraph.getDEdges`) that make up the cycle, in order.
+ */
+class CycleError extends Error {
+	constructor(graphName, cycles) {
+		const description = cycles.map(cycle => cycle.map(describeEdge).join(', ')).join('; ')
+		super(`Graph '${graphName}' has ${cycles.length} dependency cycle(s) and will never resolve: ${description}.`)
+		this.name = 'CycleError'
+		this.graphName = graphName
+		this.cycles = cycles
+	}
+}
+
+/**
+ * Rejected by `DGraph.run` when the graph does not resolve within the
+ * `timeout` passed to `run`. `diagnosis` describes what the graph was still
+ * waiting on; see `DGraph.diagnose`.
+ */
+class RunTimeoutError extends Error {
+	constructor(graphName, timeout, diagnosis) {
+		const blockers = diagnosis.rootBlockers.map(({ path, pendingInputs }) => (
+			pendingInputs.length ? `${path} (pending inputs: ${pendingInputs.join(', ')})` : path
+		))
+		super(`Graph '${graphName}' did not resolve within ${timeout}ms. Undefined nodes: ${diagnosis.undefinedNodes.join(', ') || 'none'}. Blocked by: ${blockers.join(', ') || 'unknown'}.`)
+		this.name = 'RunTimeoutError'
+		this.graphName = graphName
+		this.timeout = timeout
+		this.diagnosis = diagnosis
+	}
+}
+
+/**
+ * A node failed to compute its value, either because evaluating it threw or
+ * because a promise passed as one of the graph's inputs rejected. Nodes that
+ * depend on a failed node fail with the same error, so the error always names
+ * the node where the failure originated:
+ *
+ * - `graphName`: name of the graph containing the originating node.
+ * - `nodeName`: name of the originating node (`inputs` for rejected inputs).
+ * - `inputName`: name of the rejected input, if that's where it originated.
+ * - `cause`: the original error (or rejection reason).
+ *
+ * When `DGraph.run` rejects with a `NodeError`, `nodeErrors` maps the names of
+ * all failed nodes in the running graph to their errors.
+ */
+class NodeError extends Error {
+	constructor({ graphName, nodeName, inputName, cause }) {
+		const reason = cause && cause.message ? cause.message : cause
+		super(inputName
+			? `Input '${inputName}' to graph '${graphName}' was rejected: ${reason}`
+			: `Node '${nodeName}' in graph '${graphName}' failed: ${reason}`)
+		this.name = 'NodeError'
+		this.graphName = graphName
+		this.nodeName = nodeName
+		this.inputName = inputName
+		this.cause = cause
+	}
+}
+
+/**
+ * Thrown by the arithmetic transforms when asked to combine money values (see
+ * `money.js`) in different currencies. `currencies` lists the currency codes
+ * involved.
+ */
+class CurrencyMismatchError extends Error {
+	constructor(operation, currencies) {
+		super(`Cannot ${operation} amounts in different currencies: ${currencies.join(', ')}.`)
+		this.name = 'CurrencyMismatchError'
+		this.operation = operation
+		this.currencies = currencies
+	}
+}
+
+/**
+ * Thrown by `DGraph.run` when its inputs don't match the graph's declared
+ * input schema, and rejected when promised inputs or its results don't match
+ * (see the `schema` node type). `issues` lists `{ path, message }` for each
+ * mismatch, where `path` locates the offending value, eg `inputs.order.qty`.
+ */
+class SchemaValidationError extends Error {
+	constructor(graphName, schemaName, issues) {
+		const description = issues.map(({ path, message }) => `${path} ${message}`).join('; ')
+		super(`Graph '${graphName}' does not match its ${schemaName} schema: ${description}.`)
+		this.name = 'SchemaValidationError'
+		this.graphName = graphName
+		this.schemaName = schemaName
+		this.issues = issues
+	}
+}
+
+// the same error is rethrown to every node that reads the failed node, so
+// remember wrappers to hand out the same `NodeError` each time.
+const wrappedErrors = new WeakMap()
+
+/**
+ * Wrap `error`, thrown while computing the node `nodeName` of the graph
+ * `graphName`, in a `NodeError` unless it already is one, in which case it
+ * originated upstream and is returned as-is.
+ */
+NodeError.wrap = (error, graphName, nodeName) => {
+	if (error instanceof NodeError) {
+		return error
+	}
+	if (error instanceof Object && wrappedErrors.has(error)) {
+		return wrappedErrors.get(error)
+	}
+	const result = new NodeError({ graphName, nodeName, cause: error })
+	if (error instanceof Object) {
+		wrappedErrors.set(error, result)
+	}
+	return result
+}
+
+/**
+ * Copy `error` (keeping its class, message and stack) with `nodeErrors`
+ * attached, for a run to reject with. Node errors are shared by every node
+ * that reads the failed node, and by later runs, so they're never modified.
+ */
+NodeError.withNodeErrors = (error, nodeErrors) => {
+	const result = Object.create(Object.getPrototypeOf(error))
+	Object.getOwnPropertyNames(error).forEach((key) => {
+		Object.defineProperty(result, key, Object.getOwnPropertyDescriptor(error, key))
+	})
+	result.nodeErrors = nodeErrors
+	return result
+}
+
+/**
+ * Thrown when parsing an expression (see `expression.js`) that isn't a
+ * well-formed formula. `position` is the offset in `expr` of the problem.
+ */
+class ExpressionSyntaxError extends Error {
+	constructor(expr, position, reason) {
+		super(`${reason} at position ${position} in expression '${expr}'.`)
+		this.name = 'ExpressionSyntaxError'
+		this.expr = expr
+		this.position = position
+	}
+}
+
+/**
+ * Thrown by a `table` node when none of its rows match the values looked up.
+ * `conditions` describes each requirement a row had to meet, eg
+ * `state = "CA"` or `minMiles <= 600 < maxMiles`.
+ */
+class NoRowMatchedError extends Error {
+	constructor(graphName, nodeName, conditions) {
+		super(`No row of table node '${nodeName}' in graph '${graphName}' matches ${conditions.join(' and ') || 'the lookup'}.`)
+		this.name = 'NoRowMatchedError'
+		this.graphName = graphName
+		this.nodeName = nodeName
+		this.conditions = conditions
+	}
+}
+
+module.exports = {
+	describeEdge,
+	CycleError,
+	RunTimeoutError,
+	NodeError,
+	CurrencyMismatchError,
+	SchemaValidationError,
+	ExpressionSyntaxError,
+	NoRowMatchedError
+}
@@ -0,0 +1,170 @@
+const _ = require('lodash')
+
+const isLiteralPath = path => path.startsWith('#literal#')
+const isInputsPath = path => path === 'inputs' || path.startsWith('inputs.')
+
+const formatValue = value => (_.isUndefined(value) || _.isNaN(value) ? String(value) : JSON.stringify(value))
+const formatArgs = args => _.map(args, (value, name) => `${name}=${formatValue(value)}`).join(', ')
+
+/**
+ * Find the provenance record at `path` in `scope` (a map of node names to
+ * records, as returned by `DGraph.getProvenance`), following paths into
+ * subgraphs: `sub.node`, or `sub.0.node` for one item of a collection.
+ * Returns `{ record, label, scope, labelPrefix }`, where `scope` holds the
+ * record and labels in it start with `labelPrefix`, or null if there's no
+ * record at the path.
+ */
+const findRecord = (scope, path, labelPrefix = '') => {
+	const [nodeId, ...rest] = path.split('.')
+	const record = scope[nodeId]
+	if (!record) {
+		return null
+	}
+	const label = `${labelPrefix}${nodeId}`
+	if (rest.length && record.subgraph && record.subgraph[rest[0]]) {
+		return findRecord(record.subgraph, rest.join('.'), `${label}.`)
+	}
+	if (rest.length > 1 && record.subgraphs && record.subgraphs[rest[0]]) {
+		return findRecord(record.subgraphs[rest[0]], rest.slice(1).join('.'), `${label}[${rest[0]}].`)
+	}
+	return { record, label, scope, labelPrefix }
+}
+
+/**
+ * The nodes of a subgraph worth explaining on their own: those no other
+ * node in the subgraph derives from. Everything else turns up in their
+ * derivations.
+ */
+const findOutputNames = (scope) => {
+	const sourceNodeIds = _.flatMap(_.values(scope), record => _.values(record.sources).map(path => path.split('.')[0]))
+	return _.keys(scope).filter(name => !name.startsWith('#') && !sourceNodeIds.includes(name))
+}
+
+/**
+ * Break a record down into `{ formula, value, note }` for display.
+ */
+const describeRecord = (record) => {
+	const value = record.error ? `error: ${record.error}` : formatValue(record.value)
+	switch (record.type) {
+		case 'transform':
+			return { formula: `${record.fn}(${formatArgs(record.args)})`, value }
+		case 'expression':
+			return { formula: record.expr, value, note: formatArgs(record.args) }
+		case 'alias':
+			return { formula: record.sources.mirror, value }
+		case 'static':
+			return { value }
+		case 'branch':
+			return {
+				formula: record.sources.branch,
+				value,
+				note: `${record.sources.test} is ${formatValue(record.args.test)}${record.sources.branch ? `, so case ${formatValue(record.case)}` : ''}`
+			}
+		case 'cond': {
+			const formula = _.isString(record.then) ? record.then : formatValue(record.then)
+			if (record.case === 'default') {
+				return { formula, value, note: 'no case holds, so the default' }
+			}
+			return _.isUndefined(record.case) ? { value } : { formula, value, note: `case ${record.case}: ${record.when} holds` }
+		}
+		case 'table':
+			return {
+				formula: `${record.sources.rows || 'table'}(${formatArgs(_.omit(record.args, ['rows']))})`,
+				value,
+				note: _.isUndefined(record.row) ? undefined : `row ${record.row}`
+			}
+		case 'graph':
+			return { formula: `graph(${formatArgs(record.args)})` }
+		default:
+			return { formula: `${record.type}(${formatArgs(record.args)})`, value }
+	}
+}
+
+const formatLine = ({ label, formula, value, note }, format) => {
+	if (format === 'markdown') {
+		return `- **${label}**${formula ? ` = \`${formula}\`` : ''}${value ? ` = \`${value}\`` : ''}${note ? ` _(${note})_` : ''}`
+	}
+	return `${label}${formula ? ` = ${formula}` : ''}${value ? ` = ${value}` : ''}${note ? ` (${note})` : ''}`
+}
+
+/**
+ * Render the derivation of the value at `path` from provenance records (see
+ * `DGraph.getProvenance`) as nested plain text or a Markdown list, one line
+ * per node, eg:
+ *
+ * ```
+ * totalCost = add(subtotal=120, tax=9.6) = 129.6
+ *   subtotal = inputs.order.subtotal = 120
+ *     inputs.order.subtotal = 120
+ *   tax = mult(amt=120, factor=0.08) = 9.6
+ *     ...
+ * ```
+ *
+ * Literal args are shown inline. Aliases, branches (with the case taken)
+ * and subgraphs (down to the nodes they output) are followed. A node that
+ * has already been explained is not explained again.
+ *
+ * @param {Object} provenance Provenance records, keyed by node name.
+ * @param {String} path Path to the node to explain, eg `total` or `subgraph.node`.
+ * @param {Object} [options]
+ * @param {String} [options.format] `text` (the default) or `markdown`.
+ * @param {Number} [options.depth] How many levels of dependencies to show. Unlimited by default.
+ * @return {String}
+ */
+const explainProvenance = (provenance, path, options = {}) => {
+	const { format = 'text', depth = Infinity } = options
+	const found = findRecord(provenance, path)
+	if (!found) {
+		throw new Error(`Cannot explain '${path}': no such node.`)
+	}
+
+	const lines = []
+	const explained = []
+	const indent = level => _.repeat('  ', level)
+
+	const explainRecord = ({ record, label, scope, labelPrefix }, level) => {
+		if (explained.includes(label)) {
+			lines.push(indent(level) + formatLine({ label, note: 'see above' }, format))
+			return
+		}
+		explained.push(label)
+		lines.push(indent(level) + formatLine({ label, ...describeRecord(record) }, format))
+		if (level >= depth) {
+			return
+		}
+
+		_.forOwn(record.sources, (sourcePath, name) => {
+			if (isLiteralPath(sourcePath)) {
+				return
+			}
+			if (isInputsPath(sourcePath)) {
+				lines.push(indent(level + 1) + formatLine({ label: sourcePath, value: formatValue(record.args[name]) }, format))
+				return
+			}
+			const source = findRecord(scope, sourcePath, labelPrefix)
+			if (source) {
+				explainRecord(source, level + 1)
+			}
+		})
+
+		const subgraphs = record.subgraph ? [[record.subgraph, `${label}.`]] : []
+		_.forEach(record.subgraphs, (subgraph, i) => subgraphs.push([subgraph, `${label}[${i}].`]))
+		subgraphs.forEach(([subgraph, subgraphPrefix]) => {
+			findOutputNames(subgraph).forEach((name) => {
+				explainRecord({
+					record: subgraph[name],
+					label: `${subgraphPrefix}${name}`,
+					scope: subgraph,
+					labelPrefix: subgraphPrefix
+				}, level + 1)
+			})
+		})
+	}
+
+	explainRecord(found, 0)
+	return lines.join('\n')
+}
+
+module.exports = {
+	explainProvenance
+}
@@ -0,0 +1,204 @@
+const _ = require('lodash')
+
+const isLiteralName = name => name.startsWith('#literal#')
+
+const formatValue = (value) => {
+	const result = _.isUndefined(value) || _.isNaN(value) ? String(value) : JSON.stringify(value)
+	return result.length > 40 ? `${result.slice(0, 39)}…` : result
+}
+
+/**
+ * The subgraph to draw inside a graph node's cluster, once it's been built:
+ * its only subgraph or, for collection modes, the first item's.
+ */
+const getDrawnSubgraph = dNode => dNode.subgraph || (dNode.subgraphs && dNode.subgraphs[0])
+
+/**
+ * Collect what to draw, independent of output format:
+ *
+ * - `nodes`: `{ id, type, lines, cluster }`, where `lines` make up the node's label
+ *   and `cluster` is the id of the cluster the node belongs to, if any.
+ * - `clusters`: `{ id, label, parent }`, one for each built subgraph.
+ * - `edges`: `{ from, to, label }`, from the depended-upon node to the dependent one.
+ *
+ * Inside a cluster, the subgraph node itself stands in for the subgraph's
+ * `inputs` node.
+ */
+const collectDrawing = (dGraph, options) => {
+	const nodes = []
+	const clusters = []
+	const edges = []
+
+	const addGraph = (graph, idPrefix, cluster) => {
+		const idOf = name => `${idPrefix}${name}`
+		const isDrawn = dNode => !(options.hideLiterals && isLiteralName(dNode.name)) && !(cluster && dNode.type === 'inputs')
+		const graphEdges = graph.getDEdges()
+
+		// hidden literals are shown in their dependents' labels instead.
+		const literalLines = {}
+		if (options.hideLiterals) {
+			graphEdges.filter(edge => isLiteralName(edge.dstNodeId)).forEach(({ srcNodeId, srcPropName, dstNodeId }) => {
+				const literal = graph.getDNode(dstNodeId)
+				literalLines[srcNodeId] = (literalLines[srcNodeId] || []).concat(`${srcPropName} = ${formatValue(literal.value)}`)
+			})
+		}
+
+		graph.getDNodes().filter(isDrawn).forEach((dNode) => {
+			const lines = [dNode.name, dNode.type === 'transform' ? dNode.originalNodeDef.fn : dNode.type]
+			if (options.values && !['graph', 'inputs'].includes(dNode.type)) {
+				try {
+					lines.push(`= ${formatValue(dNode.serializeValue(dNode.value))}`)
+				}
+				catch (error) {
+					lines.push('= (failed)')
+				}
+			}
+			const node = { id: idOf(dNode.name), type: dNode.type, lines: lines.concat(literalLines[dNode.name] || []), cluster }
+			nodes.push(node)
+
+			const subgraph = getDrawnSubgraph(dNode)
+			if (subgraph) {
+				node.cluster = node.id
+				clusters.push({
+					id: node.id,
+					label: dNode.subgraphs ? `${dNode.name} (each of ${dNode.subgraphs.length} items)` : dNode.name,
+					parent: cluster
+				})
+				addGraph(subgraph, `${node.id}/`, node.id)
+			}
+		})
+
+		// point edges at subgraph interiors where they can be.
+		const endpointId = (nodeId, valuePath) => {
+			if (nodeId === 'inputs' && cluster) {
+				return cluster
+			}
+			const subgraph = graph.getDNode(nodeId) && getDrawnSubgraph(graph.getDNode(nodeId))
+			const interiorName = valuePath && valuePath.split('.')[0]
+			if (subgraph && interiorName && subgraph.getDNode(interiorName)) {
+				return `${idOf(nodeId)}/${interiorName}`
+			}
+			return idOf(nodeId)
+		}
+
+		graphEdges.forEach(({ srcNodeId, srcPropName, dstNodeId, dstValuePath }) => {
+			if (options.hideLiterals && isLiteralName(dstNodeId)) {
+				return
+			}
+			edges.push({
+				from: endpointId(dstNodeId, dstValuePath),
+				to: idOf(srcNodeId),
+				label: dstValuePath && dstValuePath !== srcPropName ? `${dstValuePath} → ${srcPropName}` : srcPropName
+			})
+		})
+	}
+
+	addGraph(dGraph, '', null)
+
+	// drop edges to nodes that aren't drawn, eg supergraph nodes a subgraph depends on.
+	const nodeIds = nodes.map(node => node.id)
+	return {
+		nodes,
+		clusters,
+		edges: edges.filter(({ from, to }) => nodeIds.includes(from) && nodeIds.includes(to))
+	}
+}
+
+const dotShapes = {
+	inputs: 'invhouse',
+	static: 'note',
+	comments: 'note',
+	schema: 'note',
+	alias: 'cds',
+	echo: 'parallelogram',
+	dereference: 'hexagon',
+	transform: 'box',
+	branch: 'diamond',
+	async: 'octagon',
+	graph: 'box3d'
+}
+
+const escapeDot = s => s.replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+
+/**
+ * Render a graph as Graphviz DOT. See `DGraph.toDot`.
+ */
+const toDot = (dGraph, options = {}) => {
+	const { nodes, clusters, edges } = collectDrawing(dGraph, options)
+	const lines = [`digraph "${escapeDot(dGraph.name)}" {`, '\trankdir=LR;']
+
+	const addCluster = (clusterId, indent) => {
+		nodes.filter(node => node.cluster === clusterId).forEach(({ id, type, lines: label }) => {
+			lines.push(`${indent}"${escapeDot(id)}" [label="${label.map(escapeDot).join('\\n')}", shape=${dotShapes[type] || 'ellipse'}];`)
+		})
+		clusters.filter(cluster => cluster.parent === clusterId).forEach(({ id, label }) => {
+			lines.push(`${indent}subgraph "cluster_${escapeDot(id)}" {`)
+			lines.push(`${indent}\tlabel="${escapeDot(label)}";`)
+			addCluster(id, `${indent}\t`)
+			lines.push(`${indent}}`)
+		})
+	}
+	addCluster(null, '\t')
+
+	edges.forEach(({ from, to, label }) => {
+		lines.push(`\t"${escapeDot(from)}" -> "${escapeDot(to)}" [label="${escapeDot(label)}"];`)
+	})
+	lines.push('}')
+	return lines.join('\n')
+}
+
+const mermaidShapes = {
+	inputs: ['[/', '/]'],
+	static: ['([', '])'],
+	comments: ['>', ']'],
+	schema: ['>', ']'],
+	alias: ['>', ']'],
+	echo: ['[\\', '\\]'],
+	dereference: ['{{', '}}'],
+	transform: ['[', ']'],
+	branch: ['{', '}'],
+	async: ['((', '))'],
+	graph: ['[[', ']]']
+}
+
+const escapeMermaid = s => s.replace(/"/g, '#quot;')
+
+/**
+ * Render a graph as a Mermaid flowchart. See `DGraph.toMermaid`.
+ */
+const toMermaid = (dGraph, options = {}) => {
+	const { nodes, clusters, edges } = collectDrawing(dGraph, options)
+	const lines = ['flowchart LR']
+
+	// mermaid ids are restricted, so number everything.
+	const ids = {}
+	nodes.forEach((node, i) => {
+		ids[node.id] = `n${i}`
+	})
+	clusters.forEach((cluster, i) => {
+		ids[`cluster:${cluster.id}`] = `c${i}`
+	})
+
+	const addCluster = (clusterId, indent) => {
+		nodes.filter(node => node.cluster === clusterId).forEach(({ id, type, lines: label }) => {
+			const [open, close] = mermaidShapes[type] || ['(', ')']
+			lines.push(`${indent}${ids[id]}${open}"${label.map(escapeMermaid).join('<br/>')}"${close}`)
+		})
+		clusters.filter(cluster => cluster.parent === clusterId).forEach(({ id, label }) => {
+			lines.push(`${indent}subgraph ${ids[`cluster:${id}`]} ["${escapeMermaid(label)}"]`)
+			addCluster(id, `${indent}\t`)
+			lines.push(`${indent}end`)
+		})
+	}
+	addCluster(null, '\t')
+
+	edges.forEach(({ from, to, label }) => {
+		lines.push(`\t${ids[from]} -->|"${escapeMermaid(label)}"| ${ids[to]}`)
+	})
+	return lines.join('\n')
+}
+
+module.exports = {
+	toDot,
+	toMermaid
+}
@@ -0,0 +1,383 @@
+const _ = require('lodash')
+const { ExpressionSyntaxError } = require('./errors')
+
+/**
+ * A small formula language for `expression` nodes, eg
+ * `round(subtotal * (1 + inputs.taxRate), 2)`. Formulas are parsed here, never
+ * `eval`ed, and can only call the graph's transforms:
+ *
+ * - Literals: numbers, `'strings'` or `"strings"`, `true`, `false` and `null`.
+ * - Paths to values in the graph, as in transform `params`: `subtotal`,
+ *   `inputs.order.lines.0.amount` or `inputs.lines.*.amount`.
+ * - Operators, each a call to a transform: `+` (`add`), `-` (`sub`), `*`
+ *   (`mult`), `/` (`div`), `<` (`lt`), `>` (`gt`), `<=` (`lte`), `>=`
+ *   (`gte`), `==` (`eq`), `!=` (`not` of `eq`), `&&` (`andN`), `||` (`orN`),
+ *   `!` (`not`) and `test ? pass : fail` (`ternary`), with the usual
+ *   precedence, and parentheses.
+ * - Calls to transforms by name, passing params in the order the transform's
+ *   meta declares them (eg `round(amt, places)`), or any number of items to
+ *   the `xxxN` transforms (eg `addN(a, b, c)`).
+ */
+
+const binaryOperatorFns = {
+	'+': 'add',
+	'-': 'sub',
+	'*': 'mult',
+	'/': 'div',
+	'<': 'lt',
+	'>': 'gt',
+	'<=': 'lte',
+	'>=': 'gte',
+	'==': 'eq'
+}
+
+// longest first, so `<=` isn't read as `<` then `=`.
+const operators = ['<=', '>=', '==', '!=', '&&', '||', '+', '-', '*', '/', '<', '>', '!', '?', ':', '(', ')', ',']
+
+const keywordValues = { true: true, false: false, null: null }
+
+const numberPattern = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/
+const namePattern = /^[A-Za-z_$#][\w$#]*(\.([A-Za-z_$#][\w$#]*|\d+|\*))*/
+
+/**
+ * Split `expr` into tokens shaped `{ type, value, position }`, where `type` is
+ * `number`, `string`, `name` or `operator`.
+ */
+const tokenize = (expr) => {
+	const tokens = []
+	let position = 0
+	while (position < expr.length) {
+		const rest = expr.slice(position)
+		const whitespace = rest.match(/^\s+/)
+		const number = rest.match(numberPattern)
+		const name = rest.match(namePattern)
+		const operator = operators.find(op => rest.startsWith(op))
+		if (whitespace) {
+			position += whitespace[0].length
+		}
+		else if (number) {
+			tokens.push({ type: 'number', value: Number(number[0]), position })
+			position += number[0].length
+		}
+		else if (name) {
+			tokens.push({ type: 'name', value: name[0], position })
+			position += name[0].length
+		}
+		else if (rest[0] === '\'' || rest[0] === '"') {
+			const quote = rest[0]
+			let value = ''
+			let i = 1
+			while (i < rest.length && rest[i] !== quote) {
+				if (rest[i] === '\\' && i + 1 < rest.length) {
+					i++
+				}
+				value += rest[i]
+				i++
+			}
+			if (i >= rest.length) {
+				throw new ExpressionSyntaxError(expr, position, 'Unterminated string')
+			}
+			tokens.push({ type: 'string', value, position })
+			position += i + 1
+		}
+		else if (operator) {
+			tokens.push({ type: 'operator', value: operator, position })
+			position += operator.length
+		}
+		else {
+			throw new ExpressionSyntaxError(expr, position, `Unexpected character '${rest[0]}'`)
+		}
+	}
+	return tokens
+}
+
+const call = (fn, args) => ({ type: 'call', fn, args })
+
+/**
+ * Parse `expr` into a syntax tree of nodes shaped `{ type: 'literal', value }`,
+ * `{ type: 'path', path }` or `{ type: 'call', fn, args }`, where `fn` names a
+ * transform and `args` are positional. Operators become calls to the
+ * transforms they stand for. Throws an `ExpressionSyntaxError` if `expr` isn't
+ * a well-formed formula.
+ *
+ * @param {String} expr
+ * @return {Object}
+ */
+const parseExpression = (expr) => {
+	if (!_.isString(expr)) {
+		throw new ExpressionSyntaxError(expr, 0, 'An expression must be a string')
+	}
+	const tokens = tokenize(expr)
+	let i = 0
+
+	const peek = () => tokens[i]
+	const isOperator = (...ops) => !!peek() && peek().type === 'operator' && ops.includes(peek().value)
+	const fail = (message) => {
+		const token = peek()
+		throw new ExpressionSyntaxError(expr, token ? token.position : expr.length, token ? `${message}, found '${token.value}'` : `${message}, found the end`)
+	}
+	const expect = (op) => {
+		if (!isOperator(op)) {
+			fail(`Expected '${op}'`)
+		}
+		i++
+	}
+
+	/* eslint-disable no-use-before-define */
+	const parseBinary = (ops, parseOperand) => () => {
+		let left = parseOperand()
+		while (isOperator(...ops)) {
+			const op = tokens[i++].value
+			const right = parseOperand()
+			if (op === '!=') {
+				left = call('not', [call('eq', [left, right])])
+			}
+			else if (op === '&&' || op === '||') {
+				// chains like `a && b && c` make one call.
+				const fn = op === '&&' ? 'andN' : 'orN'
+				left = left.type === 'call' && left.fn === fn ? call(fn, left.args.concat([right])) : call(fn, [left, right])
+			}
+			else {
+				left = call(binaryOperatorFns[op], [left, right])
+			}
+		}
+		return left
+	}
+	const parseTernary = () => {
+		const test = parseOr()
+		if (!isOperator('?')) {
+			return test
+		}
+		i++
+		const pass = parseTernary()
+		expect(':')
+		return call('ternary', [test, pass, parseTernary()])
+	}
+	const parseUnary = () => {
+		if (isOperator('!')) {
+			i++
+			return call('not', [parseUnary()])
+		}
+		if (isOperator('-')) {
+			i++
+			const operand = parseUnary()
+			if (operand.type === 'literal' && _.isNumber(operand.value)) {
+				return { type: 'literal', value: -operand.value }
+			}
+			return call('mult', [operand, { type: 'literal', value: -1 }])
+		}
+		return parsePrimary()
+	}
+	const parsePrimary = () => {
+		const token = peek()
+		if (!token) {
+			return fail('Expected a value')
+		}
+		if (isOperator('(')) {
+			i++
+			const inner = parseTernary()
+			expect(')')
+			return inner
+		}
+		if (token.type === 'number' || token.type === 'string') {
+			i++
+			return { type: 'literal', value: token.value }
+		}
+		if (token.type !== 'name') {
+			return fail('Expected a value')
+		}
+		i++
+		if (_.has(keywordValues, token.value)) {
+			return { type: 'literal', value: keywordValues[token.value] }
+		}
+		if (!isOperator('(')) {
+			return { type: 'path', path: token.value }
+		}
+		if (token.value.includes('.')) {
+			throw new ExpressionSyntaxError(expr, token.position, `'${token.value}' is not a function name`)
+		}
+		i++
+		const args = []
+		while (!isOperator(')')) {
+			if (args.length) {
+				expect(',')
+			}
+			args.push(parseTernary())
+		}
+		i++
+		return call(token.value, args)
+	}
+	/* eslint-enable no-use-before-define */
+
+	const parseMultiplicative = parseBinary(['*', '/'], parseUnary)
+	const parseAdditive = parseBinary(['+', '-'], parseMultiplicative)
+	const parseComparison = parseBinary(['<', '>', '<=', '>='], parseAdditive)
+	const parseEquality = parseBinary(['==', '!='], parseComparison)
+	const parseAnd = parseBinary(['&&'], parseEquality)
+	const parseOr = parseBinary(['||'], parseAnd)
+
+	const result = parseTernary()
+	if (peek()) {
+		fail('Expected the end of the expression')
+	}
+	return result
+}
+
+const fnOperators = _.invert(binaryOperatorFns)
+
+// how tightly each operator binds: operands that bind less tightly need parentheses.
+const precedence = {
+	ternary: 1,
+	orN: 2,
+	andN: 3,
+	eq: 4,
+	lt: 5,
+	gt: 5,
+	lte: 5,
+	gte: 5,
+	add: 6,
+	sub: 6,
+	mult: 7,
+	div: 7,
+	unary: 8,
+	operand: 9
+}
+
+const formatLiteral = (value) => {
+	if (_.isString(value)) {
+		return `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`
+	}
+	return String(value)
+}
+
+/**
+ * Render the syntax tree `ast` (see `parseExpression`) as a formula, using
+ * operators rather than calls wherever parsing the formula gives the same
+ * calls back, and only the parentheses that precedence requires.
+ *
+ * @param {Object} ast
+ * @return {String}
+ */
+const formatExpression = (ast) => {
+	// each node formats as [formula, precedence of its outermost operator].
+	const format = (node) => {
+		if (node.type === 'literal') {
+			return [formatLiteral(node.value), _.isNumber(node.value) && node.value < 0 ? precedence.unary : precedence.operand]
+		}
+		if (node.type === 'path') {
+			return [node.path, precedence.operand]
+		}
+		const { fn, args } = node
+		const operand = (arg, minPrecedence) => {
+			const [formula, argPrecedence] = format(arg)
+			return argPrecedence < minPrecedence ? `(${formula})` : formula
+		}
+		const isNegation = fn === 'mult' && args.length === 2 && args[1].type === 'literal' && args[1].value === -1
+		const isNotEqual = fn === 'not' && args.length === 1 && args[0].type === 'call' && args[0].fn === 'eq' && args[0].args.length === 2
+		if (fnOperators[fn] && args.length === 2 && !isNegation) {
+			// operators are left-associative, so an operand on the right of the same precedence needs parentheses.
+			return [`${operand(args[0], precedence[fn])} ${fnOperators[fn]} ${operand(args[1], precedence[fn] + 1)}`, precedence[fn]]
+		}
+		if (isNotEqual) {
+			return [`${operand(args[0].args[0], precedence.eq)} != ${operand(args[0].args[1], precedence.eq + 1)}`, precedence.eq]
+		}
+		if (fn === 'not' && args.length === 1) {
+			return [`!${operand(args[0], precedence.unary)}`, precedence.unary]
+		}
+		if (isNegation) {
+			const formula = operand(args[0], precedence.unary)
+			return [formula.startsWith('-') ? `-(${formula})` : `-${formula}`, precedence.unary]
+		}
+		if ((fn === 'andN' || fn === 'orN') && args.length >= 2) {
+			return [args.map(arg => operand(arg, precedence[fn] + 1)).join(fn === 'andN' ? ' && ' : ' || '), precedence[fn]]
+		}
+		if (fn === 'ternary' && args.length === 3) {
+			const [test, pass, fail] = args
+			return [`${operand(test, precedence.orN)} ? ${operand(pass, precedence.ternary)} : ${operand(fail, precedence.ternary)}`, precedence.ternary]
+		}
+		return [`${fn}(${args.map(arg => format(arg)[0]).join(', ')})`, precedence.operand]
+	}
+	return format(ast)[0]
+}
+
+/**
+ * The paths that the syntax tree `ast` (see `parseExpression`) reads, in
+ * order of appearance and without duplicates.
+ */
+const collectExpressionPaths = (ast) => {
+	if (ast.type === 'path') {
+		return [ast.path]
+	}
+	return ast.type === 'call' ? _.uniq(_.flatMap(ast.args, collectExpressionPaths)) : []
+}
+
+/**
+ * Compile the syntax tree `ast` (see `parseExpression`) into terms shaped
+ * `{ value }`, `{ path }` or `{ fn, params }`, where `params` are named as
+ * the transform `fn` in the registry `transforms` declares them (or are a list,
+ * for the `xxxN` transforms), as if for a `transform` node. Throws if a
+ * transform is unknown or is passed the wrong number of params.
+ *
+ * @param {Object} ast
+ * @param {Registry} transforms
+ * @return {Object}
+ */
+const compileExpression = (ast, transforms) => {
+	if (ast.type === 'literal') {
+		return { value: ast.value }
+	}
+	if (ast.type === 'path') {
+		return { path: ast.path }
+	}
+	const { fn } = ast
+	if (!_.isFunction(transforms.get(fn))) {
+		throw new Error(`No transform function '${fn}' is defined.`)
+	}
+	const args = ast.args.map(arg => compileExpression(arg, transforms))
+	const meta = transforms.getMeta(fn) || {}
+	if (meta.items) {
+		return { fn, params: args }
+	}
+	if (!meta.params) {
+		throw new Error(`Transform '${fn}' does not declare its params, so can't be called in an expression.`)
+	}
+	const paramNames = _.keys(meta.params)
+	if (args.length > paramNames.length) {
+		throw new Error(`Transform '${fn}' takes at most ${paramNames.length} params (${paramNames.join(', ')}) but is passed ${args.length}.`)
+	}
+	const missingNames = paramNames.slice(args.length).filter(name => !meta.params[name].isOptional)
+	if (missingNames.length) {
+		throw new Error(`Transform '${fn}' expects params ${paramNames.join(', ')} but is passed ${args.length}.`)
+	}
+	return { fn, params: _.zipObject(paramNames.slice(0, args.length), args) }
+}
+
+/**
+ * Evaluate `term`, as returned by `compileExpression`, by calling transforms
+ * in the registry `transforms`. `getPathValue(path)` returns the value at a
+ * path. As with a chain of `transform` nodes, a call is undefined if any of
+ * its params are.
+ */
+const evaluateExpression = (term, getPathValue, transforms) => {
+	if (_.has(term, 'value')) {
+		return term.value
+	}
+	if (_.has(term, 'path')) {
+		return getPathValue(term.path)
+	}
+	const evaluate = param => evaluateExpression(param, getPathValue, transforms)
+	const params = _.isArray(term.params) ? term.params.map(evaluate) : _.mapValues(term.params, evaluate)
+	if (_.values(params).some(_.isUndefined)) {
+		return undefined
+	}
+	return transforms.get(term.fn)(params, transforms)
+}
+
+module.exports = {
+	binaryOperatorFns,
+	parseExpression,
+	formatExpression,
+	collectExpressionPaths,
+	compileExpression,
+	evaluateExpression
+}
@@ -1,12 +1,70 @@
-const { observable, autorun, toJS } = require('mobx')
+const { observable, autorun, runInAction, toJS } = require('mobx')
 const graphlib = require('graphlib')
 const _ = require('lodash')
 const { flattenObject } = require('./object-path-utils')
-const dNodeClasses = require('./d-nodes')
+const nodeClasses = require('./d-nodes')
 const EventEmitter = require('./EventEmitter')
+const Registry = require('./registry')
+const transformFns = require('./transform-fns')
+const transformMeta = require('./transform-meta')
+const decimalFns = require('./decimal-fns')
+const { Decimal } = require('./decimal')
+const { minorUnits, isMoney, createMoneyTransforms } = require('./money')
+const { validateGraphDef } = require('./validate')
+const { explainProvenance } = require('./explain')
+const { toDot, toMermaid } = require('./export-graph')
+const { validateValue, getPropertySchema, inferInputSchema } = require('./schema')
+const { checkTypes } = require('./type-check')
+const { collapseExpressions, expandExpressions } = require('./decompile')
+const { CycleError, RunTimeoutError, NodeError, CurrencyMismatchError, SchemaValidationError, ExpressionSyntaxError, NoRowMatchedError } = require('./errors')
+
+const { DNode } = nodeClasses
 
 let nGraphs = 0
 
+/**
+ * Build a registry of transform functions on top of `parent` from a plain
+ * object whose values are either functions or `{ fn, ...meta }` objects.
+ */
+const createTransformRegistry = (transforms, parent) => {
+	const registry = new Registry(parent)
+	_.forOwn(transforms, (transform, name) => {
+		if (_.isFunction(transform)) {
+			registry.register(name, transform)
+		}
+		else if (transform && _.isFunction(transform.fn)) {
+			registry.register(name, transform.fn, _.omit(transform, 'fn'))
+		}
+		else {
+			throw new Error(`Transform '${name}' must be a function or an object with an \`fn\` function.`)
+		}
+	})
+	return registry
+}
+
+/**
+ * Register a node class under `type` in `registry`, checking it's usable.
+ */
+const registerNodeType = (registry, type, DNodeClass, meta) => {
+	if (type === 'inputs') {
+		throw new Error('The `inputs` node type is reserved.')
+	}
+	if (!_.isFunction(DNodeClass) || !(DNodeClass.prototype instanceof DNode)) {
+		throw new Error(`Node type '${type}' must be a subclass of DGraph.DNode.`)
+	}
+	registry.register(type, DNodeClass, meta)
+}
+
+/**
+ * Build a registry of node classes on top of `parent` from a plain object
+ * whose keys are node types and values are `DNode` subclasses.
+ */
+const createNodeTypeRegistry = (nodeTypes, parent) => {
+	const registry = new Registry(parent)
+	_.forOwn(nodeTypes, (DNodeClass, type) => registerNodeType(registry, type, DNodeClass))
+	return registry
+}
+
 /**
  * DGraph: Dependency Graph
  *
@@ -72,12 +130,32 @@ let nGraphs = 0
  *   if there is no logical cycle among individual nodes (that is, if they were all
  *   together in a single big graph). You can work around for now this by defining
  *   an alias of one of the values in the root graph and then referring to that.
+ *   `run` detects such cycles (and any others) up front and rejects with a
+ *   `DGraph.CycleError` listing the edges involved.
+ *
  *
+ * Transform functions and node types beyond the built-in ones can be registered
+ * for all graphs with `DGraph.registerTransform` and `DGraph.registerNodeType`,
+ * or for a single graph (and its subgraphs) via the `transforms` and `nodeTypes`
+ * options.
  *
  * @param {Array} graphDefinition A list of nodes describing this graph.
  * @param {String} [name] The name of the graph.
  * @param {DGraph} [supergraph] This graph's supergraph (used by graph nodes).
  * @param {Object} [options] Options object.
+ * @param {Object} [options.transforms] Transform functions available to this graph and its
+ *   subgraphs, by name. Values are either functions or `{ fn, ...meta }` objects, with meta
+ *   as for `DGraph.registerTransform`.
+ * @param {Object} [options.nodeTypes] Node classes available to this graph and its subgraphs,
+ *   by type. See `DGraph.registerNodeType`.
+ * @param {String} [options.numeric] `float` (the default) or `decimal`. With `decimal`, the
+ *   arithmetic transforms (`add`, `mult`, `div`, `roundCurrency` and so on) compute exact
+ *   `DGraph.Decimal`s instead of floating point numbers. See `decimal-fns.js`.
+ * @param {String} [options.decimalOutput] How decimals appear in the graph's state: as
+ *   `string`s (exact, and the default in decimal graphs) or `number`s (the default in
+ *   float graphs, whose only decimals are money amounts).
+ * @param {Number} [options.concurrency] The most subgraphs a collection node (see `GraphDNode`)
+ *   runs at once, unless the node sets its own `concurrency`. Unlimited by default.
  */
 class DGraph extends EventEmitter {
 	constructor(graphDefinition, name, supergraph, options) {
@@ -86,6 +164,12 @@ class DGraph extends EventEmitter {
 			throw new Error('No graph definition was supplied.')
 		}
 
+		// name and supergraph are optional: `new DGraph(graphDef, options)` works too.
+		if (_.isPlainObject(name)) {
+			options = name // eslint-disable-line no-param-reassign
+			name = undefined // eslint-disable-line no-param-reassign
+		}
+
 		this.graphDefinition = graphDefinition
 		this.name = name || `Unnamed-DGraph-${nGraphs++}`
 
@@ -96,22 +180,47 @@ class DGraph extends EventEmitter {
 		}
 		else {
 			this.supergraph = null
-			options = supergraph // eslint-disable-line no-param-reassign
+			if (supergraph) {
+				options = supergraph // eslint-disable-line no-param-reassign
+			}
 		}
 
 		this._graph = null
+		this.pendingInputs = []
+		this._latestInputs = {}
+		this.isLive = false
 		this.isConstructed = Promise.resolve(false)
 		this.options = _.defaults({}, options, { // eslint-disable-line no-param-reassign
 			echoInputs: false,
 			echoTemplates: false,
 			echoIntermediates: false,
 			logUndefinedPaths: false,
+			numeric: 'float',
 			depth: 0
 		})
+		// float graphs only compute decimals for money, whose amounts they output
+		// as numbers, like everything else, unless asked otherwise.
+		_.defaults(this.options, { decimalOutput: this.options.numeric === 'decimal' ? 'string' : 'number' })
+		if (!['float', 'decimal'].includes(this.options.numeric)) {
+			throw new Error(`Unknown numeric mode '${this.options.numeric}'. Supported: float, decimal.`)
+		}
+		if (!_.isUndefined(this.options.concurrency) && !(Number.isInteger(this.options.concurrency) && this.options.concurrency > 0)) {
+			throw new Error(`The \`concurrency\` option must be a positive integer. Passed: ${this.options.concurrency}.`)
+		}
 
 		this.normalizePathDef = DGraph.normalizePathDef
 		this.srcFromPath = DGraph.srcFromPath
 
+		let baseTransforms = this.options.numeric === 'decimal' ? DGraph.decimalTransforms : DGraph.transforms
+		if (this.supergraph) {
+			baseTransforms = this.supergraph.transforms
+		}
+		this.transforms = createTransformRegistry(this.options.transforms, baseTransforms)
+		this.nodeTypes = createNodeTypeRegistry(
+			this.options.nodeTypes,
+			this.supergraph ? this.supergraph.nodeTypes : DGraph.nodeTypes
+		)
+
 		this._build()
 	}
 
@@ -152,15 +261,22 @@ class DGraph extends EventEmitter {
 		// create an inputs node
 		def.push({ name: 'inputs', type: 'inputs', value: {} })
 
+		for (const nodeDef of def) {
+			if (!this.nodeTypes.has(nodeDef.type)) {
+				throw new Error(`Unknown node type: ${nodeDef.type}.`)
+			}
+		}
+
 		// for nodes with inputs or params, work out if there are any literals in the def.
 		// if so, create new static nodes for those values.
 		const nodeNames = def.map(n => n.name)
 		const literalNodes = []
 		for (const nodeDef of def) {
-			const pathProps = dNodeClasses[nodeDef.type].getPathProps()
+			const DNodeClass = this.nodeTypes.get(nodeDef.type)
+			const pathProps = DNodeClass.getPathProps()
 			const pathPropertyNames = _.keys(pathProps)
 			for (const pathPropertyName of pathPropertyNames) {
-				const pathPropertyValue = nodeDef[pathPropertyName]
+				const pathPropertyValue = DNodeClass.getPathDef(nodeDef, pathPropertyName)
 				if (pathPropertyValue) {
 					const normalizedPathDefs = this.normalizePathDef(pathPropertyValue)
 					const keys = _.keys(normalizedPathDefs)
@@ -206,13 +322,13 @@ class DGraph extends EventEmitter {
 			resolveGraphIsConnected = resolve
 		})
 
-		const graphDef = this._preprocessGraphDef(this.graphDefinition)
+		// subgraphs built for each item of a collection share their preprocessed
+		// graphDef (see `GraphDNode._createSubgraph`).
+		const graphDef = this.options.preprocessedGraphDef || this._preprocessGraphDef(this.graphDefinition)
+		this.preprocessedGraphDef = graphDef
 
 		const dNodes = graphDef.map((nodeDef) => {
-			const DNodeClass = dNodeClasses[nodeDef.type]
-			if (!DNodeClass) {
-				throw new Error(`Unknown node type: ${nodeDef.type}.`)
-			}
+			const DNodeClass = this.nodeTypes.get(nodeDef.type)
 			return new DNodeClass(this, nodeDef)
 		})
 
@@ -257,33 +373,190 @@ class DGraph extends EventEmitter {
 
 
 	shouldIncludeNodeValue(dNode) {
-		let result = !dNode.name.startsWith('#') && (!(dNode instanceof dNodeClasses.inputs) || this.options.echoInputs)
+		let result = !dNode.name.startsWith('#') && (!(dNode instanceof nodeClasses.inputs) || this.options.echoInputs)
 		result = result && dNode.echoTo
 		return result
 	}
 
 	getState(includeInvisible = false) {
-		const nodeValues = {}
-		try {
-			this._graph.nodes().forEach((nodeId) => {
-				const dNode = this._graph.node(nodeId)
-				const { name } = dNode
-				const { value } = dNode
-				if (dNode.isVisibleInGraphState || includeInvisible) {
-					nodeValues[name] = toJS(value)
-				}
-			})
-		}
-		catch (error) {
+		const { state, errors } = this.getStateWithErrors(includeInvisible)
+		const erroredNodeNames = _.keys(errors)
+		if (erroredNodeNames.length) {
+			const error = errors[erroredNodeNames[0]]
 			this.log(`Error caught reading nodes from [${this.name}]. ${error}.`)
 			this.log(error.stack)
 			throw error
 		}
-		return nodeValues
+		return state
+	}
+
+	/**
+	 * Like `getState`, but rather than throwing if any node failed, leave
+	 * failed nodes out of the state. Returns `{ state, errors }`, where `errors`
+	 * maps the names of failed nodes to their `NodeError`s.
+	 *
+	 * @param {Boolean} includeInvisible
+	 * @param {String} [decimalOutput] Overrides the graph's `decimalOutput` option.
+	 */
+	getStateWithErrors(includeInvisible = false, decimalOutput) {
+		const state = {}
+		const errors = {}
+		this._graph.nodes().forEach((nodeId) => {
+			const dNode = this._graph.node(nodeId)
+			const { name } = dNode
+			if (dNode.isVisibleInGraphState || includeInvisible) {
+				try {
+					state[name] = dNode.serializeValue(dNode.value, decimalOutput)
+				}
+				catch (error) {
+					errors[name] = NodeError.wrap(error, this.name, name)
+				}
+			}
+		})
+		return { state, errors }
+	}
+
+	/**
+	 * Provenance records (see `DNode.getProvenance`) describing how every
+	 * visible node arrived at its current value, keyed by node name. Records
+	 * for the hidden nodes they derive from, such as `#literal#` nodes, are
+	 * included too, so that every source path except `inputs` paths can be
+	 * followed to a record. Records for subgraph nodes nest their subgraph's
+	 * provenance. The result is plain JSON, suitable for storing alongside
+	 * the results.
+	 */
+	getProvenance() {
+		const provenance = {}
+		const addRecord = (nodeId) => {
+			const dNode = this.getDNode(nodeId)
+			if (!dNode || dNode.type === 'inputs' || provenance[nodeId]) {
+				return
+			}
+			provenance[nodeId] = dNode.getProvenance()
+			_.values(provenance[nodeId].sources).forEach(path => addRecord(this.srcFromPath(path).nodeId))
+		}
+		this.getDNodes().filter(dNode => dNode.isVisibleInGraphState).forEach(dNode => addRecord(dNode.name))
+		return provenance
+	}
+
+	/**
+	 * Explain how the value at `path` was calculated, as nested plain text or
+	 * Markdown, eg for answering "why is my bill this amount". See
+	 * `DGraph.explainProvenance` for the format and options.
+	 *
+	 * @param {String} path Path to a node, eg `totalCost` or `subgraphNode.interiorNode`.
+	 * @param {Object} [options] `{ format: 'text' | 'markdown', depth }`.
+	 */
+	explain(path, options) {
+		return explainProvenance(this.getProvenance(), path, options)
+	}
+
+	/**
+	 * Draw the graph in Graphviz DOT format. Each node type gets its own shape,
+	 * edges point from depended-upon nodes to their dependents and are labeled
+	 * with the value path and property they connect, and subgraphs are drawn as
+	 * clusters (the subgraph node standing in for the subgraph's inputs).
+	 *
+	 * Edges are only known once the graph is connected (see `isConnected`) and
+	 * subgraphs once they've been built, so draw the graph after `run`.
+	 * Collection-mode subgraphs are drawn once, for the first item.
+	 *
+	 * @param {Object} [options]
+	 * @param {Boolean} [options.hideLiterals] Leave out `#literal#` nodes, listing their values
+	 *   in the labels of the nodes that use them instead.
+	 * @param {Boolean} [options.values] Include each node's current value in its label.
+	 * @return {String}
+	 */
+	toDot(options) {
+		return toDot(this, options)
+	}
+
+	/**
+	 * Draw the graph as a Mermaid flowchart. See `toDot` for details and options.
+	 *
+	 * @return {String}
+	 */
+	toMermaid(options) {
+		return toMermaid(this, options)
+	}
+
+	/**
+	 * Run the graph with the passed inputs. Returns a promise that fulfills with
+	 * the graph's state once every visible node has resolved.
+	 *
+	 * Rejects with a `DGraph.CycleError` if the graph's dependencies are circular,
+	 * and with a `DGraph.NodeError` naming the originating node (and input, if it
+	 * was a rejected input promise) if any node fails. Nodes that depend on a
+	 * failed node fail too.
+	 *
+	 * If the graph declares a schema (see the `schema` node type), throws a
+	 * `DGraph.SchemaValidationError` if the inputs don't match the input schema
+	 * and rejects with one if the results don't match the output schema. Input
+	 * promises are checked once they fulfill, failing the input if they don't match.
+	 *
+	 * @param {Object} inputs A plain object. Values can be either promises or plain values.
+	 * @param {Object} [runOptions] Options object.
+	 * @param {Number} [runOptions.timeout] Milliseconds to wait for the graph to resolve. If
+	 *   it hasn't by then, reject with a `DGraph.RunTimeoutError` whose `diagnosis` (see
+	 *   `diagnose`) describes what the graph is still waiting on, and stop the graph and its
+	 *   subgraphs.
+	 * @param {Boolean} [runOptions.partial] Rather than rejecting when nodes fail, wait for
+	 *   the remaining nodes to resolve and fulfill with `{ results, errors }`: `results` is
+	 *   the graph's state less the failed nodes and `errors` maps the names of failed nodes
+	 *   to their `NodeError`s.
+	 * @param {Boolean} [runOptions.explain] Fulfill with `{ results, provenance }` (plus
+	 *   `errors`, if `partial`), where `provenance` records how each value was calculated.
+	 *   See `getProvenance`.
+	 */
+	run(inputs, runOptions = {}) {
+		this._assertInputsPresent(inputs)
+		this.setInputs(this._validateInputs(inputs))
+
+		const runPromise = this.isConnected.then(() => {
+			this._assertAcyclic()
+			return this._runUntilSettled(runOptions)
+		})
+
+		const { timeout } = runOptions
+		if (!timeout) {
+			return runPromise
+		}
+
+		return new Promise((resolve, reject) => {
+			const timer = setTimeout(() => {
+				const error = new RunTimeoutError(this.name, timeout, this.diagnose())
+				this._stopRunning()
+				this.trigger('error', error)
+				reject(error)
+			}, timeout)
+			runPromise.then((result) => {
+				clearTimeout(timer)
+				resolve(result)
+			}, (error) => {
+				clearTimeout(timer)
+				reject(error)
+			})
+		})
+	}
+
+	/**
+	 * Stop a run that won't be waited on any longer, along with every subgraph
+	 * (and collection item subgraph) it started.
+	 */
+	_stopRunning() {
+		if (this._disposeRun) {
+			this._disposeRun()
+			this._disposeRun = null
+		}
+		this.getDNodes().forEach((dNode) => {
+			if (dNode.stopRunning) {
+				dNode.stopRunning()
+			}
+		})
 	}
 
-	run(inputs) {
-		const expectedInputNames = _.uniq(DGraph.collectExpectedInputNames(this.graphDefinition))
+	_assertInputsPresent(inputs) {
+		const expectedInputNames = _.uniq(DGraph.collectExpectedInputNames(this.graphDefinition, this.nodeTypes))
 		const actualInputNames = _.keys(inputs)
 		const missingInputs = []
 		for (const expectedInputName of expectedInputNames) {
@@ -295,26 +568,141 @@ class DGraph extends EventEmitter {
 		if (missingInputs.length) {
 			throw new Error(`Graph ${this.name} was not passed the following expected inputs: ${_.uniq(missingInputs).join(', ')}.`)
 		}
+	}
+
+	/**
+	 * The graph's input schema, as declared by its `schema` node or, if it
+	 * doesn't declare one, as inferred from the input paths its nodes (and
+	 * subgraphs') read. Use it to document a graph or generate a form for its
+	 * inputs, say.
+	 *
+	 * @return {Object} A JSON Schema.
+	 */
+	getInputSchema() {
+		const schemaNodeDef = this._getSchemaNodeDef()
+		if (schemaNodeDef && schemaNodeDef.inputSchema) {
+			return _.cloneDeep(schemaNodeDef.inputSchema)
+		}
+		return inferInputSchema(DGraph.collectExpectedInputPaths(this.graphDefinition, true, this.nodeTypes))
+	}
+
+	_getSchemaNodeDef() {
+		return this.graphDefinition.find(nodeDef => nodeDef.type === 'schema')
+	}
+
+	// decimal graphs accept numeric strings, like `'1.10'`, as numbers.
+	_getSchemaOptions() {
+		return { numericStrings: this.options.numeric === 'decimal' }
+	}
+
+	_assertMatchesSchema(schemaName, schema, value, path) {
+		const issues = validateValue(schema, value, path, this._getSchemaOptions())
+		if (issues.length) {
+			throw new SchemaValidationError(this.name, schemaName, issues)
+		}
+	}
 
-		this.setInputs(inputs)
+	/**
+	 * Check `inputs` against the declared input schema, if any. Returns the
+	 * inputs to set, with promises replaced by ones that reject if what they
+	 * fulfill with doesn't match. With `isPartial`, as for `update`, only the
+	 * inputs passed are checked.
+	 */
+	_validateInputs(inputs, isPartial = false) {
+		const schemaNodeDef = this._getSchemaNodeDef()
+		const schema = schemaNodeDef && schemaNodeDef.inputSchema
+		if (!schema) {
+			return inputs
+		}
+		const isPromise = value => value && _.isFunction(value.then)
+		const values = _.omitBy(inputs, isPromise)
+		if (isPartial) {
+			_.forOwn(values, (value, k) => this._assertMatchesSchema('input', getPropertySchema(schema, k), value, `inputs.${k}`))
+		}
+		else {
+			const promisedPaths = _.keys(inputs).filter(k => isPromise(inputs[k])).map(k => `inputs.${k}`)
+			const issues = validateValue(schema, values, 'inputs', this._getSchemaOptions())
+				.filter(({ path }) => !promisedPaths.some(promisedPath => path === promisedPath || path.startsWith(`${promisedPath}.`)))
+			if (issues.length) {
+				throw new SchemaValidationError(this.name, 'input', issues)
+			}
+		}
+		return _.mapValues(inputs, (value, k) => (!isPromise(value) ? value : value.then((result) => {
+			this._assertMatchesSchema('input', getPropertySchema(schema, k), result, `inputs.${k}`)
+			return result
+		})))
+	}
 
-		let dispose
+	/**
+	 * Issues with a settled graph's state, checked against the declared output
+	 * schema, if any. Nodes that failed aren't reported missing.
+	 */
+	_validateOutputs(errors) {
+		const schemaNodeDef = this._getSchemaNodeDef()
+		if (!schemaNodeDef || !schemaNodeDef.outputSchema) {
+			return []
+		}
+		// check the decimals themselves, which count as numbers, rather than the
+		// strings they're output as by default.
+		const { state } = this.getStateWithErrors(false, 'decimal')
+		return validateValue(schemaNodeDef.outputSchema, state).filter(({ path }) => !_.has(errors, path.split('.')[0]))
+	}
+
+	/**
+	 * The error to reject a run with, given the `errors` of its failed nodes:
+	 * the first, with `nodeErrors` attached. A promised input that doesn't
+	 * match the input schema fails the run with the `SchemaValidationError`,
+	 * just as an input passed as a plain value does.
+	 */
+	_getRunError(errors) {
+		const error = errors[_.keys(errors)[0]]
+		const { cause } = error
+		const isInvalidInput = error.inputName && cause instanceof SchemaValidationError && cause.graphName === this.name && cause.schemaName === 'input'
+		return NodeError.withNodeErrors(isInvalidInput ? cause : error, errors)
+	}
+
+	_assertAcyclic() {
+		const cycles = this.findCycles()
+		if (cycles.length) {
+			const error = new CycleError(this.name, cycles)
+			this.trigger('error', error)
+			throw error
+		}
+	}
+
+	_runUntilSettled(runOptions) {
 		return new Promise((resolve, reject) => {
-			dispose = autorun(() => {
+			this._disposeRun = autorun((reaction) => {
+				const dispose = () => reaction.dispose()
+				const fail = (error) => {
+					this.trigger('error', error)
+					reject(error)
+					dispose()
+				}
 				try {
 
-					// getState tracks in the mobx sense.
-					const state = this.getState()
+					// getStateWithErrors tracks in the mobx sense.
+					const { state, errors } = this.getStateWithErrors()
+					const erroredNodeNames = _.keys(errors)
+
+					if (erroredNodeNames.length && !runOptions.partial) {
+						const error = this._getRunError(errors)
+						fail(error)
+						return
+					}
 
 					// is anything undefined?
 					const undefinedPaths = this.getUndefinedPaths(state)
 
 					if (undefinedPaths.length === 0) {
-						resolve(state)
-						this.trigger('resolved', state)
-						if (dispose) {
-							dispose()
+						const outputIssues = this._validateOutputs(errors)
+						if (outputIssues.length) {
+							fail(new SchemaValidationError(this.name, 'output', outputIssues))
+							return
 						}
+						resolve(this._runResult(state, errors, runOptions))
+						this.trigger('resolved', state)
+						dispose()
 					}
 					else {
 						this.trigger('stepped', {
@@ -329,17 +717,304 @@ class DGraph extends EventEmitter {
 				catch (error) {
 					this.log(`Error caught reading nodes from [${this.name}]. ${error}.`)
 					this.log(error.stack)
-					this.trigger('error', error)
-					reject(error)
-					if (dispose) {
-						if (dispose) {
-							dispose()
+					fail(error)
+				}
+			})
+		})
+
+	}
+
+	_runResult(state, errors, runOptions) {
+		if (!runOptions.partial && !runOptions.explain) {
+			return state
+		}
+		const result = { results: state }
+		if (runOptions.partial) {
+			result.errors = errors
+		}
+		if (runOptions.explain) {
+			result.provenance = this.getProvenance()
+		}
+		return result
+	}
+
+	/**
+	 * Run the graph with the passed inputs and keep it live afterwards, like a
+	 * spreadsheet: pass changed inputs to `update` and only the nodes that
+	 * depend on them recompute. Subgraphs re-run only if their own inputs
+	 * changed. Returns a promise that fulfills with the graph's state once
+	 * every visible node has resolved, and rejects as `run` does.
+	 *
+	 * Each time the graph settles after an update, it triggers `changed` with
+	 * `{ paths, state }`, where `paths` lists the (flattened) paths in the state
+	 * whose values changed. Nothing is triggered if no values changed.
+	 *
+	 * Call `unwatch` to stop.
+	 *
+	 * @param {Object} inputs A plain object. Values can be either promises or plain values.
+	 */
+	watch(inputs) {
+		this._assertInputsPresent(inputs)
+		const validatedInputs = this._validateInputs(inputs)
+		this.isLive = true
+		this._watchers = []
+		this.setInputs(validatedInputs)
+
+		return this.isConnected.then(() => {
+			try {
+				this._assertAcyclic()
+			}
+			catch (error) {
+				this.isLive = false
+				throw error
+			}
+			const settled = this._waitForWatchedState()
+			this._settledState = null
+			this._disposeWatch = autorun(() => this._checkWatchedState(true))
+			return settled
+		})
+	}
+
+	/**
+	 * Change some of the inputs of a graph being watched (see `watch`). Inputs
+	 * not passed keep their values. Returns a promise that fulfills with the
+	 * graph's state once it has settled again.
+	 *
+	 * @param {Object} inputs A plain object. Values can be either promises or plain values.
+	 */
+	update(inputs) {
+		if (!this.isLive) {
+			throw new Error(`Graph ${this.name} is not being watched. Call \`watch\` before \`update\`.`)
+		}
+		const currentInputs = this.getDNode('inputs').value
+		const changedInputs = this._validateInputs(_.omitBy(inputs, (value, k) => (
+			!(value && _.isFunction(value.then)) && _.has(currentInputs, k) && _.isEqual(toJS(currentInputs[k]), value)
+		)), true)
+		const settled = this._waitForWatchedState()
+
+		// set all the inputs at once so the graph doesn't settle in between.
+		runInAction(() => this.setInputs(changedInputs))
+
+		// if nothing changed, or what changed didn't affect any node, the graph
+		// won't react, so check whether it's already settled.
+		if (this._disposeWatch) {
+			this._checkWatchedState(false)
+		}
+		return settled
+	}
+
+	/**
+	 * Stop watching the graph and any subgraphs. Pending `update`s reject.
+	 */
+	unwatch() {
+		if (this._disposeWatch) {
+			this._disposeWatch()
+			this._disposeWatch = null
+		}
+		this.isLive = false
+		this.getDNodes().forEach((dNode) => {
+			if (dNode.stopWatching) {
+				dNode.stopWatching()
+			}
+		})
+		this._settleWatchers(new Error(`Graph ${this.name} is no longer being watched.`))
+	}
+
+	_waitForWatchedState() {
+		return new Promise((resolve, reject) => {
+			this._watchers.push({ resolve, reject })
+		})
+	}
+
+	_settleWatchers(error, state) {
+		const watchers = this._watchers || []
+		this._watchers = []
+		watchers.forEach(({ resolve, reject }) => (error ? reject(error) : resolve(state)))
+	}
+
+	/**
+	 * If the watched graph has settled, fulfill (or reject) whoever is waiting
+	 * for it to and trigger the corresponding events. Tracks in the mobx sense.
+	 *
+	 * @param {Boolean} isReaction Whether this is the graph reacting to a change.
+	 */
+	_checkWatchedState(isReaction) {
+		let state
+		let errors
+		try {
+			({ state, errors } = this.getStateWithErrors())
+		}
+		catch (error) {
+			errors = { [this.name]: error }
+		}
+		const erroredNodeNames = _.keys(errors)
+		if (erroredNodeNames.length) {
+			const error = this._getRunError(errors)
+			this.trigger('error', error)
+			this._settleWatchers(error)
+			return
+		}
+
+		const undefinedPaths = this.getUndefinedPaths(state)
+		if (undefinedPaths.length || this.pendingInputs.length) {
+			if (isReaction) {
+				this.trigger('stepped', {
+					state,
+					undefinedPaths
+				})
+			}
+			return
+		}
+
+		const previousState = this._settledState
+		this._settledState = state
+		this._settleWatchers(null, state)
+		if (!previousState) {
+			this.trigger('resolved', state)
+			return
+		}
+		const before = flattenObject(previousState)
+		const after = flattenObject(state)
+		const paths = _.union(_.keys(before), _.keys(after)).filter(path => !_.isEqual(before[path], after[path]))
+		if (paths.length) {
+			this.trigger('changed', { paths, state })
+		}
+	}
+
+	/**
+	 * Find dependency cycles among this graph's nodes. Returns a list of cycles,
+	 * each a list of edges (see `getDEdges`) in dependency order, such that the
+	 * last edge's destination is the first edge's source. Edges from subgraph
+	 * nodes to their inputs are included, so cycles that pass through a subgraph
+	 * are found as well.
+	 *
+	 * Only meaningful once the graph is connected (see `isConnected`). Cycles
+	 * within a subgraph are found when the subgraph itself runs.
+	 */
+	findCycles() {
+		return graphlib.alg.findCycles(this._graph).map((component) => {
+			// find one path through the strongly-connected component that leads
+			// back to where it started.
+			const start = component[0]
+			const visited = []
+			const findPathToStart = (nodeId) => {
+				visited.push(nodeId)
+				const outEdges = this._graph.outEdges(nodeId).map(e => this._graph.edge(e))
+				for (const edge of outEdges) {
+					if (edge.dstNodeId === start) {
+						return [edge]
+					}
+					if (component.includes(edge.dstNodeId) && !visited.includes(edge.dstNodeId)) {
+						const path = findPathToStart(edge.dstNodeId)
+						if (path) {
+							return [edge].concat(path)
 						}
 					}
 				}
-			})
+				return null
+			}
+			return findPathToStart(start).map(edge => _.pick(edge, ['srcNodeId', 'srcPropName', 'dstNodeId', 'dstValuePath']))
 		})
+	}
 
+	/**
+	 * Describe why the graph has not (yet) resolved. Returns:
+	 *
+	 * ```
+	 * {
+	 *   graphName: <name of this graph>,
+	 *   undefinedNodes: <names of nodes whose values are still undefined>,
+	 *   nodes: {
+	 *     <undefined node name>: {
+	 *       blockedOn: 'nodes' | 'inputs' | 'subgraph' | 'unknown',
+	 *       undefinedDependencies: <names of undefined nodes this node depends on>,
+	 *       pendingInputs: <names of still-pending promise inputs this node depends on>,
+	 *       subgraphs: <subgraph diagnoses by path, for running graph nodes>
+	 *     }
+	 *   },
+	 *   rootBlockers: [{ path, blockedOn, pendingInputs }]
+	 * }
+	 * ```
+	 *
+	 * `blockedOn` is `nodes` when the node is only waiting on other undefined
+	 * nodes. The root blockers are the undefined nodes that are not: those waiting
+	 * on pending inputs, on nothing identifiable (`unknown`, eg an `async` node),
+	 * or, for subgraphs, the root blockers within the subgraph, with their paths
+	 * prefixed by the subgraph node's name (`subgraphNode.innerNode`, or
+	 * `mapNode[3].innerNode` for collections).
+	 */
+	diagnose() {
+		const undefinedNodes = this.getDNodes().filter((dNode) => {
+			if (dNode.type === 'inputs') {
+				return false
+			}
+			let value
+			try {
+				value = toJS(dNode.value)
+			}
+			catch (error) {
+				return false
+			}
+			return this.getUndefinedPaths({ [dNode.name]: value }).length > 0
+		}).map(dNode => dNode.name)
+
+		const nodes = {}
+		let rootBlockers = []
+		undefinedNodes.forEach((name) => {
+			const dNode = this.getDNode(name)
+			const edges = this._graph.outEdges(name).map(e => this._graph.edge(e))
+			const undefinedDependencies = _.uniq(edges.map(edge => edge.dstNodeId).filter(nodeId => undefinedNodes.includes(nodeId)))
+			const pendingInputs = _.uniq(edges
+				.filter(edge => edge.dstNodeId === 'inputs' && edge.dstValuePath)
+				.map(edge => edge.dstValuePath.split('.')[0])
+				.filter(inputName => this.pendingInputs.includes(inputName)))
+
+			const subgraphs = {}
+			if (dNode.subgraph) {
+				subgraphs[name] = dNode.subgraph.diagnose()
+			}
+			if (dNode.subgraphs) {
+				dNode.subgraphs.forEach((subgraph, i) => {
+					// a resolved item's subgraph may have been let go.
+					const diagnosis = subgraph ? subgraph.diagnose() : { undefinedNodes: [] }
+					if (diagnosis.undefinedNodes.length) {
+						subgraphs[`${name}[${i}]`] = diagnosis
+					}
+				})
+			}
+
+			let blockedOn = 'unknown'
+			if (pendingInputs.length) {
+				blockedOn = 'inputs'
+			}
+			else if (undefinedDependencies.length) {
+				blockedOn = 'nodes'
+			}
+			else if (!_.isEmpty(subgraphs)) {
+				blockedOn = 'subgraph'
+			}
+
+			nodes[name] = { blockedOn, undefinedDependencies, pendingInputs, subgraphs }
+
+			if (blockedOn === 'subgraph') {
+				_.forOwn(subgraphs, (diagnosis, path) => {
+					rootBlockers = rootBlockers.concat(diagnosis.rootBlockers.map(blocker => ({
+						...blocker,
+						path: `${path}.${blocker.path}`
+					})))
+				})
+			}
+			else if (blockedOn !== 'nodes') {
+				rootBlockers.push({ path: name, blockedOn, pendingInputs })
+			}
+		})
+
+		return {
+			graphName: this.name,
+			undefinedNodes,
+			nodes,
+			rootBlockers
+		}
 	}
 
 	logUndefinedPaths(undefinedPaths) {
@@ -410,9 +1085,29 @@ class DGraph extends EventEmitter {
 				throw new Error(`Input name '${k}' conflicts with existing node '${k}' in graph '${this.name}'.`)
 			}
 			const value = inputs[k]
+
+			// when a live graph's input changes, whatever was pending for it before
+			// no longer matters.
+			this.pendingInputs = _.without(this.pendingInputs, k)
+			this._latestInputs[k] = value
+
 			if (value && _.isFunction(value.then)) {
+				this.pendingInputs.push(k)
+				if (this.isLive) {
+					// the old value is stale: nodes that depend on it are pending again.
+					dNode.setValue(k, undefined)
+				}
+				const isLatest = () => this._latestInputs[k] === value
 				value.then((result) => {
-					dNode.setValue(k, result)
+					if (isLatest()) {
+						this.pendingInputs = _.without(this.pendingInputs, k)
+						dNode.setValue(k, result)
+					}
+				}, (error) => {
+					if (isLatest()) {
+						this.pendingInputs = _.without(this.pendingInputs, k)
+						dNode.setError(k, error)
+					}
 				})
 			}
 			else {
@@ -480,7 +1175,7 @@ propNames = []
  * Traverse nodes and if any node depends on the `inputs` node,
  * collect the top-level property name required.
  */
-DGraph.collectExpectedInputNames = graphDef => DGraph.collectExpectedInputPaths(graphDef).map(path => path.split('.')[0])
+DGraph.collectExpectedInputNames = (graphDef, nodeTypes) => DGraph.collectExpectedInputPaths(graphDef, false, nodeTypes, false).map(path => path.split('.')[0])
 
 /**
  * Traverse nodes and if any node depends on the `inputs` node,
@@ -492,22 +1187,33 @@ DGraph.collectExpectedInputNames = graphDef => DGraph.collectExpectedInputPaths(
  *
  * Pass `recursive` to include subgraph inputs in result. This will not
  * currently include template subgraph inputs.
+ *
+ * Pass `nodeTypes` to look up node classes in a graph's own registry rather
+ * than `DGraph.nodeTypes`.
+ *
+ * Pass `includeOptional` as false to leave out paths the nodes might never read
+ * (see `DNode.getOptionalPaths`).
  */
-DGraph.collectExpectedInputPaths = (graphDef, recursive = false) => {
+DGraph.collectExpectedInputPaths = (graphDef, recursive = false, nodeTypes = DGraph.nodeTypes, includeOptional = true) => {
 	let result = []
 	const graphNodeNames = graphDef.map(n => n.name)
 	for (const nodeDef of graphDef) {
-		const pathProps = dNodeClasses[nodeDef.type].getPathProps()
+		const DNodeClass = nodeTypes.get(nodeDef.type)
+		if (!DNodeClass) {
+			throw new Error(`Unknown node type: ${nodeDef.type}.`)
+		}
+		const pathProps = DNodeClass.getPathProps()
 		const pathPropertyNames = _.keys(pathProps)
 		for (const propName of pathPropertyNames) {
-			const normalizedPaths = DGraph.normalizePathDef(nodeDef[propName])
-			const inputPaths = _.values(normalizedPaths).filter(value => _.isString(value) && value.startsWith('inputs.'))
+			const normalizedPaths = DGraph.normalizePathDef(DNodeClass.getPathDef(nodeDef, propName))
+			const optionalPaths = includeOptional ? [] : DNodeClass.getOptionalPaths(nodeDef)
+			const inputPaths = _.values(normalizedPaths).filter(value => _.isString(value) && value.startsWith('inputs.') && !optionalPaths.includes(value))
 			result = result.concat(inputPaths.map(path => path.split('.').slice(1).join('.')))
 		}
 
 		// Note this will currently not capture inputs in templates.
 		if (recursive && nodeDef.type === 'graph' && _.isArray(nodeDef.graphDef)) {
-			let subgraphInputs = DGraph.collectExpectedInputPaths(nodeDef.graphDef, true)
+			let subgraphInputs = DGraph.collectExpectedInputPaths(nodeDef.graphDef, true, nodeTypes)
 			// a subgraph's inputs implicitly includes all nodes in the supergraph.
 			// so, with respect to this graph's expected inputs, filter those subgraph
 			// input names that are found as regular nodes in this graph--this graph's node
@@ -533,11 +1239,11 @@ DGraph.collectExpectedInputPaths = (graphDef, recursive = false) => {
  */
 DGraph.collectEdgeDefs = (dNode) => {
 	const result = []
-	const pathProps = dNodeClasses[dNode.type].getPathProps()
+	const pathProps = dNode.constructor.getPathProps()
 	// const pathPropertyNames = _.keys(pathProps)
 	for (const propName in pathProps) {
 		const { hasSubproperties } = pathProps[propName]
-		const pathDef = dNode.originalNodeDef[propName]
+		const pathDef = dNode.constructor.getPathDef(dNode.originalNodeDef, propName)
 		const normalizedPaths = DGraph.normalizePathDef(pathDef)
 		const pathKeys = _.keys(normalizedPaths)
 		const pathValues = _.values(normalizedPaths)
@@ -563,11 +1269,257 @@ DGraph.collectEdgeDefs = (dNode) => {
 		})
 	}
 
+	// subgraphs without explicit inputs find them in the supergraph at runtime
+	// (see `GraphDNode.getInputs`). add those dependencies too: either on the
+	// supergraph node of the same name or passed through from its `inputs`.
+	if (dNode.type === 'graph' && !dNode.hasExplicitInputs && dNode.inputSrcs) {
+		_.forOwn(dNode.inputSrcs, (src, inputPath) => {
+			const isNode = !!dNode.dGraph.getDNode(src.nodeId)
+			const dstNodeId = isNode ? src.nodeId : 'inputs'
+			const dstValuePath = isNode ? src.valuePath : inputPath
+			result.push({
+				label: `${dNode.name}.${inputPath}->${dstNodeId}.${dstValuePath}`,
+				srcNodeId: dNode.name,
+				srcPropName: inputPath,
+				dstNodeId,
+				dstValuePath
+			})
+		})
+	}
+
 	return result
 }
 
-class SyncRunTimeout extends Error {}
-DGraph.SyncRunTimeout = SyncRunTimeout
+/**
+ * Check a graph definition for problems without building or running it:
+ * unknown node types and transform functions, duplicate or reserved node
+ * names, missing required properties, branch nodes whose `cases` and
+ * `nodeNames` differ in length, unresolved `graphDef` template references,
+ * and string params that don't refer to any node and so will be read as
+ * literals (usually a mistyped node name). Subgraph definitions are checked
+ * recursively.
+ *
+ * Returns a (possibly empty) list of `{ level, code, nodeName, path, message }`
+ * issues. See `validate.js` for details.
+ *
+ * @param {Array} graphDef The graph definition to check.
+ * @param {Object} [options]
+ * @param {Object} [options.transforms] Transforms as passed to the `DGraph` constructor.
+ * @param {Object} [options.nodeTypes] Node types as passed to the `DGraph` constructor.
+ */
+DGraph.validate = (graphDef, options = {}) => validateGraphDef(graphDef, {
+	normalizePathDef: DGraph.normalizePathDef,
+	transforms: createTransformRegistry(options.transforms, DGraph.transforms),
+	nodeTypes: createNodeTypeRegistry(options.nodeTypes, DGraph.nodeTypes)
+})
+
+/**
+ * Infer the type of every node in a graph definition, without running it,
+ * and report values that can't be used as they are, like an array passed to
+ * `mult`. See `type-check.js`. Returns `{ types, issues }`, where `types`
+ * maps node names to types like `number[]` and `issues` are shaped like
+ * those returned by `validate`.
+ *
+ * @param {Array} graphDef The graph definition to check.
+ * @param {Object} [options]
+ * @param {Object} [options.inputSchema] Input schema to check against, instead of the one the
+ *   graph declares (see the `schema` node type).
+ * @param {Object} [options.transforms] Additional transform functions, as for the constructor.
+ * @param {Object} [options.nodeTypes] Additional node classes, as for the constructor.
+ * @param {String} [options.numeric] `float` (the default) or `decimal`, as for the constructor.
+ * @return {Object}
+ */
+DGraph.checkTypes = (graphDef, options = {}) => {
+	const baseTransforms = options.numeric === 'decimal' ? DGraph.decimalTransforms : DGraph.transforms
+	return checkTypes(graphDef, {
+		normalizePathDef: DGraph.normalizePathDef,
+		collectExpectedInputPaths: DGraph.collectExpectedInputPaths,
+		transforms: createTransformRegistry(options.transforms, baseTransforms),
+		nodeTypes: createNodeTypeRegistry(options.nodeTypes, DGraph.nodeTypes),
+		inputSchema: options.inputSchema
+	})
+}
+
+/**
+ * Rewrite a graph definition so that chains of single-use transform nodes
+ * (and their `#literal#` nodes) read as `expression` nodes with one formula
+ * each, eg for review. Works on preprocessed definitions too. See
+ * `decompile.js`.
+ *
+ * @param {Array} graphDef The graph definition to rewrite.
+ * @param {Object} [options]
+ * @param {Array<String>} [options.keep] Names of nodes to keep as they are, eg because their
+ *   values are needed in the graph's state.
+ * @param {Object} [options.transforms] Additional transform functions, as for the constructor.
+ * @param {Object} [options.nodeTypes] Additional node classes, as for the constructor.
+ * @return {Array}
+ */
+DGraph.collapseExpressions = (graphDef, options = {}) => collapseExpressions(graphDef, {
+	normalizePathDef: DGraph.normalizePathDef,
+	collectExpectedInputPaths: DGraph.collectExpectedInputPaths,
+	transforms: createTransformRegistry(options.transforms, DGraph.transforms),
+	nodeTypes: createNodeTypeRegistry(options.nodeTypes, DGraph.nodeTypes),
+	keep: options.keep
+})
+
+/**
+ * Rewrite a graph definition's `expression` nodes as the primitive
+ * `transform` nodes they compute with: the inverse of `collapseExpressions`.
+ * See `decompile.js`.
+ *
+ * @param {Array} graphDef The graph definition to rewrite.
+ * @param {Object} [options]
+ * @param {Object} [options.transforms] Additional transform functions, as for the constructor.
+ * @return {Array}
+ */
+DGraph.expandExpressions = (graphDef, options = {}) => expandExpressions(graphDef, {
+	transforms: createTransformRegistry(options.transforms, DGraph.transforms)
+})
+
+/**
+ * Render provenance records, as returned by `getProvenance` or by `run` with
+ * the `explain` option (and perhaps stored since), as a readable derivation
+ * of the value at `path`. See `explain.js`.
+ */
+DGraph.explainProvenance = explainProvenance
+
+/**
+ * Registry of the transform functions available to all graphs. Use
+ * `DGraph.transforms.getMeta(name)` to read a transform's metadata and
+ * `DGraph.transforms.names()` to list them. Each graph has its own `transforms`
+ * registry that falls back on this one.
+ */
+DGraph.transforms = new Registry()
+
+// the built-in arithmetic transforms also accept money values.
+const registerBuiltInTransforms = (registry, fns, toPlain) => {
+	_.forOwn(createMoneyTransforms(fns, toPlain), (fn, name) => registry.register(name, fn, transformMeta[name]))
+}
+registerBuiltInTransforms(DGraph.transforms, transformFns, decimal => decimal.toNumber())
+
+/**
+ * Registry of the arithmetic transforms used instead of the built-in ones by
+ * graphs created with the `numeric: 'decimal'` option. Falls back on
+ * `DGraph.transforms` for everything else.
+ */
+DGraph.decimalTransforms = new Registry(DGraph.transforms)
+registerBuiltInTransforms(DGraph.decimalTransforms, decimalFns, _.identity)
+
+/**
+ * Exact decimal numbers, as used by graphs created with `numeric: 'decimal'`.
+ * `DGraph.Decimal.from(value)` converts a number or numeric string.
+ */
+DGraph.Decimal = Decimal
+
+/**
+ * Number of minor units (decimal places) by currency code, for currencies
+ * that don't have 2. Money values in other currencies are rounded to these
+ * by `roundCurrency` and `allocate`; add to it to support more currencies.
+ */
+DGraph.currencyMinorUnits = minorUnits
+
+/**
+ * Whether a value is money, ie shaped like `{ amount: '19.99', currency: 'USD' }`.
+ */
+DGraph.isMoney = isMoney
+
+/**
+ * Make a transform function available to all graphs. Transform functions are
+ * passed a single object of params (resolved from the node's `params` paths)
+ * and return the node's value.
+ *
+ * `meta` is optional. Declaring `params` lets `DGraph.validate` check nodes
+ * using the transform, and is available to documentation tools via
+ * `DGraph.transforms.getMeta(name)`:
+ *
+ * ```
+ * DGraph.registerTransform('addTip', ({ amt, rate }) => amt + (amt * rate), {
+ *   description: 'Add a tip to an amount.',
+ *   params: {
+ *     amt: { type: 'number' },
+ *     rate: { type: 'number', isOptional: true }
+ *   }
+ * })
+ * ```
+ *
+ * A transform that takes params named by its callers, as well as those it
+ * declares, declares their type as `otherParams`, eg `{ type: 'any' }`.
+ *
+ * @param {String} name Name to use as `fn` in transform node definitions.
+ * @param {Function} fn The transform function.
+ * @param {Object} [meta] Metadata describing the transform.
+ */
+DGraph.registerTransform = (name, fn, meta) => {
+	if (!_.isFunction(fn)) {
+		throw new Error(`Transform '${name}' must be a function.`)
+	}
+	DGraph.transforms.register(name, fn, meta)
+}
+
+/**
+ * Registry of the node classes available to all graphs, by `type`. Each graph
+ * has its own `nodeTypes` registry that falls back on this one.
+ */
+DGraph.nodeTypes = new Registry()
+_.forOwn(nodeClasses, (DNodeClass, type) => DGraph.nodeTypes.register(type, DNodeClass))
+
+/**
+ * Base class for node types. See `DGraph.registerNodeType`.
+ */
+DGraph.DNode = DNode
+
+/**
+ * Make a node type available to all graphs. `DNodeClass` must extend
+ * `DGraph.DNode` (or one of the built-in node classes, found in
+ * `DGraph.nodeTypes`). Node classes are constructed with the graph and the
+ * node's (preprocessed) definition, and can define:
+ *
+ * - `get value()`: the node's value, `undefined` until it can be computed. Read
+ *   other values in the graph with `this.getGraphValueAt(path)` and decorate
+ *   `value` as a mobx `computed` so that it updates when they do.
+ * - `static getPathProps()`: the node definition properties that hold paths to
+ *   other values in the graph. These become edges, and string values that
+ *   don't name a node are turned into literals.
+ * - `static getPathDef(nodeDef, propName)`: the paths a path prop holds, for
+ *   node types that derive them from other properties (see `ExpressionDNode`).
+ * - `static getOptionalPaths(nodeDef)`: the paths the node might never read, whose
+ *   inputs `run` then needn't be passed (see `CondDNode`).
+ * - `static validateNodeDef(nodeDef, context)`: additional checks for
+ *   `DGraph.validate`.
+ * - `get isVisibleInGraphState()`: whether the value is included in results.
+ * - `serializeValue(value)`: how the value is converted for results.
+ *
+ * For example, a node that looks up a rate by key:
+ *
+ * ```
+ * class RateDNode extends DGraph.DNode {
+ *   get value() {
+ *     const key = this.getGraphValueAt(_.values(this.originalNodeDef.key)[0])
+ *     return _.isUndefined(key) ? undefined : this.originalNodeDef.rates[key]
+ *   }
+ *   static getPathProps() {
+ *     return { key: { isRequired: true } }
+ *   }
+ * }
+ * decorate(RateDNode, { value: computed })
+ * DGraph.registerNodeType('rate', RateDNode)
+ * ```
+ *
+ * @param {String} type Name to use as `type` in node definitions.
+ * @param {Function} DNodeClass The node class.
+ * @param {Object} [meta] Metadata describing the node type.
+ */
+DGraph.registerNodeType = (type, DNodeClass, meta) => registerNodeType(DGraph.nodeTypes, type, DNodeClass, meta)
+
+DGraph.CycleError = CycleError
+DGraph.RunTimeoutError = RunTimeoutError
+DGraph.NodeError = NodeError
+DGraph.CurrencyMismatchError = CurrencyMismatchError
+DGraph.SchemaValidationError = SchemaValidationError
+DGraph.ExpressionSyntaxError = ExpressionSyntaxError
+DGraph.NoRowMatchedError = NoRowMatchedError
+// previous name, kept for backwards compatibility.
+DGraph.SyncRunTimeout = RunTimeoutError
 
 DGraph.version = '0.5.4'
 
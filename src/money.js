@@ -0,0 +1,236 @@
+const _ = require('lodash')
+const { Decimal } = require('./decimal')
+const { CurrencyMismatchError } = require('./errors')
+
+/**
+ * Number of minor units (decimal places) by ISO 4217 currency code, for
+ * currencies that don't use the usual 2. Add to or change this to support
+ * other currencies.
+ */
+const minorUnits = {
+	BHD: 3,
+	BIF: 0,
+	CLP: 0,
+	DJF: 0,
+	GNF: 0,
+	IQD: 3,
+	ISK: 0,
+	JOD: 3,
+	JPY: 0,
+	KMF: 0,
+	KRW: 0,
+	KWD: 3,
+	LYD: 3,
+	OMR: 3,
+	PYG: 0,
+	RWF: 0,
+	TND: 3,
+	UGX: 0,
+	VND: 0,
+	VUV: 0,
+	XAF: 0,
+	XOF: 0,
+	XPF: 0
+}
+
+const getMinorUnits = currency => (_.has(minorUnits, currency) ? minorUnits[currency] : 2)
+
+/**
+ * Whether `value` is a money value: a plain object with an `amount` and a
+ * `currency` code, like `{ amount: '19.99', currency: 'USD' }`.
+ */
+const isMoney = value => _.isPlainObject(value) && _.has(value, 'amount') && _.isString(value.currency)
+
+/**
+ * Normalize a money value: the amount as a `Decimal` and the currency code
+ * upper-cased.
+ */
+const toMoney = (value) => {
+	const currency = value.currency.toUpperCase()
+	if (!/^[A-Z]{3}$/.test(currency)) {
+		throw new Error(`Invalid currency code '${value.currency}'.`)
+	}
+	return { amount: Decimal.from(value.amount), currency }
+}
+
+/**
+ * Normalize money values that are operands of `operation`, checking they're
+ * all money in the same currency.
+ */
+const toMoneyOperands = (operation, values) => {
+	const nonMoney = values.find(value => !isMoney(value))
+	if (!_.isUndefined(nonMoney)) {
+		throw new Error(`Cannot ${operation} money and ${JSON.stringify(nonMoney)}, which is not a money value.`)
+	}
+	const result = values.map(toMoney)
+	const currencies = _.uniq(result.map(money => money.currency))
+	if (currencies.length > 1) {
+		throw new CurrencyMismatchError(operation, currencies)
+	}
+	return result
+}
+
+const toFactor = (operation, value) => {
+	if (isMoney(value)) {
+		throw new Error(`Cannot ${operation} money by money.`)
+	}
+	return Decimal.from(value)
+}
+
+const extractNItems = items => _.flattenDeep(_.isArray(items) ? items : _.values(items))
+
+/**
+ * Split the integer `total` into parts proportional to `ratios`, giving the
+ * units left over after rounding every part down to those parts with the
+ * largest remainders (the first of them, in case of ties).
+ */
+const allocateUnits = (total, ratios) => {
+	const ratioSum = ratios.reduce((sum, ratio) => sum.add(ratio), Decimal.from(0))
+	if (ratios.some(ratio => ratio.cmp(0) < 0) || ratioSum.isZero()) {
+		throw new Error('allocate: ratios must be non-negative and not all zero.')
+	}
+	const exactParts = ratios.map(ratio => total.mul(ratio).div(ratioSum))
+	const parts = exactParts.map(part => part.round(0, 'floor'))
+	let leftover = Number(parts.reduce((sum, part) => sum.sub(part), total).toString())
+	const byRemainder = _.sortBy(_.range(parts.length), i => exactParts[i].sub(parts[i]).neg().toNumber())
+	byRemainder.forEach((i) => {
+		if (leftover > 0) {
+			parts[i] = parts[i].add(1)
+			leftover--
+		}
+	})
+	return parts
+}
+
+/**
+ * Wrap the arithmetic transforms in `fns` so they also accept money values
+ * (see `isMoney`), and add an `allocate` transform. Money arithmetic is
+ * always exact: amounts are `Decimal`s, rounded to the currency's minor
+ * units only by `roundCurrency` (unless `places` is passed) and `allocate`.
+ * Mixing currencies throws a `CurrencyMismatchError`, as does mixing money
+ * and plain numbers where that doesn't make sense (adding them, say).
+ *
+ * @param {Object} fns Transform functions by name, eg the exports of `transform-fns.js`.
+ * @param {Function} toPlain Converts a `Decimal` result that isn't money (a ratio of two
+ *   amounts, say) to the form `fns` produces.
+ */
+const createMoneyTransforms = (fns, toPlain) => {
+	const money = (amount, currency) => ({ amount, currency })
+	const compare = (operation, a, b) => {
+		const [ma, mb] = toMoneyOperands(operation, [a, b])
+		return ma.amount.cmp(mb.amount)
+	}
+
+	const moneyFns = {
+		add: ({ a, b }) => {
+			const [ma, mb] = toMoneyOperands('add', [a, b])
+			return money(ma.amount.add(mb.amount), ma.currency)
+		},
+		sub: ({ a, b }) => {
+			const [ma, mb] = toMoneyOperands('subtract', [a, b])
+			return money(ma.amount.sub(mb.amount), ma.currency)
+		},
+		addN: (items) => {
+			const operands = toMoneyOperands('add', extractNItems(items))
+			return money(operands.reduce((sum, m) => sum.add(m.amount), Decimal.from(0)), operands[0].currency)
+		},
+		mult: ({ amt, factor }) => {
+			// either one can be the money.
+			const [m, f] = isMoney(amt) ? [amt, factor] : [factor, amt]
+			const { amount, currency } = toMoney(m)
+			return money(amount.mul(toFactor('multiply', f)), currency)
+		},
+		div: ({ num, dem }) => {
+			if (isMoney(dem)) {
+				const [mNum, mDem] = toMoneyOperands('divide', [num, dem])
+				return toPlain(mNum.amount.div(mDem.amount))
+			}
+			const { amount, currency } = toMoney(num)
+			return money(amount.div(toFactor('divide', dem)), currency)
+		},
+		addFactor: ({ amt, factor }) => {
+			const { amount, currency } = toMoney(amt)
+			return money(amount.add(amount.mul(toFactor('multiply', factor))), currency)
+		},
+		subFactor: ({ amt, factor }) => {
+			const { amount, currency } = toMoney(amt)
+			return money(amount.sub(amount.mul(toFactor('multiply', factor))), currency)
+		},
+		round: ({ amt, places = 0, mode }) => {
+			const { amount, currency } = toMoney(amt)
+			return money(amount.round(places, mode), currency)
+		},
+		roundCurrency: ({ amt, places, mode }) => {
+			const { amount, currency } = toMoney(amt)
+			return money(amount.round(_.isUndefined(places) ? getMinorUnits(currency) : places, mode), currency)
+		},
+		ceil: ({ amt }) => {
+			const { amount, currency } = toMoney(amt)
+			return money(amount.round(0, 'ceil'), currency)
+		},
+		floor: ({ amt }) => {
+			const { amount, currency } = toMoney(amt)
+			return money(amount.round(0, 'floor'), currency)
+		},
+		max: ({ a, b }) => (compare('compare', a, b) >= 0 ? toMoney(a) : toMoney(b)),
+		min: ({ a, b }) => (compare('compare', a, b) <= 0 ? toMoney(a) : toMoney(b)),
+		gt: ({ a, b }) => compare('compare', a, b) > 0,
+		lt: ({ a, b }) => compare('compare', a, b) < 0,
+		gte: ({ a, b }) => compare('compare', a, b) >= 0,
+		lte: ({ a, b }) => compare('compare', a, b) <= 0,
+		// different currencies are never equal.
+		eq: ({ a, b }) => isMoney(a) && isMoney(b) && toMoney(a).currency === toMoney(b).currency && compare('compare', a, b) === 0,
+		clamp: ({ amt, min, max }) => {
+			const [mAmt, mMin, mMax] = toMoneyOperands('clamp', [amt, min, max])
+			if (mAmt.amount.cmp(mMin.amount) < 0) {
+				return mMin
+			}
+			return mAmt.amount.cmp(mMax.amount) > 0 ? mMax : mAmt
+		}
+	}
+
+	const hasMoney = args => extractNItems(_.isPlainObject(args) || _.isArray(args) ? args : [args]).some(isMoney)
+
+	const result = _.mapValues(fns, (fn, name) => {
+		if (!moneyFns[name]) {
+			return fn
+		}
+		return (args, transforms) => (hasMoney(args) ? moneyFns[name](args, transforms) : fn(args, transforms))
+	})
+
+	/**
+	 * Split `amt` into parts proportional to `ratios` (an array, or an object
+	 * whose values are ratios) such that the parts sum exactly to `amt`. Parts
+	 * are in the currency's minor units if `amt` is money and in units of
+	 * `places` decimal places (default 2) otherwise. The result is shaped like
+	 * `ratios`.
+	 *
+	 * For example allocating $100 across [1, 1, 1] gives $33.34, $33.33, $33.33.
+	 */
+	result.allocate = ({ amt, ratios, places }) => {
+		const isMoneyAmount = isMoney(amt)
+		const { amount, currency } = isMoneyAmount ? toMoney(amt) : { amount: Decimal.from(amt) }
+		const defaultPlaces = isMoneyAmount ? getMinorUnits(currency) : 2
+		const unitPlaces = _.isUndefined(places) ? defaultPlaces : places
+		const unit = Decimal.from(`1e-${unitPlaces}`)
+
+		// allocate whole units of the absolute amount, then restore the sign.
+		const sign = amount.cmp(0) < 0 ? -1 : 1
+		const total = amount.abs().round(unitPlaces, 'half-up').div(unit)
+		const ratioValues = extractNItems(ratios).map(Decimal.from)
+		const parts = allocateUnits(total, ratioValues).map((units) => {
+			const part = units.mul(unit).mul(sign).round(unitPlaces)
+			return isMoneyAmount ? money(part, currency) : toPlain(part)
+		})
+		return _.isArray(ratios) ? parts : _.zipObject(_.keys(ratios), parts)
+	}
+
+	return result
+}
+
+module.exports = {
+	minorUnits,
+	getMinorUnits,
+	isMoney,
+	createMoneyTransforms
+}
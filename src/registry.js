@@ -0,0 +1,61 @@
+const _ = require('lodash')
+
+/**
+ * A named collection of values (transform functions, for example) with
+ * optional metadata for each. Registries can be chained: lookups that miss
+ * fall through to the parent registry. Graphs use this to scope registrations
+ * to a graph and its subgraphs while inheriting everything registered
+ * globally.
+ *
+ * @param {Registry} [parent] Registry to fall back on.
+ */
+class Registry {
+	constructor(parent = null) {
+		this.parent = parent
+		this.entries = {}
+	}
+
+	/**
+	 * Register `value` under `name`, replacing any entry with that name in
+	 * this registry and shadowing any in its ancestors.
+	 *
+	 * @param {String} name
+	 * @param {*} value
+	 * @param {Object} [meta] Arbitrary metadata describing the entry.
+	 */
+	register(name, value, meta = {}) {
+		this.entries[name] = { value, meta }
+		return this
+	}
+
+	_find(name) {
+		if (_.has(this.entries, name)) {
+			return this.entries[name]
+		}
+		return this.parent ? this.parent._find(name) : undefined
+	}
+
+	has(name) {
+		return !!this._find(name)
+	}
+
+	get(name) {
+		const entry = this._find(name)
+		return entry ? entry.value : undefined
+	}
+
+	getMeta(name) {
+		const entry = this._find(name)
+		return entry ? entry.meta : undefined
+	}
+
+	/**
+	 * Names of all entries, including those inherited from ancestors.
+	 */
+	names() {
+		const names = _.keys(this.entries)
+		return this.parent ? _.uniq(this.parent.names().concat(names)) : names
+	}
+}
+
+module.exports = Registry
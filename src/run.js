@@ -26,10 +26,31 @@ When this option is set, a log will be emitted for all such literals. This can h
 }).option('echo-templates', {
 	describe: 'Include templates in the fulfilled graph value.',
 	boolean: true
+}).option('explain', {
+	describe: 'Output `{ results, provenance }`, where provenance records the transform, arguments and source paths behind each value.',
+	boolean: true
+}).option('format', {
+	describe: 'Output format. `json` prints the results; `dot` (Graphviz) and `mermaid` draw the graph, annotated with the resulting values.',
+	choices: ['json', 'dot', 'mermaid'],
+	default: 'json'
+}).option('hide-literals', {
+	describe: 'With `--format dot` or `--format mermaid`, leave literal values out of the drawing as nodes and list them in the labels of the nodes that use them.',
+	boolean: true
+}).option('validate', {
+	describe: 'Check the graph definitions for problems instead of running them. Inputs are not required. Exits with a non-zero status if any errors are found.',
+	boolean: true
+}).option('check-types', {
+	describe: 'Infer the type of every node and report type mismatches instead of running the graph. Inputs are not required. Exits with a non-zero status if any errors are found.',
+	boolean: true
 }).demandOption(
-	['graph-definitions', 'inputs'], 
-	'Please provide both graph-definitions and inputs.'
-).help().argv
+	['graph-definitions'], 
+	'Please provide graph-definitions.'
+).check(argv => {
+	if (!argv['validate'] && !argv['check-types'] && !argv['inputs']) {
+		throw new Error('Please provide both graph-definitions and inputs.')
+	}
+	return true
+}).help().argv
 
 function tryToLoad(path) {
 	let result
@@ -98,6 +119,24 @@ if (args['templates']) {
 	})
 }
 
+if (args['validate'] || args['check-types']) {
+	let issues = []
+	if (args['validate']) {
+		issues = DGraph.validate(fullGraphDef)
+	}
+	if (args['check-types']) {
+		const { types, issues: typeIssues } = DGraph.checkTypes(fullGraphDef)
+		Object.keys(types).forEach(name => console.log(`${name}: ${types[name]}`))
+		issues = issues.concat(typeIssues)
+	}
+	issues.forEach(issue => {
+		const location = issue.path ? `${issue.nodeName} (${issue.path})` : issue.nodeName
+		console.log(`${issue.level}: ${location}: ${issue.message} [${issue.code}]`)
+	})
+	const nErrors = issues.filter(issue => issue.level === 'error').length
+	console.log(` --- ${nErrors} error(s), ${issues.length - nErrors} warning(s) --- `)
+	process.exit(nErrors ? 1 : 0)
+}
 
 const inputs = tryToLoad(args['inputs'])
 
@@ -110,7 +149,12 @@ const options = {
 
 // console.log(fullGraphDef.filter(d => d.type === 'graph'))
 const g = new DGraph(fullGraphDef, mainGraphName, options)
-g.run(inputs).then(results => {
+g.run(inputs, { explain: !!args['explain'] }).then(results => {
+	if (args['format'] === 'dot' || args['format'] === 'mermaid') {
+		const drawingOptions = { values: true, hideLiterals: !!args['hide-literals'] }
+		console.log(args['format'] === 'dot' ? g.toDot(drawingOptions) : g.toMermaid(drawingOptions))
+		return
+	}
 	console.log(` --- graph fulfilled --- `) // eslint-disable-line no-console
 	console.log(JSON.stringify(results, null, 4)) // eslint-disable-line no-console
 })
\ No newline at end of file
@@ -0,0 +1,240 @@
+const _ = require('lodash')
+const { Decimal } = require('./decimal')
+
+/**
+ * The subset of JSON Schema supported by `validateValue`. Annotations like
+ * `title`, `description` and `default` are allowed and ignored.
+ */
+const SUPPORTED_KEYWORDS = [
+	'type',
+	'enum',
+	'const',
+	'properties',
+	'required',
+	'additionalProperties',
+	'items',
+	'minItems',
+	'maxItems',
+	'minimum',
+	'maximum',
+	'exclusiveMinimum',
+	'exclusiveMaximum',
+	'minLength',
+	'maxLength',
+	'pattern',
+	'anyOf',
+	'title',
+	'description',
+	'default',
+	'examples'
+]
+
+// decimals, as computed in decimal graphs, count as numbers, as do numeric
+// strings, with the `numericStrings` option.
+const isNumericString = (value) => {
+	try {
+		return _.isString(value) && !!Decimal.from(value)
+	}
+	catch (error) {
+		return false
+	}
+}
+const isNumeric = (value, options = {}) => (
+	(_.isNumber(value) && !_.isNaN(value)) || Decimal.isDecimal(value) || (!!options.numericStrings && isNumericString(value))
+)
+const toNumber = value => (Decimal.isDecimal(value) || _.isString(value) ? Decimal.from(value).toNumber() : value)
+
+const typeChecks = {
+	string: _.isString,
+	number: isNumeric,
+	integer: (value, options) => isNumeric(value, options) && Number.isInteger(toNumber(value)),
+	boolean: _.isBoolean,
+	null: _.isNull,
+	array: _.isArray,
+	object: _.isPlainObject
+}
+
+const describeType = (value) => {
+	if (_.isNull(value)) {
+		return 'null'
+	}
+	if (_.isArray(value)) {
+		return 'array'
+	}
+	return isNumeric(value) ? 'number' : typeof value
+}
+
+const formatValue = value => (_.isUndefined(value) ? 'undefined' : JSON.stringify(value))
+
+/**
+ * The schema that the property `key` of objects matching `schema` must match:
+ * from `properties`, or else `additionalProperties`.
+ */
+const getPropertySchema = (schema, key) => {
+	if (schema.properties && _.has(schema.properties, key)) {
+		return schema.properties[key]
+	}
+	return _.has(schema, 'additionalProperties') ? schema.additionalProperties : true
+}
+
+/**
+ * Check `value` against `schema` (see `SUPPORTED_KEYWORDS`). Returns a list
+ * of issues shaped `{ path, message }`, empty if the value matches, where
+ * `path` locates the offending value, starting with `path`.
+ *
+ * @param {Object} schema A JSON Schema, or `true` (anything matches) or `false` (nothing does).
+ * @param {*} value The value to check.
+ * @param {String} [path] Path to `value`, prefixed to the paths of issues.
+ * @param {Object} [options]
+ * @param {Boolean} [options.numericStrings] Count numeric strings, like `'1.10'`, as
+ *   numbers, as decimal graphs do.
+ * @return {Array<Object>}
+ */
+const validateValue = (schema, value, path = '', options = {}) => {
+	if (schema === true || _.isUndefined(schema)) {
+		return []
+	}
+	if (schema === false) {
+		return [{ path, message: 'is not allowed' }]
+	}
+	const join = key => (path ? `${path}.${key}` : String(key))
+	const issue = message => [{ path, message }]
+
+	if (schema.type) {
+		const types = _.castArray(schema.type)
+		if (!types.some(type => typeChecks[type] && typeChecks[type](value, options))) {
+			return issue(`expected ${types.join(' or ')} but got ${describeType(value)} ${formatValue(value)}`)
+		}
+	}
+	if (schema.enum && !schema.enum.some(allowed => _.isEqual(allowed, value))) {
+		return issue(`must be one of ${schema.enum.map(formatValue).join(', ')} but is ${formatValue(value)}`)
+	}
+	if (_.has(schema, 'const') && !_.isEqual(schema.const, value)) {
+		return issue(`must be ${formatValue(schema.const)} but is ${formatValue(value)}`)
+	}
+	if (schema.anyOf && !schema.anyOf.some(option => !validateValue(option, value, path, options).length)) {
+		return issue(`does not match any of the allowed schemas: ${formatValue(value)}`)
+	}
+
+	let issues = []
+	if (isNumeric(value, options)) {
+		const n = toNumber(value)
+		if (_.has(schema, 'minimum') && n < schema.minimum) {
+			issues = issues.concat(issue(`must be >= ${schema.minimum} but is ${n}`))
+		}
+		if (_.has(schema, 'maximum') && n > schema.maximum) {
+			issues = issues.concat(issue(`must be <= ${schema.maximum} but is ${n}`))
+		}
+		if (_.has(schema, 'exclusiveMinimum') && n <= schema.exclusiveMinimum) {
+			issues = issues.concat(issue(`must be > ${schema.exclusiveMinimum} but is ${n}`))
+		}
+		if (_.has(schema, 'exclusiveMaximum') && n >= schema.exclusiveMaximum) {
+			issues = issues.concat(issue(`must be < ${schema.exclusiveMaximum} but is ${n}`))
+		}
+	}
+	if (_.isString(value)) {
+		if (_.has(schema, 'minLength') && value.length < schema.minLength) {
+			issues = issues.concat(issue(`must be at least ${schema.minLength} characters long`))
+		}
+		if (_.has(schema, 'maxLength') && value.length > schema.maxLength) {
+			issues = issues.concat(issue(`must be at most ${schema.maxLength} characters long`))
+		}
+		if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+			issues = issues.concat(issue(`must match the pattern /${schema.pattern}/ but is ${formatValue(value)}`))
+		}
+	}
+	if (_.isArray(value)) {
+		if (_.has(schema, 'minItems') && value.length < schema.minItems) {
+			issues = issues.concat(issue(`must have at least ${schema.minItems} items`))
+		}
+		if (_.has(schema, 'maxItems') && value.length > schema.maxItems) {
+			issues = issues.concat(issue(`must have at most ${schema.maxItems} items`))
+		}
+		if (_.has(schema, 'items')) {
+			value.forEach((item, i) => {
+				issues = issues.concat(validateValue(schema.items, item, join(i), options))
+			})
+		}
+	}
+	if (_.isPlainObject(value)) {
+		_.forEach(schema.required, (key) => {
+			if (_.isUndefined(value[key])) {
+				issues.push({ path: join(key), message: 'is required' })
+			}
+		})
+		_.forOwn(value, (propertyValue, key) => {
+			const propertySchema = getPropertySchema(schema, key)
+			if (!_.isUndefined(propertyValue) || propertySchema === false) {
+				issues = issues.concat(validateValue(propertySchema, propertyValue, join(key), options))
+			}
+		})
+	}
+	return issues
+}
+
+/**
+ * Check that `schema` only uses supported keywords. Returns a list of issues
+ * shaped `{ path, message }`, where `path` locates the offending keyword.
+ */
+const checkSchema = (schema, path = '') => {
+	if (_.isBoolean(schema)) {
+		return []
+	}
+	if (!_.isPlainObject(schema)) {
+		return [{ path, message: 'A schema must be an object or a boolean.' }]
+	}
+	const join = key => (path ? `${path}.${key}` : key)
+	let issues = _.keys(schema).filter(keyword => !SUPPORTED_KEYWORDS.includes(keyword)).map(keyword => ({
+		path: join(keyword),
+		message: `Unsupported schema keyword '${keyword}'.`
+	}))
+	_.castArray(schema.type || []).filter(type => !typeChecks[type]).forEach((type) => {
+		issues.push({ path: join('type'), message: `Unknown type '${type}'.` })
+	})
+	_.forOwn(schema.properties, (propertySchema, key) => {
+		issues = issues.concat(checkSchema(propertySchema, join(`properties.${key}`)))
+	})
+	const subschemaKeywords = ['items', 'additionalProperties']
+	subschemaKeywords.filter(keyword => _.has(schema, keyword)).forEach((keyword) => {
+		issues = issues.concat(checkSchema(schema[keyword], join(keyword)))
+	})
+	_.forEach(schema.anyOf, (option, i) => {
+		issues = issues.concat(checkSchema(option, join(`anyOf.${i}`)))
+	})
+	return issues
+}
+
+/**
+ * Build a schema describing the inputs a graph reads, from input paths as
+ * returned by `DGraph.collectExpectedInputPaths`: every path is required,
+ * objects are inferred from nested paths and arrays from `*` wildcards, and
+ * the types of the values at the ends of paths are left open.
+ */
+const inferInputSchema = (inputPaths) => {
+	const root = { type: 'object', properties: {}, required: [] }
+	inputPaths.forEach((inputPath) => {
+		let schema = root
+		inputPath.split('.').forEach((key) => {
+			if (key === '*') {
+				schema.type = 'array'
+				schema.items = schema.items || {}
+				schema = schema.items
+				return
+			}
+			schema.type = 'object'
+			schema.properties = schema.properties || {}
+			schema.required = _.union(schema.required, [key])
+			schema.properties[key] = schema.properties[key] || {}
+			schema = schema.properties[key]
+		})
+	})
+	return root
+}
+
+module.exports = {
+	SUPPORTED_KEYWORDS,
+	validateValue,
+	getPropertySchema,
+	checkSchema,
+	inferInputSchema
+}
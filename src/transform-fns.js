@@ -1,5 +1,7 @@
 const _ = require('lodash')
 const { getValueAtPath } = require('./object-path-utils')
+const { Decimal } = require('./decimal')
+const { isMoney, getMinorUnits } = require('./money')
 
 /**
  * Try to extract an array of values from arguments to the
@@ -45,7 +47,10 @@ const concatArrays = items => extractNItems(items).reduce((t, a) => t.concat(a),
 const filter = ({ collection, path, value }) => extractNItems(collection).filter(_filterFn({ path, value }))
 const filterNot = ({ collection, path, value }) => extractNItems(collection).filter(_filterNotFn({ path, value }))
 // TODO: When a node running find returns null it should not break the flow.
-const find = ({ collection, propName, propValue }) => extractNItems(collection).find(item => item[propName] === propValue)
+// pass `where` (see `matchesWhere`) instead of `propName` and `propValue` for more than equality.
+const find = ({ collection, propName, propValue, where }, transforms) => extractNItems(collection).find(item => (
+	_.isUndefined(where) ? item[propName] === propValue : matchesWhere(item, where, transforms) // eslint-disable-line no-use-before-define
+))
 
 const not = ({ item }) => _.isBoolean(item) && !item
 
@@ -58,7 +63,10 @@ const addFactor = ({ amt, factor }) => amt + (amt * factor)
 const subFactor = ({ amt, factor }) => amt - (amt * factor)
 const mult = ({ amt, factor }) => amt * factor
 const div = ({ num, dem }) => num / dem
-const round = ({ amt }) => Math.round(amt)
+// passing `places` or `mode` (see `Decimal.ROUNDING_MODES`) rounds exactly,
+// avoiding floating point surprises like 1.005 rounding to 1.
+const roundExactly = (amt, places, mode) => Decimal.from(amt).round(places, mode).toNumber()
+const round = ({ amt, places, mode }) => (_.isUndefined(places) && _.isUndefined(mode) ? Math.round(amt) : roundExactly(amt, places || 0, mode))
 const ceil = ({ amt }) => Math.ceil(amt)
 const floor = ({ amt }) => Math.floor(amt)
 const max = ({ a, b }) => Math.max(a, b)
@@ -69,7 +77,10 @@ const gte = ({ a, b }) => !!(a >= b)
 const lte = ({ a, b }) => !!(a <= b)
 const eq = ({ a, b }) => !!(a === b)
 const clamp = ({ amt, min, max }) => Math.max(min, Math.min(max, amt))
-const roundCurrency = ({ amt }) => {
+const roundCurrency = ({ amt, places, mode }) => {
+	if (!_.isUndefined(places) || !_.isUndefined(mode)) {
+		return roundExactly(amt, _.isUndefined(places) ? 2 : places, mode)
+	}
 	let r = amt
 	try { r = Number(amt.toFixed(2)) } catch (error) { console.log(`unable to round ${amt}`) } // eslint-disable-line no-console
 	return r
@@ -78,29 +89,420 @@ const includes = ({ item, isIncludedIn }) => isIncludedIn.includes(item)
 const isNonEmptyString = ({ item }) => !!item && _.isString(item) && item.trim().length > 0
 const isNull = ({ item }) => _.isNull(item)
 
-const map = ({ collection, fn, params }) => collection.map((item) => {
+// transform functions are passed the registry of transforms available to the
+// calling graph as a second argument. use it to find transforms by name so that
+// any registered with the graph are found too.
+const getTransform = (name, transforms) => (transforms ? transforms.get(name) : module.exports[name])
+
+const map = ({ collection, fn, params }, transforms) => collection.map((item) => {
 	const args = _.mapValues(params, localPath => getValueAtPath(item, localPath))
-	return module.exports[fn](args)
+	return getTransform(fn, transforms)(args, transforms)
 })
 
-const vectorOp = ({ collectionA, collectionB, op }) => {
+const vectorOp = ({ collectionA, collectionB, op }, transforms) => {
 	const result = []
 	const cA = extractNItems(collectionA)
 	const cB = extractNItems(collectionB)
 	if (cA.length !== cB.length) {
 		throw new Error(`vectorOp error: collections must be equal in length. Got a: ${cA.length}, b: ${cB.length}.`)
 	}
-	if (!(op in module.exports)) {
+	const opFn = getTransform(op, transforms)
+	if (!_.isFunction(opFn)) {
 		throw new Error(`vectorOp error: op '${op}' not found`)
 	}
 	cA.forEach((a, i) => {
 		const b = cB[i]
 		const args = vectorOpFnArgs(op, a, b)
-		result.push(module.exports[op](args))
+		result.push(opFn(args, transforms))
 	})
 	return result
 }
 
+// bracketed taxes and surcharges. `brackets` are `{ over, rate }`, in any
+// order: each covers amounts above its `over` threshold, up to the next
+// bracket's. they return `{ total, breakdown }`, where `breakdown` has an
+// entry per bracket (`{ over, upTo, rate, taxable, tax }`) for auditing.
+// arithmetic goes through `transforms`, so decimal graphs compute exactly
+// and money amounts work (given money thresholds, caps and charges).
+const callTransform = (name, args, transforms) => getTransform(name, transforms)(args, transforms)
+
+const sortBrackets = (brackets, transforms) => extractNItems(brackets).slice().sort((x, y) => {
+	if (callTransform('lt', { a: x.over, b: y.over }, transforms)) {
+		return -1
+	}
+	return callTransform('gt', { a: x.over, b: y.over }, transforms) ? 1 : 0
+})
+
+const sumTaxes = (breakdown, zero, transforms) => breakdown.reduce((total, { tax }) => callTransform('add', { a: total, b: tax }, transforms), zero)
+
+// each bracket taxes the part of `amt` that falls within it.
+const marginalBreakdown = (amt, brackets, transforms) => {
+	const call = (name, args) => callTransform(name, args, transforms)
+	const zero = call('sub', { a: amt, b: amt })
+	const sorted = sortBrackets(brackets, transforms)
+	return sorted.map((bracket, i) => {
+		const next = sorted[i + 1]
+		let taxable = call('max', { a: zero, b: call('sub', { a: amt, b: bracket.over }) })
+		if (next) {
+			taxable = call('min', { a: taxable, b: call('sub', { a: next.over, b: bracket.over }) })
+		}
+		return { over: bracket.over, upTo: next ? next.over : null, rate: bracket.rate, taxable, tax: call('mult', { amt: taxable, factor: bracket.rate }) }
+	})
+}
+
+const marginalTax = ({ amt, brackets }, transforms) => {
+	const breakdown = marginalBreakdown(amt, brackets, transforms)
+	return { total: sumTaxes(breakdown, callTransform('sub', { a: amt, b: amt }, transforms), transforms), breakdown }
+}
+
+// the highest bracket `amt` is over applies its `rate`, plus any `flat`
+// charge, to the whole of `amt`.
+const flatOverThresholdTax = ({ amt, brackets }, transforms) => {
+	const call = (name, args) => callTransform(name, args, transforms)
+	const zero = call('sub', { a: amt, b: amt })
+	const sorted = sortBrackets(brackets, transforms)
+	const applied = _.findLast(sorted, bracket => call('gt', { a: amt, b: bracket.over }))
+	const breakdown = sorted.map((bracket, i) => {
+		const next = sorted[i + 1]
+		const entry = { over: bracket.over, upTo: next ? next.over : null, rate: bracket.rate, taxable: zero, tax: zero }
+		if (bracket === applied) {
+			const tax = call('mult', { amt, factor: bracket.rate })
+			_.assign(entry, { taxable: amt, tax: _.isUndefined(bracket.flat) ? tax : call('add', { a: tax, b: bracket.flat }) })
+		}
+		return entry
+	})
+	return { total: sumTaxes(breakdown, zero, transforms), breakdown }
+}
+
+// marginal, but each bracket's tax is limited to its `cap`, if it has one,
+// and the total to `cap`. `adjustment` is what the overall cap took off.
+const cappedPercentTax = ({ amt, brackets, cap }, transforms) => {
+	const call = (name, args) => callTransform(name, args, transforms)
+	const zero = call('sub', { a: amt, b: amt })
+	const sorted = sortBrackets(brackets, transforms)
+	const breakdown = marginalBreakdown(amt, sorted, transforms).map((entry, i) => {
+		const bracketCap = sorted[i].cap
+		return _.isUndefined(bracketCap) ? entry : { ...entry, tax: call('min', { a: entry.tax, b: bracketCap }) }
+	})
+	const uncapped = sumTaxes(breakdown, zero, transforms)
+	const total = _.isUndefined(cap) ? uncapped : call('min', { a: uncapped, b: cap })
+	return { total, breakdown, adjustment: call('sub', { a: total, b: uncapped }) }
+}
+
+// marginal, but the total is at least `minimum`. `adjustment` is what the
+// minimum added.
+const minimumChargeTax = ({ amt, brackets, minimum }, transforms) => {
+	const { total: charged, breakdown } = marginalTax({ amt, brackets }, transforms)
+	const total = callTransform('max', { a: charged, b: minimum }, transforms)
+	return { total, breakdown, adjustment: callTransform('sub', { a: total, b: charged }, transforms) }
+}
+
+// dates are ISO 8601 strings, eg `2024-03-01` or `2024-03-01T09:30:00-08:00`.
+// those without an offset are local times in the `timeZone` param (an IANA
+// name like `America/New_York`, default `UTC`), as are calendar days, so day
+// counts follow the local calendar across daylight saving changes.
+const MS_PER_HOUR = 60 * 60 * 1000
+const MS_PER_DAY = 24 * MS_PER_HOUR
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?(Z|[+-]\d{2}:?\d{2})?$/
+
+const dateFormatters = {}
+// the local wall time of the instant `ms` in `timeZone`, as if it were UTC.
+const wallTimeOf = (ms, timeZone = 'UTC') => {
+	if (!dateFormatters[timeZone]) {
+		dateFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+			timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+		})
+	}
+	const parts = _.fromPairs(dateFormatters[timeZone].formatToParts(new Date(ms)).map(({ type, value }) => [type, Number(value)]))
+	return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, ms - (Math.floor(ms / 1000) * 1000))
+}
+
+// the instant at which it's `wallTime` (see `wallTimeOf`) in `timeZone`.
+const instantOf = (wallTime, timeZone) => {
+	const guess = wallTime - (wallTimeOf(wallTime, timeZone) - wallTime)
+	// the offset may differ at the guess, across a daylight saving change.
+	return wallTime - (wallTimeOf(guess, timeZone) - guess)
+}
+
+const isDateOnly = date => _.isString(date) && /^\d{4}-\d{2}-\d{2}$/.test(date)
+
+const toInstant = (date, timeZone) => {
+	const match = _.isString(date) && date.match(ISO_DATE)
+	const [year, month, day, hour, minute, second] = match ? match.slice(1, 7).map(part => Number(part || 0)) : []
+	// rather than let `Date.UTC` roll Feb 31 over into March, say.
+	const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate()
+	if (!match || month < 1 || month > 12 || day < 1 || day > daysInMonth || hour > 23 || minute > 59 || second > 59) {
+		throw new Error(`Expected an ISO 8601 date, got ${JSON.stringify(date)}.`)
+	}
+	const wallTime = Date.UTC(year, month - 1, day, hour, minute, second, Number((match[7] || '').padEnd(3, '0')))
+	const offset = match[8]
+	if (!offset) {
+		return instantOf(wallTime, timeZone)
+	}
+	if (offset === 'Z') {
+		return wallTime
+	}
+	const [, sign, offsetHours, offsetMinutes] = offset.match(/([+-])(\d{2}):?(\d{2})/)
+	return wallTime - ((sign === '-' ? -1 : 1) * ((Number(offsetHours) * 60) + Number(offsetMinutes)) * 60 * 1000)
+}
+
+// the local calendar day of `date`, as a number of days since 1970-01-01.
+const dayNumberOf = (date, timeZone) => Math.floor(wallTimeOf(toInstant(date, timeZone), timeZone) / MS_PER_DAY)
+const isoDateOfDay = dayNumber => new Date(dayNumber * MS_PER_DAY).toISOString().slice(0, 10)
+
+const parseDate = ({ date, timeZone }) => new Date(toInstant(date, timeZone)).toISOString()
+
+// whole local calendar days from `start` to `end`, or elapsed hours (`unit: 'hours'`).
+const dateDiff = ({ start, end, unit = 'days', timeZone }) => {
+	if (unit === 'hours') {
+		return (toInstant(end, timeZone) - toInstant(start, timeZone)) / MS_PER_HOUR
+	}
+	if (unit !== 'days') {
+		throw new Error(`dateDiff error: unknown unit '${unit}'; expected 'days' or 'hours'.`)
+	}
+	return dayNumberOf(end, timeZone) - dayNumberOf(start, timeZone)
+}
+
+// months and days move along the local calendar, keeping the time of day
+// (months end early rather than overflow: Jan 31 + 1 month is Feb 28 or 29);
+// hours are elapsed time. dates stay dates unless hours are added.
+const addDuration = ({ date, months = 0, days = 0, hours = 0, timeZone }) => {
+	const wallTime = new Date(wallTimeOf(toInstant(date, timeZone), timeZone))
+	const year = wallTime.getUTCFullYear()
+	const month = wallTime.getUTCMonth() + months
+	const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate()
+	wallTime.setUTCFullYear(year, month, Math.min(wallTime.getUTCDate(), lastDay))
+	wallTime.setUTCDate(wallTime.getUTCDate() + days)
+	if (isDateOnly(date) && !hours) {
+		return wallTime.toISOString().slice(0, 10)
+	}
+	return new Date(instantOf(wallTime.getTime(), timeZone) + (hours * MS_PER_HOUR)).toISOString()
+}
+
+// 0 for Sunday through 6 for Saturday, in the local calendar.
+const dayOfWeek = ({ date, timeZone }) => new Date(dayNumberOf(date, timeZone) * MS_PER_DAY).getUTCDay()
+const isWeekend = ({ date, timeZone }) => [0, 6].includes(dayOfWeek({ date, timeZone }))
+
+// weekdays from `start` up to but not including `end` that aren't `holidays` (dates).
+const businessDays = ({ start, end, holidays = [], timeZone }) => {
+	const holidayDays = extractNItems(holidays).map(holiday => dayNumberOf(holiday, timeZone))
+	const first = dayNumberOf(start, timeZone)
+	return _.range(first, Math.max(first, dayNumberOf(end, timeZone))).filter((dayNumber) => {
+		const weekday = new Date(dayNumber * MS_PER_DAY).getUTCDay()
+		return weekday !== 0 && weekday !== 6 && !holidayDays.includes(dayNumber)
+	}).length
+}
+
+// the share of `amt`, charged for the period from `periodStart` up to
+// `periodEnd`, for the days from `start` up to `end` that fall within it.
+const prorate = ({ amt, start, end, periodStart, periodEnd, timeZone }, transforms) => {
+	const periodFirst = dayNumberOf(periodStart, timeZone)
+	const periodDays = dayNumberOf(periodEnd, timeZone) - periodFirst
+	if (periodDays <= 0) {
+		throw new Error(`prorate error: the period from ${periodStart} to ${periodEnd} is empty.`)
+	}
+	const first = Math.max(periodFirst, dayNumberOf(start, timeZone))
+	const days = Math.max(0, Math.min(periodFirst + periodDays, dayNumberOf(end, timeZone)) - first)
+	return callTransform('div', { num: callTransform('mult', { amt, factor: days }, transforms), dem: periodDays }, transforms)
+}
+
+// whole years from `birthDate` to `date`, in the local calendar. `date` is
+// required, rather than defaulting to today, so that graphs stay pure.
+const age = ({ birthDate, date, timeZone }) => {
+	const toYmd = value => isoDateOfDay(dayNumberOf(value, timeZone)).split('-').map(Number)
+	const [birthYear, birthMonth, birthDay] = toYmd(birthDate)
+	const [year, month, day] = toYmd(date)
+	const hasHadBirthday = month > birthMonth || (month === birthMonth && day >= birthDay)
+	return year - birthYear - (hasHadBirthday ? 0 : 1)
+}
+
+// numbers are formatted with `Intl.NumberFormat` for `locale` (default
+// `en-US`). decimals and money amounts are formatted exactly.
+const toFormattable = amt => (_.isNumber(amt) ? amt : String(amt))
+const formatNumber = ({ amt, places, locale = 'en-US' }) => new Intl.NumberFormat(locale, {
+	minimumFractionDigits: places,
+	maximumFractionDigits: _.isUndefined(places) ? 3 : places
+}).format(toFormattable(amt))
+// `amt` is money, or a number in `currency`. `places` defaults to the currency's minor units.
+const formatCurrency = ({ amt, currency, places, locale = 'en-US' }) => {
+	const [amount, code] = isMoney(amt) ? [amt.amount, amt.currency] : [amt, currency]
+	if (!code) {
+		throw new Error('formatCurrency error: pass money, or a `currency` code for a plain number.')
+	}
+	const digits = _.isUndefined(places) ? getMinorUnits(code) : places
+	return new Intl.NumberFormat(locale, {
+		style: 'currency', currency: code, minimumFractionDigits: digits, maximumFractionDigits: digits
+	}).format(toFormattable(amount))
+}
+// `amt` is a ratio: 0.075 is 7.5%.
+const formatPercent = ({ amt, places = 0, locale = 'en-US' }) => new Intl.NumberFormat(locale, {
+	style: 'percent', minimumFractionDigits: places, maximumFractionDigits: places
+}).format(toFormattable(amt))
+
+// fill in `{name}` placeholders (or `{path.to.value}`) in `template` from
+// `values` and any other params. money is formatted as currency, for
+// `locale`. `{{` and `}}` are literal braces.
+const format = ({ template, values, locale, ...otherParams }) => {
+	const allValues = { ...values, ...otherParams }
+	return template.replace(/\{\{|\}\}|\{\s*([^{}\s]+)\s*\}/g, (placeholder, path) => {
+		if (!path) {
+			return placeholder[0]
+		}
+		const value = _.get(allValues, path)
+		if (_.isUndefined(value)) {
+			throw new Error(`format error: no value for '${placeholder}' in template '${template}'.`)
+		}
+		return isMoney(value) ? formatCurrency({ amt: value, locale }) : String(value)
+	})
+}
+
+const caseConverters = {
+	upper: str => str.toUpperCase(),
+	lower: str => str.toLowerCase(),
+	title: str => str.toLowerCase().replace(/(^|[\s-])(\S)/g, (match, space, letter) => space + letter.toUpperCase()),
+	sentence: str => _.upperFirst(str.toLowerCase()),
+	camel: _.camelCase,
+	snake: _.snakeCase,
+	kebab: _.kebabCase
+}
+const changeCase = ({ str, to }) => {
+	if (!caseConverters[to]) {
+		throw new Error(`changeCase error: unknown case '${to}'; expected one of ${_.keys(caseConverters).join(', ')}.`)
+	}
+	return caseConverters[to](String(str))
+}
+
+// pad `str` to `length` with `char` (default a space) at the `start` (the
+// default), `end` or `both` sides.
+const pad = ({ str, length, char = ' ', side = 'start' }) => {
+	const padFns = { start: _.padStart, end: _.padEnd, both: _.pad }
+	if (!padFns[side]) {
+		throw new Error(`pad error: unknown side '${side}'; expected start, end or both.`)
+	}
+	return padFns[side](String(str), length, char)
+}
+
+// `pattern` is a regular expression's source, eg `^(\\w+)-(\\d+)$`. `match`
+// gives the match and its groups (or null), or all matches with the `g` flag.
+const match = ({ str, pattern, flags }) => {
+	const result = String(str).match(new RegExp(pattern, flags))
+	return result ? Array.from(result) : null
+}
+// replaces all matches unless `flags` are given without `g`. `replacement`
+// can refer to groups as `$1`.
+const replace = ({ str, pattern, replacement, flags = 'g' }) => String(str).replace(new RegExp(pattern, flags), replacement)
+const split = ({ str, separator, limit }) => String(str).split(separator, limit)
+const join = ({ collection, separator = '' }) => extractNItems(collection).join(separator)
+
+// collections are arrays, or objects whose values are the items. unlike the
+// xxxN functions, these don't flatten nested arrays. items' values are read
+// at `path`s via `getValueAtPath`, or are the items themselves without one,
+// and compared through `transforms`, so decimals and money compare exactly.
+const toItems = collection => (_.isArray(collection) ? collection : _.values(collection))
+const valueAt = (item, path) => {
+	if (_.isUndefined(path) || path === '') {
+		return item
+	}
+	return _.isObject(item) ? getValueAtPath(item, path) : undefined
+}
+const isAmount = value => _.isNumber(value) || Decimal.isDecimal(value) || isMoney(value)
+const valuesEqual = (a, b, transforms) => (isAmount(a) && isAmount(b) ? callTransform('eq', { a, b }, transforms) : _.isEqual(a, b))
+// missing values sort last.
+const compareValues = (a, b, transforms) => {
+	if (_.isNil(a) || _.isNil(b)) {
+		return (_.isNil(a) ? 1 : 0) - (_.isNil(b) ? 1 : 0)
+	}
+	if (callTransform('lt', { a, b }, transforms)) {
+		return -1
+	}
+	return callTransform('gt', { a, b }, transforms) ? 1 : 0
+}
+
+const compareWith = op => (value, operand, transforms) => !_.isNil(value) && callTransform(op, { a: value, b: operand }, transforms)
+const isIn = (value, operand, transforms) => toItems(operand).some(option => valuesEqual(value, option, transforms))
+const predicateOperators = {
+	eq: valuesEqual,
+	ne: (value, operand, transforms) => !valuesEqual(value, operand, transforms),
+	gt: compareWith('gt'),
+	gte: compareWith('gte'),
+	lt: compareWith('lt'),
+	lte: compareWith('lte'),
+	in: isIn,
+	nin: (value, operand, transforms) => !isIn(value, operand, transforms),
+	exists: (value, operand) => _.isUndefined(value) !== !!operand
+}
+
+// whether `item` matches every condition in `where`, which maps paths to a
+// value to equal, to an object of operators (`eq`, `ne`, `gt`, `gte`, `lt`,
+// `lte`, `in`, `nin` and `exists`) and their operands, or to a nested
+// `where` for the value there, eg `{ state: 'CA', price: { amount: { gte: 10,
+// lt: 20 } } }`. `'price.amount'` works as a key too. `where` is a literal:
+// neither its keys nor its operands are paths in the graph.
+const matchesWhere = (item, where, transforms) => _.every(where, (condition, path) => {
+	const value = valueAt(item, path)
+	if (!_.isPlainObject(condition) || _.isEmpty(condition) || isMoney(condition)) {
+		return valuesEqual(value, condition, transforms)
+	}
+	if (!_.keys(condition).every(key => _.has(predicateOperators, key))) {
+		return matchesWhere(value, condition, transforms)
+	}
+	return _.every(condition, (operand, operator) => predicateOperators[operator](value, operand, transforms))
+})
+
+// `paths` and `orders` (`asc`, the default, or `desc`) are single values or
+// matching arrays; later paths break ties.
+const sortBy = ({ collection, paths, orders }, transforms) => {
+	const sortPaths = _.castArray(paths)
+	const sortOrders = _.castArray(_.isUndefined(orders) ? [] : orders)
+	return toItems(collection).slice().sort((x, y) => {
+		for (let i = 0; i < sortPaths.length; i++) {
+			const result = compareValues(valueAt(x, sortPaths[i]), valueAt(y, sortPaths[i]), transforms)
+			if (result) {
+				const isMissing = _.isNil(valueAt(x, sortPaths[i])) || _.isNil(valueAt(y, sortPaths[i]))
+				return sortOrders[i] === 'desc' && !isMissing ? -result : result
+			}
+		}
+		return 0
+	})
+}
+const groupBy = ({ collection, path }) => _.groupBy(toItems(collection), item => valueAt(item, path))
+const countBy = ({ collection, path }) => _.countBy(toItems(collection), item => valueAt(item, path))
+// missing values are skipped.
+const presentValues = (collection, path) => toItems(collection).map(item => valueAt(item, path)).filter(value => !_.isNil(value))
+const sumBy = ({ collection, path }, transforms) => {
+	const values = presentValues(collection, path)
+	// an empty sum is the graph's zero, eg a decimal in decimal graphs.
+	return values.length ? values.reduce((total, value) => callTransform('add', { a: total, b: value }, transforms)) : callTransform('sub', { a: 0, b: 0 }, transforms)
+}
+const avgBy = ({ collection, path }, transforms) => {
+	const count = presentValues(collection, path).length
+	return count ? callTransform('div', { num: sumBy({ collection, path }, transforms), dem: count }, transforms) : null
+}
+// the item with the least or greatest value at `path`, skipping missing
+// values; null if there are none.
+const extremeBy = sign => ({ collection, path }, transforms) => toItems(collection)
+	.filter(item => !_.isNil(valueAt(item, path)))
+	.reduce((best, item) => (best === null || (sign * compareValues(valueAt(item, path), valueAt(best, path), transforms)) < 0 ? item : best), null)
+const minBy = extremeBy(1)
+const maxBy = extremeBy(-1)
+const uniqBy = ({ collection, path }, transforms) => _.uniqWith(toItems(collection), (x, y) => valuesEqual(valueAt(x, path), valueAt(y, path), transforms))
+// combine equal-length collections, passed as any number of params, into
+// items keyed by param name: { price: [1, 2], qty: [3, 4] } gives
+// [{ price: 1, qty: 3 }, { price: 2, qty: 4 }].
+const zip = (collections) => {
+	const itemsByName = _.mapValues(collections, toItems)
+	const lengths = _.mapValues(itemsByName, 'length')
+	if (_.uniq(_.values(lengths)).length > 1) {
+		throw new Error(`zip error: collections must be equal in length. Got ${_.map(lengths, (length, name) => `${name}: ${length}`).join(', ')}.`)
+	}
+	return _.range(_.max(_.values(lengths)) || 0).map(i => _.mapValues(itemsByName, items => items[i]))
+}
+const flatten = ({ collection, depth = 1 }) => _.flattenDepth(toItems(collection), depth)
+const slice = ({ collection, start, end }) => toItems(collection).slice(start, end)
+const take = ({ collection, count }) => _.take(toItems(collection), count)
+// [the items matching `where`, the rest].
+const partition = ({ collection, where }, transforms) => _.partition(toItems(collection), item => matchesWhere(item, where, transforms))
+
 const pick = ({ src, propNames }) => _.pick(src, propNames)
 const omit = ({ src, propNames }) => _.omit(src, propNames)
 const merge = ({ a, b }) => _.merge({}, a, b)
@@ -143,6 +545,41 @@ module.exports = {
 	find,
 	map,
 	vectorOp,
+	marginalTax,
+	flatOverThresholdTax,
+	cappedPercentTax,
+	minimumChargeTax,
+	parseDate,
+	dateDiff,
+	addDuration,
+	dayOfWeek,
+	isWeekend,
+	businessDays,
+	prorate,
+	age,
+	formatNumber,
+	formatCurrency,
+	formatPercent,
+	format,
+	changeCase,
+	pad,
+	match,
+	replace,
+	split,
+	join,
+	sortBy,
+	groupBy,
+	countBy,
+	sumBy,
+	avgBy,
+	minBy,
+	maxBy,
+	uniqBy,
+	zip,
+	flatten,
+	slice,
+	take,
+	partition,
 	pick,
 	omit,
 	merge,
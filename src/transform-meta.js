@@ -0,0 +1,154 @@
+const _ = require('lodash')
+const { TYPES, arrayOf, objectOf, unionOf, elementType, amountType, includesKind } = require('./type-check')
+
+/**
+ * Signatures of the built-in transforms (see `transform-fns.js`), registered
+ * as their meta. `params` declares each param's type (see `type-check.js`
+ * for how types are written) for `DGraph.validate` and `DGraph.checkTypes`;
+ * params declared as `string`s are expected to be literals. The `xxxN`
+ * transforms take any number of params and declare the type of their
+ * `items` instead, and transforms that take params of their callers' naming
+ * as well as those declared (`format`) declare the type of `otherParams`.
+ * `returns` is the result type, or a function of the params' types that
+ * returns it. Params declared `isPredicate` take a `where` (see
+ * `matchesWhere`), which `DGraph.validate` checks for operands that look
+ * like paths.
+ */
+
+const amount = { type: 'number | money' }
+const comparable = { type: 'number | money | string' }
+const anything = { type: 'any' }
+const optional = meta => ({ ...meta, isOptional: true })
+// a `where` is a literal object, not a path.
+const where = { type: 'object', isPredicate: true }
+
+const arithmetic = params => ({ params, returns: amountType })
+const comparison = { params: { a: comparable, b: comparable }, returns: 'boolean' }
+const predicate = { params: { item: anything }, returns: 'boolean' }
+const rounding = arithmetic({ amt: amount, places: optional({ type: 'number' }), mode: optional({ type: 'string' }) })
+
+const itemOf = argTypes => elementType(argTypes.collection || TYPES.any)
+const collectionOf = argTypes => arrayOf(itemOf(argTypes))
+
+// the bracketed taxes return `{ total, breakdown }` (and sometimes `adjustment`) in `amt`'s terms.
+const bracketed = (params, hasAdjustment) => ({
+	params: { amt: amount, brackets: { type: 'object[]' }, ...params },
+	returns: ({ amt }) => {
+		const part = amountType({ amt: amt || TYPES.any })
+		const breakdown = arrayOf(objectOf({ rate: TYPES.number, taxable: part, tax: part }, true))
+		return objectOf(hasAdjustment ? { total: part, breakdown, adjustment: part } : { total: part, breakdown })
+	}
+})
+
+// dates are ISO 8601 strings, and usually literals.
+const date = { type: 'string' }
+const timeZone = optional({ type: 'string' })
+const count = optional({ type: 'number' })
+
+const text = { type: 'string | number' }
+const literal = { type: 'string' }
+const locale = optional(literal)
+const collection = { type: 'array | object' }
+const path = optional(literal)
+
+module.exports = {
+	addN: { items: amount, returns: argTypes => amountType(_.mapValues(argTypes, type => (includesKind(type, 'array') ? elementType(type) : type))) },
+	add: arithmetic({ a: amount, b: amount }),
+	sub: arithmetic({ a: amount, b: amount }),
+	addFactor: arithmetic({ amt: amount, factor: { type: 'number' } }),
+	subFactor: arithmetic({ amt: amount, factor: { type: 'number' } }),
+	mult: arithmetic({ amt: amount, factor: amount }),
+	div: {
+		params: { num: amount, dem: amount },
+		// the ratio of two amounts of money is a number.
+		returns: ({ num, dem }) => (dem && dem.kind === 'money' ? TYPES.number : amountType({ num }))
+	},
+	round: rounding,
+	roundCurrency: rounding,
+	ceil: arithmetic({ amt: amount }),
+	floor: arithmetic({ amt: amount }),
+	max: arithmetic({ a: amount, b: amount }),
+	min: arithmetic({ a: amount, b: amount }),
+	clamp: arithmetic({ amt: amount, min: amount, max: amount }),
+	gt: comparison,
+	lt: comparison,
+	gte: comparison,
+	lte: comparison,
+	eq: { params: { a: anything, b: anything }, returns: 'boolean' },
+	allocate: {
+		params: { amt: amount, ratios: { type: 'number[] | object' }, places: optional({ type: 'number' }) },
+		returns: ({ amt, ratios }) => {
+			const part = amountType({ amt })
+			return ratios && ratios.kind === 'object' ? objectOf(_.mapValues(ratios.properties, () => part), ratios.isOpen) : arrayOf(part)
+		}
+	},
+	includes: { params: { item: anything, isIncludedIn: { type: 'array | string' } }, returns: 'boolean' },
+	andN: { items: anything, returns: 'boolean' },
+	orN: { items: anything, returns: argTypes => unionOf(_.values(argTypes).concat(TYPES.boolean)) },
+	not: predicate,
+	isNull: predicate,
+	isNonEmptyString: predicate,
+	ternary: { params: { test: anything, pass: anything, fail: anything }, returns: ({ pass, fail }) => unionOf([pass || TYPES.any, fail || TYPES.any]) },
+	concat: { items: { type: 'string | number' }, returns: 'string' },
+	concatArrays: { items: { type: 'array' }, returns: argTypes => arrayOf(unionOf(_.values(argTypes).map(elementType))) },
+	filter: { params: { collection, path: literal, value: optional(anything) }, returns: collectionOf },
+	filterNot: { params: { collection, path: literal, value: optional(anything) }, returns: collectionOf },
+	find: {
+		params: { collection, propName: optional(literal), propValue: optional(anything), where: optional(where) },
+		returns: itemOf
+	},
+	map: { params: { collection: { type: 'array' }, fn: { type: 'string' }, params: optional({ type: 'object' }) }, returns: 'any[]' },
+	vectorOp: { params: { collectionA: { type: 'array | object' }, collectionB: { type: 'array | object' }, op: { type: 'string' } }, returns: 'any[]' },
+	marginalTax: bracketed({}),
+	flatOverThresholdTax: bracketed({}),
+	cappedPercentTax: bracketed({ cap: optional(amount) }, true),
+	minimumChargeTax: bracketed({ minimum: amount }, true),
+	parseDate: { params: { date, timeZone }, returns: 'string' },
+	dateDiff: { params: { start: date, end: date, unit: optional({ type: 'string' }), timeZone }, returns: 'number' },
+	addDuration: { params: { date, months: count, days: count, hours: count, timeZone }, returns: 'string' },
+	dayOfWeek: { params: { date, timeZone }, returns: 'number' },
+	isWeekend: { params: { date, timeZone }, returns: 'boolean' },
+	businessDays: { params: { start: date, end: date, holidays: optional({ type: 'string[]' }), timeZone }, returns: 'number' },
+	prorate: {
+		params: { amt: amount, start: date, end: date, periodStart: date, periodEnd: date, timeZone },
+		returns: ({ amt }) => amountType({ amt: amt || TYPES.any })
+	},
+	age: { params: { birthDate: date, date, timeZone }, returns: 'number' },
+	formatNumber: { params: { amt: amount, places: count, locale }, returns: 'string' },
+	formatCurrency: { params: { amt: amount, currency: optional(literal), places: count, locale }, returns: 'string' },
+	formatPercent: { params: { amt: amount, places: count, locale }, returns: 'string' },
+	format: { params: { template: literal, values: optional({ type: 'object' }), locale }, otherParams: anything, returns: 'string' },
+	changeCase: { params: { str: text, to: literal }, returns: 'string' },
+	pad: { params: { str: text, length: { type: 'number' }, char: optional(literal), side: optional(literal) }, returns: 'string' },
+	match: { params: { str: text, pattern: literal, flags: optional(literal) }, returns: 'string[] | null' },
+	replace: { params: { str: text, pattern: literal, replacement: literal, flags: optional(literal) }, returns: 'string' },
+	split: { params: { str: text, separator: literal, limit: count }, returns: 'string[]' },
+	join: { params: { collection: { type: 'array | object' }, separator: optional(literal) }, returns: 'string' },
+	sortBy: { params: { collection, paths: { type: 'string[] | string' }, orders: optional({ type: 'string[] | string' }) }, returns: collectionOf },
+	groupBy: { params: { collection, path }, returns: 'object' },
+	countBy: { params: { collection, path }, returns: 'object' },
+	sumBy: { params: { collection, path }, returns: 'number | money' },
+	avgBy: { params: { collection, path }, returns: 'number | money | null' },
+	minBy: { params: { collection, path }, returns: argTypes => unionOf([itemOf(argTypes), TYPES.null]) },
+	maxBy: { params: { collection, path }, returns: argTypes => unionOf([itemOf(argTypes), TYPES.null]) },
+	uniqBy: { params: { collection, path }, returns: collectionOf },
+	zip: { items: collection, returns: 'object[]' },
+	flatten: { params: { collection, depth: count }, returns: 'any[]' },
+	slice: { params: { collection, start: count, end: count }, returns: collectionOf },
+	take: { params: { collection, count: { type: 'number' } }, returns: collectionOf },
+	partition: { params: { collection, where }, returns: argTypes => arrayOf(collectionOf(argTypes)) },
+	pick: { params: { src: { type: 'object' }, propNames: { type: 'string[] | string' } }, returns: 'object' },
+	omit: { params: { src: { type: 'object' }, propNames: { type: 'string[] | string' } }, returns: 'object' },
+	merge: {
+		params: { a: { type: 'object' }, b: { type: 'object' } },
+		returns: ({ a, b }) => {
+			const isKnownObject = type => type && type.kind === 'object'
+			if (!isKnownObject(a) || !isKnownObject(b)) {
+				return TYPES.object
+			}
+			return objectOf({ ...a.properties, ...b.properties }, a.isOpen || b.isOpen)
+		}
+	},
+	box: { params: { value: anything, propName: { type: 'string' } }, returns: 'object' },
+	addProp: { params: { src: { type: 'object' }, propName: { type: 'string' }, propValue: anything }, returns: 'object' }
+}
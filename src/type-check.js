@@ -0,0 +1,579 @@
+const _ = require('lodash')
+const { isMoney } = require('./money')
+const { parseExpression, compileExpression } = require('./expression')
+
+/**
+ * Static types, as inferred by `checkTypes`. Types are plain objects with a
+ * `kind`:
+ *
+ * - `any`, `number`, `string`, `boolean`, `null` and `money` (see `money.js`).
+ * - `array`, with the type of its `items`.
+ * - `object`, with the types of its known `properties`. `isOpen` objects may
+ *   have other properties too.
+ * - `union`, of `types`.
+ *
+ * Transform signatures (see `transform-meta.js`) write types as strings:
+ * `number`, `number[]`, `number | money`, `object`, `array` or `any`.
+ */
+const TYPES = {
+	any: { kind: 'any' },
+	number: { kind: 'number' },
+	string: { kind: 'string' },
+	boolean: { kind: 'boolean' },
+	null: { kind: 'null' },
+	money: { kind: 'money' },
+	object: { kind: 'object', properties: {}, isOpen: true },
+	array: { kind: 'array', items: { kind: 'any' } }
+}
+
+const arrayOf = items => ({ kind: 'array', items })
+const objectOf = (properties, isOpen = false) => ({ kind: 'object', properties, isOpen })
+
+/**
+ * Format a type for messages, eg `number[]`, `{ price: number, qty: number }`
+ * or `number | money`.
+ */
+const formatType = (type) => {
+	switch (type.kind) {
+		case 'array':
+			return type.items.kind === 'union' ? `(${formatType(type.items)})[]` : `${formatType(type.items)}[]`
+		case 'object': {
+			const properties = _.map(type.properties, (propertyType, key) => `${key}: ${formatType(propertyType)}`)
+			if (!properties.length) {
+				return 'object'
+			}
+			return `{ ${properties.concat(type.isOpen ? ['...'] : []).join(', ')} }`
+		}
+		case 'union':
+			return type.types.map(formatType).join(' | ')
+		default:
+			return type.kind
+	}
+}
+
+/**
+ * The union of `types`, flattened and without duplicates. Unions including
+ * `any` are `any`.
+ */
+const unionOf = (types) => {
+	const members = _.uniqBy(_.flatMap(types, type => (type.kind === 'union' ? type.types : [type])), formatType)
+	if (!members.length || members.some(type => type.kind === 'any')) {
+		return TYPES.any
+	}
+	return members.length === 1 ? members[0] : { kind: 'union', types: members }
+}
+
+const parseType = typeString => unionOf(typeString.split('|').map((part) => {
+	const name = part.trim()
+	if (name.endsWith('[]')) {
+		return arrayOf(parseType(name.slice(0, -2)))
+	}
+	if (!TYPES[name]) {
+		throw new Error(`Unknown type '${name}'.`)
+	}
+	return TYPES[name]
+}))
+
+const includesKind = (type, kind) => type.kind === kind || (type.kind === 'union' && type.types.some(member => member.kind === kind))
+
+/**
+ * The type of the items of a collection: array items, or the values of an object.
+ */
+const elementType = (type) => {
+	switch (type.kind) {
+		case 'array':
+			return type.items
+		case 'object':
+			return type.isOpen ? TYPES.any : unionOf(_.values(type.properties))
+		case 'union':
+			return unionOf(type.types.map(elementType))
+		default:
+			return TYPES.any
+	}
+}
+
+/**
+ * The type of a literal value.
+ */
+const typeOfValue = (value) => {
+	if (isMoney(value)) {
+		return TYPES.money
+	}
+	if (_.isArray(value)) {
+		return arrayOf(unionOf(value.map(typeOfValue)))
+	}
+	if (_.isPlainObject(value)) {
+		return objectOf(_.mapValues(value, typeOfValue))
+	}
+	if (_.isNull(value)) {
+		return TYPES.null
+	}
+	return TYPES[typeof value] || TYPES.any
+}
+
+/**
+ * The type of values matching a JSON Schema (see `schema.js`). Objects with
+ * `amount` and `currency` properties are money.
+ */
+const typeOfSchema = (schema) => {
+	if (!_.isPlainObject(schema)) {
+		return TYPES.any
+	}
+	if (schema.anyOf) {
+		return unionOf(schema.anyOf.map(typeOfSchema))
+	}
+	if (schema.enum) {
+		return unionOf(schema.enum.map(typeOfValue))
+	}
+	if (_.has(schema, 'const')) {
+		return typeOfValue(schema.const)
+	}
+	return unionOf(_.castArray(schema.type || 'any').map((type) => {
+		switch (type) {
+			case 'integer':
+				return TYPES.number
+			case 'array':
+				return arrayOf(typeOfSchema(schema.items))
+			case 'object':
+				if (schema.properties && schema.properties.amount && schema.properties.currency) {
+					return TYPES.money
+				}
+				return objectOf(_.mapValues(schema.properties, typeOfSchema), schema.additionalProperties !== false)
+			default:
+				return TYPES[type] || TYPES.any
+		}
+	}))
+}
+
+/**
+ * Whether a value of type `actual` can be used where `expected` is: `yes`,
+ * `no`, or `maybe` (some but not all of a union's members can).
+ */
+const isAssignable = (actual, expected) => {
+	if (actual.kind === 'any' || expected.kind === 'any') {
+		return 'yes'
+	}
+	if (actual.kind === 'union') {
+		const results = _.uniq(actual.types.map(member => isAssignable(member, expected)))
+		return results.length === 1 ? results[0] : 'maybe'
+	}
+	if (expected.kind === 'union') {
+		const results = expected.types.map(member => isAssignable(actual, member))
+		if (results.includes('yes')) {
+			return 'yes'
+		}
+		return results.includes('maybe') ? 'maybe' : 'no'
+	}
+	if (expected.kind === 'array' && actual.kind === 'array') {
+		return isAssignable(actual.items, expected.items)
+	}
+	// money values are objects too.
+	if (expected.kind === 'object' && actual.kind === 'money') {
+		return 'yes'
+	}
+	return actual.kind === expected.kind ? 'yes' : 'no'
+}
+
+/**
+ * The type of the value at `segments` within a value of type `type`.
+ * `report(message)` is called if there can't be a value there.
+ */
+const typeAtPath = (type, segments, report) => {
+	if (!segments.length || type.kind === 'any') {
+		return type
+	}
+	const [key, ...rest] = segments
+	switch (type.kind) {
+		case 'union': {
+			const types = []
+			type.types.forEach((member) => {
+				let isValid = true
+				const memberType = typeAtPath(member, segments, () => {
+					isValid = false
+				})
+				if (isValid) {
+					types.push(memberType)
+				}
+			})
+			if (!types.length) {
+				report(`there is no '${segments.join('.')}' in ${formatType(type)}`)
+				return TYPES.any
+			}
+			return unionOf(types)
+		}
+		case 'array':
+			if (key === '*') {
+				return arrayOf(typeAtPath(type.items, rest, report))
+			}
+			if (/^\d+$/.test(key)) {
+				return typeAtPath(type.items, rest, report)
+			}
+			return key === 'length' ? TYPES.number : TYPES.any
+		case 'object':
+			if (_.has(type.properties, key)) {
+				return typeAtPath(type.properties[key], rest, report)
+			}
+			if (!type.isOpen) {
+				report(`${formatType(type)} has no property '${key}'`)
+			}
+			return TYPES.any
+		case 'money':
+			if (key === 'amount') {
+				return unionOf([TYPES.number, TYPES.string])
+			}
+			if (key === 'currency') {
+				return TYPES.string
+			}
+			report(`money has no property '${key}'`)
+			return TYPES.any
+		default:
+			if (key === '*') {
+				report(`${formatType(type)} is not a collection`)
+			}
+			else if (!(type.kind === 'string' && key === 'length')) {
+				report(`${formatType(type)} has no property '${key}'`)
+			}
+			return TYPES.any
+	}
+}
+
+/**
+ * `number` unless any of `argTypes` is money, in which case `money` (or
+ * either, if an arg might be money). The result type of the arithmetic
+ * transforms.
+ */
+const amountType = (argTypes) => {
+	const types = _.values(argTypes)
+	if (types.some(type => type.kind === 'money')) {
+		return TYPES.money
+	}
+	return types.some(type => includesKind(type, 'money')) ? unionOf([TYPES.number, TYPES.money]) : TYPES.number
+}
+
+/**
+ * Infer the type of every node in a graph definition, reporting values that
+ * can't be used as they are: params whose types don't match the transform's
+ * declared signature (see `transform-meta.js`), paths to properties that
+ * don't exist, and collections that aren't collections.
+ *
+ * Types are inferred from static values, the graph's declared input schema
+ * (see the `schema` node type) and transform signatures, and followed
+ * through aliases, dereferences, branches, `*` wildcard paths and
+ * subgraphs. Inputs the schema doesn't describe, and the results of
+ * transforms and node types without signatures, are `any`, which matches
+ * everything.
+ *
+ * Returns `{ types, issues }`: `types` maps node names (with subgraph nodes
+ * prefixed by the subgraph's path, like `validate`) to formatted types, eg
+ * `number[]`, and `issues` are shaped like those returned by `validate`.
+ * Issues are errors if the value can never be used as it is and warnings if
+ * it might not be, eg when a branch might yield a string where a number is
+ * expected.
+ *
+ * @param {Array} graphDef The graph definition to check.
+ * @param {Object} options
+ * @param {Function} options.normalizePathDef Normally `DGraph.normalizePathDef`.
+ * @param {Function} options.collectExpectedInputPaths Normally `DGraph.collectExpectedInputPaths`.
+ * @param {Registry} options.transforms The registry of transform functions.
+ * @param {Registry} options.nodeTypes The registry of node classes.
+ * @param {Object} [options.inputSchema] Input schema to use instead of the one the graph declares.
+ * @return {Object}
+ */
+const checkTypes = (graphDef, options) => {
+	const { normalizePathDef, collectExpectedInputPaths, transforms, nodeTypes } = options
+	const types = {}
+	const issues = []
+
+	const checkGraph = (nodeDefs, inputsType, prefix, ancestorDefs) => {
+		const scope = {}
+		nodeDefs.forEach((nodeDef) => {
+			scope[nodeDef.name] = nodeDef
+			_.castArray(nodeDef.aliases || []).forEach((alias) => {
+				scope[alias] = { name: alias, type: 'alias', mirror: nodeDef.name }
+			})
+		})
+		const nodeTypesByName = {}
+		const inProgress = []
+
+		const findTemplateDef = name => nodeDefs.concat(ancestorDefs).find(nodeDef => nodeDef.name === name)
+
+		// the type of a value in a node definition's path property: at the path,
+		// if it refers to a node, and the literal's otherwise.
+		const isPath = pathOrValue => _.isString(pathOrValue) && (pathOrValue.split('.')[0] === 'inputs' || _.has(scope, pathOrValue.split('.')[0]))
+		const resolve = (nodeDef, pathOrValue, propPath) => {
+			if (!isPath(pathOrValue)) {
+				return typeOfValue(pathOrValue)
+			}
+			const [nodeId, ...segments] = pathOrValue.split('.')
+			const nodeType = nodeId === 'inputs' ? inputsType : inferNode(nodeId) // eslint-disable-line no-use-before-define
+			return typeAtPath(nodeType, segments, message => issues.push({
+				level: 'error',
+				code: 'invalid-path',
+				nodeName: `${prefix}${nodeDef.name}`,
+				path: propPath,
+				message: `'${pathOrValue}' can never resolve: ${message}.`
+			}))
+		}
+
+		const resolveProp = (nodeDef, propName) => _.mapValues(normalizePathDef(nodeDef[propName]), (pathOrValue, key) => (
+			resolve(nodeDef, pathOrValue, _.isPlainObject(nodeDef[propName]) ? `${propName}.${key}` : propName)
+		))
+
+		const checkArg = (nodeDef, paramPath, argType, expectedType, description) => {
+			const result = isAssignable(argType, expectedType)
+			if (result !== 'yes') {
+				issues.push({
+					level: result === 'no' ? 'error' : 'warning',
+					code: 'type-mismatch',
+					nodeName: `${prefix}${nodeDef.name}`,
+					path: paramPath,
+					message: `${description} expects ${formatType(expectedType)} but ${result === 'no' ? 'is' : 'might be'} ${formatType(argType)}.`
+				})
+			}
+		}
+
+		// the type of calling the transform `fn` with args of `argTypes`, checked
+		// against its signature. `argPath(key)` locates an arg in `nodeDef`.
+		const inferCall = (nodeDef, fn, argTypes, argPath) => {
+			const meta = transforms.getMeta(fn) || {}
+			_.forOwn(meta.params, (paramMeta, paramName) => {
+				if (paramMeta.type && argTypes[paramName]) {
+					checkArg(nodeDef, argPath(paramName), argTypes[paramName], parseType(paramMeta.type), `Param '${paramName}' of '${fn}'`)
+				}
+			})
+			if (meta.otherParams && meta.otherParams.type) {
+				_.forOwn(_.omit(argTypes, _.keys(meta.params)), (argType, key) => {
+					checkArg(nodeDef, argPath(key), argType, parseType(meta.otherParams.type), `Param '${key}' of '${fn}'`)
+				})
+			}
+			// the xxxN transforms flatten arrays of items.
+			if (meta.items && meta.items.type) {
+				_.forOwn(argTypes, (argType, key) => {
+					const itemType = includesKind(argType, 'array') ? elementType(argType) : argType
+					checkArg(nodeDef, argPath(key), itemType, parseType(meta.items.type), `'${fn}'`)
+				})
+			}
+			if (_.isFunction(meta.returns)) {
+				return meta.returns(argTypes)
+			}
+			return meta.returns ? parseType(meta.returns) : TYPES.any
+		}
+
+		const inferTransform = nodeDef => inferCall(nodeDef, nodeDef.fn, resolveProp(nodeDef, 'params'), key => (
+			_.isPlainObject(nodeDef.params) ? `params.${key}` : 'params'
+		))
+
+		// a formula (see `expression.js`) in `nodeDef`, at `issuePath`, or a
+		// plain literal value. formulas are inferred as the calls they compile to.
+		const inferFormula = (nodeDef, formula, issuePath) => {
+			if (!_.isString(formula)) {
+				return typeOfValue(formula)
+			}
+			let compiledExpr
+			try {
+				compiledExpr = compileExpression(parseExpression(formula), transforms)
+			}
+			catch (error) {
+				// reported by `DGraph.validate`.
+				return TYPES.any
+			}
+			const inferTerm = (term) => {
+				if (_.has(term, 'value')) {
+					return typeOfValue(term.value)
+				}
+				if (_.has(term, 'path')) {
+					return resolve(nodeDef, term.path, issuePath)
+				}
+				return inferCall(nodeDef, term.fn, _.mapValues(term.params, inferTerm), () => issuePath)
+			}
+			return inferTerm(compiledExpr)
+		}
+
+		// any of the cases' `then`s, or the default.
+		const inferCond = (nodeDef) => {
+			if (!_.isArray(nodeDef.cases)) {
+				return TYPES.any
+			}
+			const thenTypes = nodeDef.cases.map((_case, i) => {
+				inferFormula(nodeDef, _.get(_case, 'when'), `cases.${i}.when`)
+				return inferFormula(nodeDef, _.get(_case, 'then'), `cases.${i}.then`)
+			})
+			if (_.has(nodeDef, 'default')) {
+				thenTypes.push(inferFormula(nodeDef, nodeDef.default, 'default'))
+			}
+			return unionOf(thenTypes)
+		}
+
+		// a row, or its `column`, as far as the rows' type is known.
+		const inferTable = (nodeDef) => {
+			const DNodeClass = nodeTypes.get(nodeDef.type)
+			const resolvePathDef = (propName, issuePath) => _.values(normalizePathDef(DNodeClass.getPathDef(nodeDef, propName))).map(pathOrValue => resolve(nodeDef, pathOrValue, issuePath))
+			resolveProp(nodeDef, 'keys')
+			resolvePathDef('rangeKey', 'range.key')
+			const rowsType = _.isArray(nodeDef.rows) ? typeOfValue(nodeDef.rows) : unionOf(resolvePathDef('rows', 'rows'))
+			const rowType = rowsType.kind === 'array' ? rowsType.items : TYPES.any
+			if (nodeDef.interpolate) {
+				return TYPES.number
+			}
+			if (!nodeDef.column) {
+				return rowType
+			}
+			const rowTypes = rowType.kind === 'union' ? rowType.types : [rowType]
+			return unionOf(rowTypes.map(type => (type.kind === 'object' ? type.properties[nodeDef.column] || TYPES.null : TYPES.any)))
+		}
+
+		const inferSubgraph = (nodeDef) => {
+			const subgraphDef = _.isString(nodeDef.graphDef) ? _.get(findTemplateDef(nodeDef.graphDef), 'graphDef') : nodeDef.graphDef
+			if (nodeDef.isTemplate || !_.isArray(subgraphDef)) {
+				return TYPES.any
+			}
+			let subgraphInputsType
+			if (nodeDef.inputs) {
+				subgraphInputsType = objectOf(resolveProp(nodeDef, 'inputs'))
+			}
+			else {
+				// implicit inputs are found among this graph's nodes or else its inputs.
+				const properties = {}
+				collectExpectedInputPaths(subgraphDef, false, nodeTypes).forEach((inputPath) => {
+					const isNodePath = _.has(scope, inputPath.split('.')[0])
+					properties[inputPath] = resolve(nodeDef, isNodePath ? inputPath : `inputs.${inputPath}`, 'graphDef')
+				})
+				subgraphInputsType = objectOf({}, true)
+				_.forOwn(properties, (propertyType, inputPath) => {
+					let objectType = subgraphInputsType
+					const segments = inputPath.split('.')
+					segments.slice(0, -1).forEach((segment) => {
+						objectType.properties[segment] = objectType.properties[segment] || objectOf({}, true)
+						objectType = objectType.properties[segment]
+					})
+					objectType.properties[_.last(segments)] = propertyType
+				})
+			}
+			const { collectionMode } = nodeDef
+			let initialType
+			let itemType
+			let otherInputs
+			if (collectionMode) {
+				const { collection = TYPES.any, initial = TYPES.any } = subgraphInputsType.properties
+				otherInputs = _.omit(subgraphInputsType.properties, ['collection', 'initial'])
+				itemType = elementType(collection)
+				checkArg(nodeDef, 'inputs.collection', collection, TYPES.array, `A \`collectionMode: ${collectionMode}\` subgraph's \`collection\``)
+				const itemInputs = { ...otherInputs, item: itemType }
+				if (collectionMode === 'reduce') {
+					// the accumulator is checked as the initial value only.
+					initialType = initial
+					_.assign(itemInputs, { index: TYPES.number, accumulator: initial })
+				}
+				subgraphInputsType = objectOf(itemInputs, subgraphInputsType.isOpen)
+			}
+			const outputType = checkGraph(subgraphDef, subgraphInputsType, `${prefix}${nodeDef.name}.`, nodeDefs.concat(ancestorDefs))
+			switch (collectionMode) {
+				case 'map':
+					return arrayOf(outputType)
+				case 'reduce':
+					return unionOf([initialType, typeAtPath(outputType, [nodeDef.output], _.noop)])
+				case 'filter':
+					return arrayOf(itemType)
+				case 'groupBy': {
+					const groupGraphDef = _.isString(nodeDef.groupGraphDef)
+						? _.get(findTemplateDef(nodeDef.groupGraphDef), 'graphDef')
+						: nodeDef.groupGraphDef
+					if (!_.isArray(groupGraphDef)) {
+						return objectOf({}, true)
+					}
+					const groupInputsType = objectOf({ ...otherInputs, key: parseType('string | number | boolean'), items: arrayOf(itemType) }, subgraphInputsType.isOpen)
+					checkGraph(groupGraphDef, groupInputsType, `${prefix}${nodeDef.name}.`, nodeDefs.concat(ancestorDefs))
+					return objectOf({}, true)
+				}
+				default:
+					return outputType
+			}
+		}
+
+		const inferNodeDef = (nodeDef) => {
+			switch (nodeDef.type) {
+				case 'static':
+					return typeOfValue(nodeDef.value)
+				case 'comments':
+					return typeOfValue(nodeDef.comments)
+				case 'alias':
+					return _.values(resolveProp(nodeDef, 'mirror'))[0] || TYPES.any
+				case 'echo':
+					return typeAtPath(inputsType, [nodeDef.inputName || nodeDef.name], _.noop)
+				case 'dereference': {
+					const objectType = _.values(resolveProp(nodeDef, 'objectPath'))[0] || TYPES.any
+					const propNamePath = _.values(normalizePathDef(nodeDef.propNamePath))[0]
+					const propNameType = _.values(resolveProp(nodeDef, 'propNamePath'))[0] || TYPES.any
+					checkArg(nodeDef, 'propNamePath', propNameType, unionOf([TYPES.string, TYPES.number]), 'Dereference\'s `propNamePath`')
+					// a missing property dereferences to null.
+					if (_.isString(propNamePath) && !isPath(propNamePath)) {
+						return typeAtPath(objectType, [propNamePath], _.noop)
+					}
+					return elementType(objectType)
+				}
+				case 'transform':
+					return inferTransform(nodeDef)
+				case 'expression':
+					return inferFormula(nodeDef, nodeDef.expr, 'expr')
+				case 'cond':
+					return inferCond(nodeDef)
+				case 'table':
+					return inferTable(nodeDef)
+				case 'branch':
+					resolveProp(nodeDef, 'test')
+					return unionOf(_.keys(normalizePathDef(nodeDef.nodeNames)).map(name => resolve(nodeDef, name, 'nodeNames')))
+				case 'graph':
+					return inferSubgraph(nodeDef)
+				default: {
+					// other node types: at least check their paths.
+					const DNodeClass = nodeTypes.get(nodeDef.type)
+					_.keys(DNodeClass ? DNodeClass.getPathProps() : {}).filter(propName => nodeDef[propName]).forEach(propName => resolveProp(nodeDef, propName))
+					return TYPES.any
+				}
+			}
+		}
+
+		const inferNode = (name) => {
+			if (nodeTypesByName[name]) {
+				return nodeTypesByName[name]
+			}
+			// cycles are reported elsewhere.
+			if (inProgress.includes(name)) {
+				return TYPES.any
+			}
+			inProgress.push(name)
+			const type = inferNodeDef(scope[name])
+			inProgress.pop()
+			nodeTypesByName[name] = type
+			types[`${prefix}${name}`] = formatType(type)
+			return type
+		}
+
+		_.keys(scope).forEach(inferNode)
+
+		// a subgraph's value is the state of its visible nodes.
+		const visibleNames = _.keys(scope).filter(name => !name.startsWith('#') && scope[name].type !== 'schema' && !scope[name].isHidden)
+		return objectOf(_.pick(nodeTypesByName, visibleNames))
+	}
+
+	const schemaNodeDef = graphDef.find(nodeDef => nodeDef.type === 'schema')
+	const inputSchema = options.inputSchema || (schemaNodeDef && schemaNodeDef.inputSchema)
+	checkGraph(graphDef, inputSchema ? typeOfSchema(inputSchema) : objectOf({}, true), '', [])
+	return { types, issues }
+}
+
+module.exports = {
+	TYPES,
+	arrayOf,
+	objectOf,
+	unionOf,
+	parseType,
+	formatType,
+	elementType,
+	amountType,
+	includesKind,
+	typeOfValue,
+	typeOfSchema,
+	isAssignable,
+	checkTypes
+}
@@ -0,0 +1,150 @@
+const _ = require('lodash')
+
+/**
+ * Collect the names a graph definition will have once built: every node's
+ * name plus the names of any `aliases` it declares.
+ *
+ * @param {Array} graphDef
+ */
+const collectNodeNames = (graphDef) => {
+	let result = []
+	for (const nodeDef of graphDef) {
+		if (_.isPlainObject(nodeDef)) {
+			result.push(nodeDef.name)
+			if (nodeDef.aliases) {
+				result = result.concat(_.isArray(nodeDef.aliases) ? nodeDef.aliases : [nodeDef.aliases])
+			}
+		}
+	}
+	return result
+}
+
+/**
+ * Check a graph definition without building or running it, collecting every
+ * problem found instead of throwing on the first one. Returns a list of issues
+ * shaped like:
+ *
+ * ```
+ * {
+ *   level: 'error' | 'warning',
+ *   code: <short machine-readable identifier, eg 'unknown-fn'>,
+ *   nodeName: <node name; subgraph nodes are prefixed with the subgraph's path>,
+ *   path: <property path within the node definition, if any>,
+ *   message: <human-readable description>
+ * }
+ * ```
+ *
+ * Errors describe definitions that will fail to build or can never resolve.
+ * Warnings describe definitions that will run but probably not as intended,
+ * for example a string param that does not name any node and so will be
+ * interpreted as a literal.
+ *
+ * Node classes do most of the work via `DNode.validateNodeDef`, which is
+ * passed a context with:
+ *
+ * - `normalizePathDef`: see `DGraph.normalizePathDef`.
+ * - `isNodePath(path)`: whether `path` refers to a node in the graph.
+ * - `findNodeDef(name)`: find a node definition by name in the graph or its supergraphs.
+ * - `transforms`: the registry of available transform functions.
+ * - `validateSubgraph(graphDef)`: validate a nested graph definition.
+ *
+ * @param {Array} graphDef The graph definition to check.
+ * @param {Object} [options]
+ * @param {Function} [options.normalizePathDef] Normally `DGraph.normalizePathDef`.
+ * @param {Registry} [options.transforms] The registry of transform functions to check against.
+ * @param {Registry} [options.nodeTypes] The registry of node classes to check against.
+ * @return {Array<Object>} List of issues, empty if none were found.
+ */
+const validateGraphDef = (graphDef, options = {}) => {
+	const { normalizePathDef, transforms, nodeTypes, prefix = '', ancestorDefs = [] } = options
+	const issues = []
+
+	if (!_.isArray(graphDef)) {
+		return [{
+			level: 'error',
+			code: 'invalid-graph-def',
+			nodeName: prefix.replace(/\.$/, '') || undefined,
+			message: 'A graph definition must be an array of node definitions.'
+		}]
+	}
+
+	const nodeNames = collectNodeNames(graphDef)
+	const scopes = [graphDef].concat(ancestorDefs)
+
+	const context = {
+		normalizePathDef,
+		transforms,
+		isNodePath: (path) => {
+			const nodeId = path.includes('.') ? path.split('.')[0] : path
+			return nodeId === 'inputs' || nodeNames.includes(nodeId)
+		},
+		findNodeDef: (name) => {
+			for (const scope of scopes) {
+				const found = scope.find(nodeDef => nodeDef && nodeDef.name === name)
+				if (found) {
+					return found
+				}
+			}
+			return null
+		}
+	}
+
+	const reportedDuplicates = []
+
+	graphDef.forEach((nodeDef, i) => {
+		const nodeName = _.isPlainObject(nodeDef) && nodeDef.name ? nodeDef.name : `[${i}]`
+		const report = issue => issues.push({ nodeName: `${prefix}${nodeName}`, ...issue })
+
+		if (!_.isPlainObject(nodeDef)) {
+			report({ level: 'error', code: 'invalid-node-def', message: 'A node definition must be an object.' })
+			return
+		}
+
+		if (!_.isString(nodeDef.name) || !nodeDef.name.length) {
+			report({ level: 'error', code: 'missing-property', path: 'name', message: 'Required property `name` is missing.' })
+		}
+		else if (nodeDef.name === 'inputs') {
+			report({ level: 'error', code: 'reserved-name', path: 'name', message: 'The name `inputs` is reserved for the automatically-created inputs node.' })
+		}
+		else if (nodeDef.name.includes('.')) {
+			report({ level: 'error', code: 'invalid-name', path: 'name', message: 'Node names cannot contain `.`, which separates path segments.' })
+		}
+
+		const aliases = nodeDef.aliases ? _.castArray(nodeDef.aliases) : []
+		for (const name of [nodeDef.name].concat(aliases)) {
+			if (name && !reportedDuplicates.includes(name) && nodeNames.filter(n => n === name).length > 1) {
+				reportedDuplicates.push(name)
+				report({ level: 'error', code: 'duplicate-name', path: 'name', message: `More than one node is named '${name}'.` })
+			}
+		}
+
+		const DNodeClass = nodeTypes.get(nodeDef.type)
+		if (!DNodeClass || nodeDef.type === 'inputs') {
+			report({ level: 'error', code: 'unknown-type', path: 'type', message: `Unknown node type: ${nodeDef.type}.` })
+			return
+		}
+
+		context.validateSubgraph = subgraphDef => validateGraphDef(subgraphDef, {
+			normalizePathDef,
+			transforms,
+			nodeTypes,
+			prefix: `${prefix}${nodeName}.`,
+			ancestorDefs: scopes
+		})
+
+		DNodeClass.validateNodeDef(nodeDef, context).forEach((issue) => {
+			if (issue.nodeName) {
+				issues.push(issue)
+			}
+			else {
+				report(issue)
+			}
+		})
+	})
+
+	return issues
+}
+
+module.exports = {
+	validateGraphDef
+}
@@ -1,5 +1,9 @@
 /* eslint-disable */
 const DGraph = require('../src/index')
+const { decorate, computed } = require('mobx')
+const _keys = require('lodash/keys')
+const _values = require('lodash/values')
+const _isUndefined = require('lodash/isUndefined')
 
 // TODO: actual tests ... these are currently just for visual inspection in console ... 
 
@@ -106,6 +110,1246 @@ test('vector op', () => {
   })
 })
 
+test('validate reports problems without throwing', () => {
+  const graphDef = [
+    { name: 'subtotal', type: 'static', value: 100 },
+    { name: 'tax', type: 'transform', fn: 'mult', params: { amt: 'subtotl', factor: 0.08 } },
+    { name: 'tax', type: 'static', value: 1 },
+    { name: 'inputs', type: 'static', value: 1 },
+    { name: 'mystery', type: 'nope' },
+    { name: 'bogusFn', type: 'transform', fn: 'frobnicate', params: { a: 'subtotal' } },
+    { name: 'aliasWithoutMirror', type: 'alias' },
+    { name: 'branchNode', type: 'branch', test: 'inputs.state', cases: ['CA', 'NY'], nodeNames: ['subtotal'] },
+    { name: 'copied', type: 'graph', graphDef: 'missingTemplate' },
+    { name: 'sub', type: 'graph', graphDef: [
+      { name: 'inner', type: 'transform', fn: 'add', params: { a: 'inputs.subtotal', b: 'nowhere.value' } }
+    ] }
+  ]
+  const issues = DGraph.validate(graphDef)
+  const find = (nodeName, code) => issues.find(issue => issue.nodeName === nodeName && issue.code === code)
+
+  expect(find('tax', 'literal-string')).toMatchObject({ level: 'warning', path: 'params.amt' })
+  expect(find('tax', 'duplicate-name')).toMatchObject({ level: 'error' })
+  expect(find('inputs', 'reserved-name')).toMatchObject({ level: 'error' })
+  expect(find('mystery', 'unknown-type')).toMatchObject({ level: 'error', path: 'type' })
+  expect(find('bogusFn', 'unknown-fn')).toMatchObject({ level: 'error', path: 'fn' })
+  expect(find('aliasWithoutMirror', 'missing-property')).toMatchObject({ level: 'error', path: 'mirror' })
+  expect(find('branchNode', 'branch-length-mismatch')).toMatchObject({ level: 'error', path: 'nodeNames' })
+  expect(find('copied', 'unresolved-template')).toMatchObject({ level: 'error', path: 'graphDef' })
+  expect(find('sub.inner', 'literal-string')).toMatchObject({ level: 'warning', path: 'params.b' })
+  expect(find('sub.inner', 'literal-string').message).toContain('nowhere.value')
+})
+
+test('validate accepts a well-formed graph', () => {
+  const graphDef = [
+    { name: 'template', type: 'graph', isTemplate: true, graphDef: [
+      { name: 'foo', type: 'transform', fn: 'mult', params: { amt: 'inputs.bar', factor: 5 } }
+    ] },
+    { name: 'mapped', type: 'graph', graphDef: 'template', collectionMode: 'map', inputs: { collection: 'inputs.items' } },
+    { name: 'total', type: 'transform', fn: 'addN', params: ['mapped.*.foo'], aliases: ['grandTotal'] }
+  ]
+  expect(DGraph.validate(graphDef)).toEqual([])
+})
+
+test('run rejects cyclic graphs with a CycleError', () => {
+  const graphDef = [
+    { name: 'a', type: 'transform', fn: 'add', params: { a: 'b', b: 1 } },
+    { name: 'b', type: 'transform', fn: 'mult', params: { amt: 'a', factor: 2 } },
+    { name: 'c', type: 'alias', mirror: 'inputs.value' }
+  ]
+  const dGraph = new DGraph(graphDef, 'cyclic')
+  return dGraph.run({ value: 1 }).then(() => {
+    throw new Error('should not resolve')
+  }, (error) => {
+    expect(error).toBeInstanceOf(DGraph.CycleError)
+    expect(error.cycles).toHaveLength(1)
+    const edges = error.cycles[0].map(e => `${e.srcNodeId}.${e.srcPropName}->${e.dstNodeId}`).sort()
+    expect(edges).toEqual(['a.a->b', 'b.amt->a'])
+  })
+})
+
+test('cycles through subgraph inputs are detected', () => {
+  const graphDef = [
+    { name: 'total', type: 'transform', fn: 'add', params: { a: 'sub.doubled', b: 1 } },
+    { name: 'sub', type: 'graph', graphDef: [
+      { name: 'doubled', type: 'transform', fn: 'mult', params: { amt: 'inputs.total', factor: 2 } }
+    ] }
+  ]
+  const dGraph = new DGraph(graphDef, 'cyclicSubgraph')
+  return expect(dGraph.run({})).rejects.toMatchObject({
+    name: 'CycleError',
+    cycles: [expect.arrayContaining([
+      { srcNodeId: 'total', srcPropName: 'a', dstNodeId: 'sub', dstValuePath: 'doubled' },
+      { srcNodeId: 'sub', srcPropName: 'total', dstNodeId: 'total', dstValuePath: undefined }
+    ])]
+  })
+})
+
+test('cycles inside a subgraph reject the root graph', () => {
+  const graphDef = [
+    { name: 'sub', type: 'graph', graphDef: [
+      { name: 'x', type: 'alias', mirror: 'y' },
+      { name: 'y', type: 'alias', mirror: 'x' }
+    ] }
+  ]
+  return expect(new DGraph(graphDef, 'outer').run({})).rejects.toThrow(/Graph 'outer.sub' has 1 dependency cycle/)
+})
+
+test('run times out with a diagnosis of pending inputs', () => {
+  const graphDef = [
+    { name: 'subtotal', type: 'transform', fn: 'add', params: { a: 'inputs.price', b: 'inputs.fees' } },
+    { name: 'total', type: 'transform', fn: 'mult', params: { amt: 'subtotal', factor: 1.1 } }
+  ]
+  const dGraph = new DGraph(graphDef, 'stalled')
+  const never = new Promise(() => {})
+  return dGraph.run({ price: 10, fees: never }, { timeout: 50 }).then(() => {
+    throw new Error('should not resolve')
+  }, (error) => {
+    expect(error).toBeInstanceOf(DGraph.RunTimeoutError)
+    const { diagnosis } = error
+    expect(diagnosis.undefinedNodes.sort()).toEqual(['subtotal', 'total'])
+    expect(diagnosis.nodes.total).toMatchObject({ blockedOn: 'nodes', undefinedDependencies: ['subtotal'] })
+    expect(diagnosis.nodes.subtotal).toMatchObject({ blockedOn: 'inputs', pendingInputs: ['fees'] })
+    expect(diagnosis.rootBlockers).toEqual([{ path: 'subtotal', blockedOn: 'inputs', pendingInputs: ['fees'] }])
+  })
+})
+
+test('timeout diagnosis follows subgraphs to the root blocker', () => {
+  const graphDef = [
+    { name: 'total', type: 'transform', fn: 'add', params: { a: 'sub.inner', b: 1 } },
+    { name: 'sub', type: 'graph', graphDef: [
+      { name: 'stuck', type: 'async', promise: new Promise(() => {}) },
+      { name: 'inner', type: 'alias', mirror: 'stuck' }
+    ] }
+  ]
+  const dGraph = new DGraph(graphDef, 'nestedStall')
+  return expect(dGraph.run({}, { timeout: 50 })).rejects.toMatchObject({
+    name: 'RunTimeoutError',
+    diagnosis: {
+      nodes: { sub: { blockedOn: 'subgraph' } },
+      rootBlockers: [{ path: 'sub.stuck', blockedOn: 'unknown', pendingInputs: [] }]
+    }
+  })
+})
+
+test('a timed-out run stops its subgraphs', () => {
+  let release
+  const stuck = new Promise((resolve) => {
+    release = resolve
+  })
+  const graphDef = [
+    { name: 'sub', type: 'graph', inputs: { fees: 'inputs.fees' }, graphDef: [
+      { name: 'fees', type: 'alias', mirror: 'inputs.fees' }
+    ] },
+    { name: 'mapped', type: 'graph', collectionMode: 'map', inputs: { collection: 'inputs.items' }, graphDef: [
+      { name: 'stuck', type: 'async', promise: stuck }
+    ] }
+  ]
+  const dGraph = new DGraph(graphDef, 'stopped')
+  let releaseFees
+  const fees = new Promise((resolve) => {
+    releaseFees = resolve
+  })
+  return dGraph.run({ fees, items: [1, 2] }, { timeout: 50 }).then(() => {
+    throw new Error('should not resolve')
+  }, (error) => {
+    expect(error).toBeInstanceOf(DGraph.RunTimeoutError)
+    const itemSubgraphs = dGraph.getDNode('mapped').subgraphs
+    expect(itemSubgraphs).toHaveLength(2)
+    const resolved = []
+    itemSubgraphs.forEach(subgraph => subgraph.on('resolved', () => resolved.push(subgraph.name)))
+    release(1)
+    releaseFees(2)
+    return new Promise(resolve => setTimeout(resolve, 20)).then(() => {
+      expect(resolved).toEqual([])
+      expect(dGraph.getDNode('sub').subgraph).toBeUndefined()
+    })
+  })
+})
+
+test('rejected inputs fail dependent nodes and reject run', () => {
+  const graphDef = [
+    { name: 'name', type: 'alias', mirror: 'inputs.user.name' },
+    { name: 'greeting', type: 'transform', fn: 'concat', params: ['staticHello', 'name'] },
+    { name: 'staticHello', type: 'static', value: 'hello, ' },
+    { name: 'doubled', type: 'transform', fn: 'mult', params: { amt: 'inputs.count', factor: 2 } }
+  ]
+  const dGraph = new DGraph(graphDef, 'failingInput')
+  const user = new Promise((resolve, reject) => setTimeout(() => reject(new Error('db down')), 10))
+  return dGraph.run({ user, count: 2 }).then(() => {
+    throw new Error('should not resolve')
+  }, (error) => {
+    expect(error).toBeInstanceOf(DGraph.NodeError)
+    expect(error).toMatchObject({ graphName: 'failingInput', nodeName: 'inputs', inputName: 'user' })
+    expect(error.message).toBe("Input 'user' to graph 'failingInput' was rejected: db down")
+    expect(_keys(error.nodeErrors).sort()).toEqual(['greeting', 'name'])
+    // the node errors themselves are shared, so they aren't modified.
+    expect(error.nodeErrors.name).not.toBe(error)
+    expect(error.nodeErrors.name).not.toHaveProperty('nodeErrors')
+    expect(error.nodeErrors.name.message).toBe(error.message)
+  })
+})
+
+test('transform exceptions name the failing node; partial runs resolve the rest', () => {
+  const graphDef = [
+    { name: 'mismatched', type: 'transform', fn: 'vectorOp', params: { collectionA: 'inputs.a', collectionB: 'inputs.b', op: 'add' } },
+    { name: 'downstream', type: 'alias', mirror: 'mismatched' },
+    { name: 'fine', type: 'transform', fn: 'add', params: { a: 'inputs.x', b: 1 } }
+  ]
+  const inputs = { a: [1, 2], b: [1], x: new Promise(r => setTimeout(() => r(41), 10)) }
+  const strict = expect(new DGraph(graphDef, 'strict').run(inputs)).rejects.toMatchObject({
+    name: 'NodeError',
+    nodeName: 'mismatched',
+    inputName: undefined
+  })
+  const partial = new DGraph(graphDef, 'partial').run(inputs, { partial: true }).then(({ results, errors }) => {
+    expect(results).toEqual({ fine: 42 })
+    expect(_keys(errors).sort()).toEqual(['downstream', 'mismatched'])
+    expect(errors.downstream).toBe(errors.mismatched)
+    expect(errors.mismatched.cause.message).toMatch(/collections must be equal in length/)
+  })
+  return Promise.all([strict, partial])
+})
+
+test('errors inside subgraphs propagate to the supergraph', () => {
+  const graphDef = [
+    { name: 'total', type: 'transform', fn: 'add', params: { a: 'sub.inner', b: 1 } },
+    { name: 'sub', type: 'graph', graphDef: [
+      { name: 'inner', type: 'alias', mirror: 'inputs.price' }
+    ] }
+  ]
+  const price = Promise.reject(new Error('no price'))
+  return expect(new DGraph(graphDef, 'outer').run({ price })).rejects.toMatchObject({
+    name: 'NodeError',
+    inputName: 'price',
+    nodeErrors: { total: expect.anything(), sub: expect.anything() }
+  })
+})
+
+test('transforms can be registered per graph and are inherited by subgraphs', () => {
+  const graphDef = [
+    { name: 'tipped', type: 'transform', fn: 'addTip', params: { amt: 'inputs.amt', rate: 0.2 } },
+    { name: 'sub', type: 'graph', graphDef: [
+      { name: 'tippedAgain', type: 'transform', fn: 'addTip', params: { amt: 'inputs.tipped', rate: 0.5 } }
+    ] },
+    { name: 'mapped', type: 'transform', fn: 'map', params: { collection: 'inputs.items', fn: 'addTip', params: { amt: 'amt', rate: 'rate' } } }
+  ]
+  const transforms = { addTip: ({ amt, rate }) => amt + (amt * rate) }
+  expect(() => new DGraph(graphDef)).toThrow(/No transform function 'addTip'/)
+  const dGraph = new DGraph(graphDef, { transforms })
+  return dGraph.run({ amt: 10, items: [{ amt: 1, rate: 1 }] }).then((result) => {
+    expect(result.tipped).toBe(12)
+    expect(result.sub.tippedAgain).toBe(18)
+    expect(result.mapped).toEqual([2])
+  })
+})
+
+describe('registerTransform', () => {
+  // registered transforms are global, so don't leave them behind for other tests.
+  afterEach(() => {
+    delete DGraph.transforms.entries.greet
+  })
+
+  test('registerTransform makes a transform available to all graphs, with metadata for validation', () => {
+    DGraph.registerTransform('greet', ({ greeting, name }) => `${greeting}, ${name}`, {
+      description: 'Greet someone.',
+      params: {
+        greeting: { type: 'string' },
+        name: { type: 'string' }
+      }
+    })
+    expect(DGraph.transforms.getMeta('greet').description).toBe('Greet someone.')
+    expect(DGraph.validate([
+      { name: 'hi', type: 'transform', fn: 'greet', params: { greeting: 'hello', name: 'inputs.name' } }
+    ])).toEqual([])
+    const issues = DGraph.validate([
+      { name: 'hi', type: 'transform', fn: 'greet', params: { greting: 'hello', name: 'inputs.name' } }
+    ])
+    expect(issues.map(({ code, path }) => `${code} ${path}`).sort()).toEqual([
+      'literal-string params.greting',
+      'missing-param params.greeting',
+      'unknown-param params.greting'
+    ])
+    return new DGraph([
+      { name: 'hi', type: 'transform', fn: 'greet', params: { greeting: 'hello', name: 'inputs.name' } }
+    ]).run({ name: 'world' }).then((result) => {
+      expect(result.hi).toBe('hello, world')
+    })
+  })
+})
+
+test('custom node types can be registered per graph and are inherited by subgraphs', () => {
+  class RateDNode extends DGraph.DNode {
+    get value() {
+      const key = this.getGraphValueAt(_values(this.originalNodeDef.key)[0])
+      return _isUndefined(key) ? undefined : { rate: this.originalNodeDef.rates[key] }
+    }
+    get isVisibleInGraphState() {
+      return super.isVisibleInGraphState && !this.originalNodeDef.isInternal
+    }
+    serializeValue(value) {
+      return value.rate
+    }
+    static getPathProps() {
+      return { key: { isRequired: true } }
+    }
+  }
+  decorate(RateDNode, { value: computed })
+
+  const graphDef = [
+    { name: 'rate', type: 'rate', key: 'inputs.state', rates: { CA: 0.1, NY: 0.08 } },
+    { name: 'internalRate', type: 'rate', key: 'inputs.state', rates: { CA: 1 }, isInternal: true },
+    { name: 'tax', type: 'transform', fn: 'mult', params: { amt: 'inputs.amt', factor: 'rate.rate' } },
+    { name: 'sub', type: 'graph', graphDef: [
+      { name: 'subRate', type: 'rate', key: 'inputs.state', rates: { CA: 0.5 } }
+    ] }
+  ]
+
+  expect(() => new DGraph(graphDef)).toThrow(/Unknown node type: rate/)
+  expect(() => DGraph.registerNodeType('notANode', class {})).toThrow(/subclass of DGraph.DNode/)
+  expect(DGraph.validate(graphDef, { nodeTypes: { rate: RateDNode } })).toEqual([])
+  expect(DGraph.validate([{ name: 'r', type: 'rate' }], { nodeTypes: { rate: RateDNode } })).toMatchObject([
+    { nodeName: 'r', code: 'missing-property', path: 'key' }
+  ])
+
+  const dGraph = new DGraph(graphDef, { nodeTypes: { rate: RateDNode } })
+  return dGraph.run({ state: 'CA', amt: 100 }).then((result) => {
+    expect(result).toEqual({ rate: 0.1, tax: 10, sub: { subRate: 0.5 } })
+    expect(dGraph.getDEdges()).toEqual(expect.arrayContaining([
+      expect.objectContaining({ srcNodeId: 'rate', srcPropName: 'key', dstNodeId: 'inputs', dstValuePath: 'state' })
+    ]))
+  })
+})
+
+test('watched graphs recompute affected nodes on update and report changed paths', () => {
+  const calls = { taxed: 0, shipping: 0, subTotal: 0 }
+  const counted = (name, fn) => (args) => {
+    calls[name]++
+    return fn(args)
+  }
+  const transforms = {
+    taxed: counted('taxed', ({ amt, rate }) => amt * (1 + rate)),
+    shipping: counted('shipping', ({ weight }) => weight * 2),
+    subTotal: counted('subTotal', ({ a, b }) => a + b)
+  }
+  const graphDef = [
+    { name: 'price', type: 'transform', fn: 'taxed', params: { amt: 'inputs.amt', rate: 'inputs.rate' } },
+    { name: 'shipping', type: 'transform', fn: 'shipping', params: { weight: 'inputs.weight' } },
+    { name: 'order', type: 'graph', inputs: { price: 'price', shipping: 'shipping' }, graphDef: [
+      { name: 'total', type: 'transform', fn: 'subTotal', params: { a: 'inputs.price', b: 'inputs.shipping' } }
+    ] },
+    { name: 'label', type: 'transform', fn: 'concat', params: ['inputs.name', 'inputs.suffix'] }
+  ]
+  const dGraph = new DGraph(graphDef, 'live', { transforms })
+  const changes = []
+  dGraph.on('changed', ({ paths }) => changes.push(paths.sort()))
+
+  return dGraph.watch({ amt: 10, rate: 0.5, weight: 1, name: 'a', suffix: '!' }).then((result) => {
+    expect(result).toEqual({ price: 15, shipping: 2, order: { total: 17 }, label: 'a!' })
+    expect(calls).toEqual({ taxed: 1, shipping: 1, subTotal: 1 })
+    return dGraph.update({ name: 'b' })
+  }).then((result) => {
+    // the subgraph's inputs didn't change, so it didn't re-run.
+    expect(result.label).toBe('b!')
+    expect(calls).toEqual({ taxed: 1, shipping: 1, subTotal: 1 })
+    return dGraph.update({ weight: 3 })
+  }).then((result) => {
+    expect(result).toEqual({ price: 15, shipping: 6, order: { total: 21 }, label: 'b!' })
+    expect(calls).toEqual({ taxed: 1, shipping: 2, subTotal: 2 })
+    // same value: nothing recomputes, nothing is reported.
+    return dGraph.update({ weight: 3, amt: Promise.resolve(20) })
+  }).then((result) => {
+    expect(result.order.total).toBe(36)
+    expect(calls).toEqual({ taxed: 2, shipping: 2, subTotal: 3 })
+    expect(changes).toEqual([
+      ['label'],
+      ['order.total', 'shipping'],
+      ['order.total', 'price']
+    ])
+    dGraph.unwatch()
+    expect(() => dGraph.update({ weight: 1 })).toThrow(/not being watched/)
+  })
+})
+
+test('watched map subgraphs only recompute items whose inputs changed; failures recover', () => {
+  let itemCalls = 0
+  const transforms = {
+    double: ({ n }) => {
+      itemCalls++
+      return n * 2
+    }
+  }
+  const graphDef = [
+    { name: 'doubled', type: 'graph', collectionMode: 'map', inputs: { collection: 'inputs.items' }, graphDef: [
+      { name: 'value', type: 'transform', fn: 'double', params: { n: 'inputs.item.n' } }
+    ] },
+    { name: 'count', type: 'transform', fn: 'add', params: { a: 'inputs.offset', b: 1 } }
+  ]
+  const dGraph = new DGraph(graphDef, 'liveMap', { transforms })
+  return dGraph.watch({ items: [{ n: 1 }, { n: 2 }], offset: 0 }).then((result) => {
+    expect(result.doubled).toEqual([{ value: 2 }, { value: 4 }])
+    expect(itemCalls).toBe(2)
+    return dGraph.update({ items: [{ n: 1 }, { n: 5 }] })
+  }).then((result) => {
+    expect(result.doubled).toEqual([{ value: 2 }, { value: 10 }])
+    expect(itemCalls).toBe(3)
+    return dGraph.update({ offset: Promise.reject(new Error('lost')) })
+  }).then(() => {
+    throw new Error('should not resolve')
+  }, (error) => {
+    expect(error).toMatchObject({ name: 'NodeError', inputName: 'offset' })
+    return dGraph.update({ offset: 2 })
+  }).then((result) => {
+    expect(result.count).toBe(3)
+    dGraph.unwatch()
+  })
+})
+
+test('explain mode records the provenance of every value', () => {
+  const graphDef = [
+    { name: 'subtotal', type: 'alias', mirror: 'inputs.order.subtotal' },
+    { name: 'tax', type: 'transform', fn: 'mult', params: { amt: 'subtotal', factor: 0.08 }, comments: ['8% sales tax'] },
+    { name: 'total', type: 'transform', fn: 'add', params: { a: 'subtotal', b: 'tax' } },
+    { name: 'shippingFree', type: 'static', value: 0, isHidden: true },
+    { name: 'shippingFlat', type: 'static', value: 5, isHidden: true },
+    { name: 'shipping', type: 'branch', test: 'inputs.member', cases: [true, false], nodeNames: ['shippingFree', 'shippingFlat'] },
+    { name: 'fees', type: 'graph', inputs: { total: 'total' }, graphDef: [
+      { name: 'card', type: 'transform', fn: 'mult', params: { amt: 'inputs.total', factor: 0.5 } }
+    ] }
+  ]
+  return new DGraph(graphDef, 'invoice').run({ order: { subtotal: 100 }, member: false }, { explain: true }).then(({ results, provenance }) => {
+    expect(results.total).toBe(108)
+    expect(_keys(provenance).sort()).toEqual([
+      '#literal#tax#factor', 'fees', 'shipping', 'shippingFlat', 'subtotal', 'tax', 'total'
+    ])
+    expect(provenance.tax).toEqual({
+      node: 'tax',
+      type: 'transform',
+      fn: 'mult',
+      value: 8,
+      args: { amt: 100, factor: 0.08 },
+      sources: { amt: 'subtotal', factor: '#literal#tax#factor' },
+      comments: ['8% sales tax']
+    })
+    expect(provenance.subtotal).toMatchObject({ args: { mirror: 100 }, sources: { mirror: 'inputs.order.subtotal' } })
+    expect(provenance['#literal#tax#factor']).toMatchObject({ type: 'static', value: 0.08 })
+    expect(provenance.shipping).toMatchObject({ value: 5, case: false, sources: { test: 'inputs.member', branch: 'shippingFlat' } })
+    expect(provenance.fees).toMatchObject({ args: { total: 108 }, sources: { total: 'total' } })
+    expect(provenance.fees.subgraph.card).toMatchObject({
+      fn: 'mult',
+      value: 54,
+      sources: { amt: 'inputs.total', factor: '#literal#card#factor' }
+    })
+    // it's all plain JSON.
+    expect(JSON.parse(JSON.stringify(provenance))).toEqual(provenance)
+  })
+})
+
+test('explain renders a readable derivation of a value', () => {
+  const graphDef = [
+    { name: 'subtotal', type: 'alias', mirror: 'inputs.order.subtotal' },
+    { name: 'tax', type: 'transform', fn: 'mult', params: { amt: 'subtotal', factor: 0.08 } },
+    { name: 'free', type: 'static', value: 0, isHidden: true },
+    { name: 'flat', type: 'static', value: 5, isHidden: true },
+    { name: 'shipping', type: 'branch', test: 'inputs.member', cases: [true, false], nodeNames: ['free', 'flat'] },
+    { name: 'fees', type: 'graph', inputs: { amt: 'shipping' }, graphDef: [
+      { name: 'card', type: 'transform', fn: 'mult', params: { amt: 'inputs.amt', factor: 2 } }
+    ] },
+    { name: 'taxed', type: 'transform', fn: 'add', params: { a: 'subtotal', b: 'tax' } },
+    { name: 'totalCost', type: 'transform', fn: 'add', params: { a: 'taxed', b: 'fees.card' } }
+  ]
+  const dGraph = new DGraph(graphDef, 'bill')
+  return dGraph.run({ order: { subtotal: 120 }, member: false }, { explain: true }).then(({ provenance }) => {
+    expect(dGraph.explain('totalCost')).toBe([
+      'totalCost = add(a=129.6, b=10) = 139.6',
+      '  taxed = add(a=120, b=9.6) = 129.6',
+      '    subtotal = inputs.order.subtotal = 120',
+      '      inputs.order.subtotal = 120',
+      '    tax = mult(amt=120, factor=0.08) = 9.6',
+      '      subtotal (see above)',
+      '  fees.card = mult(amt=5, factor=2) = 10',
+      '    inputs.amt = 5'
+    ].join('\n'))
+    expect(dGraph.explain('fees', { format: 'markdown', depth: 1 })).toBe([
+      '- **fees** = `graph(amt=5)`',
+      '  - **shipping** = `flat` = `5` _(inputs.member is false, so case false)_',
+      '  - **fees.card** = `mult(amt=5, factor=2)` = `10`'
+    ].join('\n'))
+    // stored provenance can be explained later.
+    expect(DGraph.explainProvenance(JSON.parse(JSON.stringify(provenance)), 'tax', { depth: 0 })).toBe('tax = mult(amt=120, factor=0.08) = 9.6')
+    expect(() => dGraph.explain('nope')).toThrow(/no such node/)
+  })
+})
+
+test('graphs can be drawn as DOT and Mermaid', () => {
+  const graphDef = [
+    { name: 'subtotal', type: 'alias', mirror: 'inputs.order.subtotal' },
+    { name: 'tax', type: 'transform', fn: 'mult', params: { amt: 'subtotal', factor: 0.5 } },
+    { name: 'fees', type: 'graph', inputs: { amt: 'tax' }, graphDef: [
+      { name: 'card', type: 'transform', fn: 'mult', params: { amt: 'inputs.amt', factor: 2 } }
+    ] },
+    { name: 'total', type: 'transform', fn: 'add', params: { a: 'tax', b: 'fees.card' } }
+  ]
+  const dGraph = new DGraph(graphDef, 'bill')
+  return dGraph.run({ order: { subtotal: 120 } }).then(() => {
+    const dot = dGraph.toDot({ values: true }).split('\n')
+    expect(dot[0]).toBe('digraph "bill" {')
+    expect(dot).toEqual(expect.arrayContaining([
+      '\t"subtotal" [label="subtotal\\nalias\\n= 120", shape=cds];',
+      '\t"#literal#tax#factor" [label="#literal#tax#factor\\nstatic\\n= 0.5", shape=note];',
+      '\tsubgraph "cluster_fees" {',
+      '\t\t"fees" [label="fees\\ngraph", shape=box3d];',
+      '\t\t"fees/card" [label="card\\nmult\\n= 120", shape=box];',
+      '\t"inputs" -> "subtotal" [label="order.subtotal → mirror"];',
+      '\t"fees" -> "fees/card" [label="amt"];',
+      '\t"fees/card" -> "total" [label="card → b"];'
+    ]))
+
+    const mermaid = dGraph.toMermaid({ hideLiterals: true })
+    expect(mermaid).not.toMatch(/#literal#/)
+    expect(mermaid.split('\n')).toEqual(expect.arrayContaining([
+      'flowchart LR',
+      '\tn1["tax<br/>mult<br/>factor = 0.5"]',
+      '\tsubgraph c0 ["fees"]',
+      '\t\tn2[["fees<br/>graph"]]',
+      '\tend',
+      '\tn3 -->|"card → b"| n4'
+    ]))
+  })
+})
+
+test('Decimal arithmetic is exact', () => {
+  const d = DGraph.Decimal.from
+  expect(d(0.1).add(0.2).toString()).toBe('0.3')
+  expect(d('1.10').sub('2.2').toString()).toBe('-1.1')
+  expect(d('19.99').mul(3).toString()).toBe('59.97')
+  expect(d(1).div(3).toString()).toBe('0.33333333333333333333')
+  expect(d('1e3').div('0.08').toString()).toBe('12500')
+  expect(d('-0.5').cmp(0)).toBe(-1)
+  expect(d('1.005').round(2).toString()).toBe('1.01')
+  expect(d('2.345').round(2, 'half-even').toString()).toBe('2.34')
+  expect(d('2.355').round(2, 'half-even').toString()).toBe('2.36')
+  expect(d('-2.5').round(0, 'half-up').toString()).toBe('-3')
+  expect(d('-2.59').round(1, 'truncate').toString()).toBe('-2.5')
+  expect(d('3').round(2).toString()).toBe('3.00')
+  expect(() => d('abc')).toThrow(/Cannot convert/)
+  expect(() => d(1).round(2, 'sideways')).toThrow(/Unknown rounding mode/)
+})
+
+test('decimal graphs compute exactly and serialize as configured', () => {
+  const graphDef = [
+    { name: 'subtotal', type: 'transform', fn: 'addN', params: ['inputs.a', 'inputs.b'] },
+    { name: 'tax', type: 'transform', fn: 'mult', params: { amt: 'subtotal', factor: 0.0825 } },
+    { name: 'taxDue', type: 'transform', fn: 'roundCurrency', params: { amt: 'tax', mode: 'half-even' } },
+    { name: 'isTaxed', type: 'transform', fn: 'gt', params: { a: 'tax', b: 0 } },
+    { name: 'perItem', type: 'graph', collectionMode: 'map', inputs: { collection: 'inputs.items' }, graphDef: [
+      { name: 'total', type: 'transform', fn: 'mult', params: { amt: 'inputs.item.price', factor: 'inputs.item.qty' } }
+    ] }
+  ]
+  const inputs = { a: 0.1, b: '0.2', items: [{ price: '1.10', qty: 3 }] }
+  expect(DGraph.validate(graphDef)).toEqual([])
+  const asStrings = new DGraph(graphDef, { numeric: 'decimal' }).run(inputs).then((result) => {
+    expect(result).toEqual({
+      subtotal: '0.3',
+      tax: '0.02475',
+      taxDue: '0.02',
+      isTaxed: true,
+      perItem: [{ total: '3.3' }]
+    })
+  })
+  const asNumbers = new DGraph(graphDef, { numeric: 'decimal', decimalOutput: 'number' }).run(inputs).then((result) => {
+    expect(result.subtotal).toBe(0.3)
+    expect(result.perItem).toEqual([{ total: 3.3 }])
+  })
+  // floats are unchanged unless a rounding mode or places are passed.
+  const floats = new DGraph([
+    { name: 'legacy', type: 'transform', fn: 'roundCurrency', params: { amt: 1.005 } },
+    { name: 'exact', type: 'transform', fn: 'roundCurrency', params: { amt: 1.005, mode: 'half-up' } },
+    { name: 'truncated', type: 'transform', fn: 'round', params: { amt: 2.7, mode: 'truncate' } }
+  ]).run({}).then((result) => {
+    expect(result).toEqual({ legacy: 1, exact: 1.01, truncated: 2 })
+  })
+  // values that aren't numbers, like ISO dates and ids, compare as in float graphs.
+  const dates = new DGraph([
+    { name: 'isLater', type: 'transform', fn: 'gt', params: { a: 'inputs.end', b: 'inputs.start' } },
+    { name: 'latest', type: 'transform', fn: 'max', params: { a: 'inputs.end', b: 'inputs.start' } },
+    { name: 'firstId', type: 'transform', fn: 'min', params: { a: 'inputs.id', b: 'inputs.otherId' } },
+    { name: 'inRange', type: 'transform', fn: 'clamp', params: { amt: 'inputs.id', min: 'inputs.otherId', max: 'inputs.end' } },
+    { name: 'isSooner', type: 'transform', fn: 'lte', params: { a: 'inputs.start', b: 'inputs.end' } },
+    { name: 'isBigger', type: 'transform', fn: 'gte', params: { a: '10', b: 9.5 } }
+  ], { numeric: 'decimal' }).run({ start: '2024-01-01', end: '2024-01-02', id: 'v10', otherId: 'v2' }).then((result) => {
+    expect(result).toEqual({ isLater: true, latest: '2024-01-02', firstId: 'v10', inRange: 'v2', isSooner: true, isBigger: true })
+  })
+  expect(() => new DGraph(graphDef, { numeric: 'fixed' })).toThrow(/Unknown numeric mode/)
+  return Promise.all([asStrings, asNumbers, floats, dates])
+})
+
+test('money arithmetic is exact, rejects mixed currencies and allocates exactly', async () => {
+  const graph = new DGraph([
+    { name: 'subtotal', type: 'transform', fn: 'addN', params: ['inputs.price', 'inputs.shipping'] },
+    { name: 'tax', type: 'transform', fn: 'mult', params: { amt: 'subtotal', factor: 0.0825 } },
+    { name: 'roundedTax', type: 'transform', fn: 'roundCurrency', params: { amt: 'tax' } },
+    { name: 'shares', type: 'transform', fn: 'allocate', params: { amt: 'inputs.bill', ratios: [1, 1, 1] } },
+    { name: 'yenShares', type: 'transform', fn: 'allocate', params: { amt: 'inputs.yen', ratios: { a: 1, b: 2 } } },
+    { name: 'ratio', type: 'transform', fn: 'div', params: { num: 'inputs.price', dem: 'inputs.shipping' } }
+  ], 'money')
+  const inputs = {
+    price: { amount: '10.10', currency: 'usd' },
+    shipping: { amount: 5, currency: 'USD' },
+    bill: { amount: 100, currency: 'USD' },
+    yen: { amount: 1000, currency: 'JPY' }
+  }
+  // float graphs output amounts as numbers, computed exactly.
+  const result = await graph.run(inputs)
+  expect(result.subtotal).toEqual({ amount: 15.1, currency: 'USD' })
+  expect(result.tax).toEqual({ amount: 1.24575, currency: 'USD' })
+  expect(result.roundedTax).toEqual({ amount: 1.25, currency: 'USD' })
+  expect(result.shares.map(share => share.amount)).toEqual([33.34, 33.33, 33.33])
+  expect(result.yenShares).toEqual({ a: { amount: 333, currency: 'JPY' }, b: { amount: 667, currency: 'JPY' } })
+  expect(result.ratio).toBe(2.02)
+
+  // decimal graphs, or the `decimalOutput` option, give exact strings.
+  const decimalResult = await new DGraph(graph.graphDefinition, 'decimalMoney', { numeric: 'decimal' }).run(inputs)
+  expect(decimalResult.subtotal).toEqual({ amount: '15.1', currency: 'USD' })
+  expect(decimalResult.shares.map(share => share.amount)).toEqual(['33.34', '33.33', '33.33'])
+  const stringResult = await new DGraph(graph.graphDefinition, 'stringMoney', { decimalOutput: 'string' }).run(inputs)
+  expect(stringResult.tax).toEqual({ amount: '1.24575', currency: 'USD' })
+
+  const allocate = DGraph.transforms.get('allocate')
+  expect(allocate({ amt: -10, ratios: [1, 1, 1] })).toEqual([-3.34, -3.33, -3.33])
+
+  const mixed = new DGraph([
+    { name: 'total', type: 'transform', fn: 'add', params: { a: 'inputs.a', b: 'inputs.b' } }
+  ], 'mixed')
+  const error = await mixed.run({ a: { amount: 1, currency: 'USD' }, b: { amount: 1, currency: 'EUR' } }).catch(e => e)
+  expect(error.cause).toBeInstanceOf(DGraph.CurrencyMismatchError)
+  expect(error.cause.currencies).toEqual(['USD', 'EUR'])
+})
+
+test('graphs validate inputs and outputs against their declared schemas', async () => {
+  const schemaNode = {
+    name: 'schema',
+    type: 'schema',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        qty: { type: 'integer', minimum: 1 },
+        order: { type: 'object', properties: { price: { type: 'number' } }, required: ['price'] }
+      },
+      required: ['qty', 'order']
+    },
+    outputSchema: { type: 'object', properties: { total: { type: 'number' } }, required: ['total'] }
+  }
+  const graphDef = [
+    schemaNode,
+    { name: 'total', type: 'transform', fn: 'mult', params: { amt: 'inputs.order.price', factor: 'inputs.qty' } }
+  ]
+
+  expect(() => new DGraph(graphDef, 'badInputs').run({ qty: '4', order: { price: 'x' } })).toThrow(DGraph.SchemaValidationError)
+  let inputError
+  try {
+    new DGraph(graphDef, 'badInputs').run({ qty: '4', order: { price: 3 } })
+  }
+  catch (error) {
+    inputError = error
+  }
+  expect(inputError).toBeInstanceOf(DGraph.SchemaValidationError)
+  expect(inputError.issues).toEqual([{ path: 'inputs.qty', message: 'expected integer but got string "4"' }])
+
+  expect(await new DGraph(graphDef, 'goodInputs').run({ qty: 2, order: { price: 3 } })).toEqual({ total: 6 })
+
+  // promised inputs fail the run just as plain ones do, once they resolve.
+  const rejected = await new DGraph(graphDef, 'promisedInputs').run({ qty: Promise.resolve(0), order: { price: 3 } }).catch(e => e)
+  expect(rejected).toBeInstanceOf(DGraph.SchemaValidationError)
+  expect(rejected.issues).toEqual([{ path: 'inputs.qty', message: 'must be >= 1 but is 0' }])
+  expect(_keys(rejected.nodeErrors)).toEqual(['total'])
+
+  // decimal graphs take exact numeric strings as numbers.
+  const decimalPrice = new DGraph(graphDef, 'decimalPrice', { numeric: 'decimal' })
+  expect(await decimalPrice.run({ qty: 3, order: { price: '1.10' } })).toEqual({ total: '3.3' })
+  expect(() => decimalPrice.run({ qty: '1.5', order: { price: 'x' } })).toThrow('inputs.qty expected integer but got string "1.5"; inputs.order.price expected number but got string "x"')
+
+  const badOutputs = new DGraph([
+    schemaNode,
+    { name: 'total', type: 'transform', fn: 'concat', params: ['inputs.order.price', 'inputs.qty'] }
+  ], 'badOutputs')
+  const outputError = await badOutputs.run({ qty: 2, order: { price: 3 } }).catch(e => e)
+  expect(outputError).toBeInstanceOf(DGraph.SchemaValidationError)
+  expect(outputError.issues).toEqual([{ path: 'total', message: 'expected number but got string "32"' }])
+
+  // decimals count as numbers, although they're output as strings.
+  const decimalGraphDef = [
+    { name: 'schema', type: 'schema', outputSchema: { type: 'object', properties: { total: { type: 'number', minimum: 2 } } } },
+    { name: 'total', type: 'transform', fn: 'add', params: { a: 'inputs.a', b: 1 } }
+  ]
+  expect(await new DGraph(decimalGraphDef, { numeric: 'decimal' }).run({ a: 1 })).toEqual({ total: '2' })
+  const decimalError = await new DGraph(decimalGraphDef, { numeric: 'decimal' }).run({ a: 0.5 }).catch(e => e)
+  expect(decimalError.issues).toEqual([{ path: 'total', message: 'must be >= 2 but is 1.5' }])
+
+  expect(new DGraph(graphDef, 'declared').getInputSchema()).toEqual(schemaNode.inputSchema)
+  const inferred = new DGraph([
+    { name: 'total', type: 'transform', fn: 'addN', params: ['inputs.a.b', 'inputs.items.*.qty'] }
+  ], 'inferred')
+  expect(inferred.getInputSchema()).toEqual({
+    type: 'object',
+    properties: {
+      a: { type: 'object', properties: { b: {} }, required: ['b'] },
+      items: { type: 'array', items: { type: 'object', properties: { qty: {} }, required: ['qty'] } }
+    },
+    required: ['a', 'items']
+  })
+})
+
+test('checkTypes infers node types and reports mismatches before running', () => {
+  const { types, issues } = DGraph.checkTypes([
+    {
+      name: 'schema',
+      type: 'schema',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          items: { type: 'array', items: { type: 'object', properties: { price: { type: 'number' }, name: { type: 'string' } } } },
+          region: { type: 'string' }
+        }
+      }
+    },
+    { name: 'prices', type: 'alias', mirror: 'inputs.items.*.price' },
+    { name: 'subtotal', type: 'transform', fn: 'addN', params: ['prices'] },
+    { name: 'doubled', type: 'transform', fn: 'mult', params: { amt: 'prices', factor: 2 } },
+    { name: 'rates', type: 'static', value: { east: 0.1, west: 0.2 } },
+    { name: 'rate', type: 'dereference', objectPath: 'rates', propNamePath: 'inputs.region' },
+    { name: 'north', type: 'alias', mirror: 'rates.north' },
+    { name: 'label', type: 'transform', fn: 'concat', params: ['inputs.region', 'subtotal'] },
+    { name: 'either', type: 'branch', test: 'inputs.region', cases: ['east', '_default_'], nodeNames: ['subtotal', 'label'] },
+    { name: 'scaled', type: 'transform', fn: 'mult', params: { amt: 'either', factor: 'rate' } },
+    {
+      name: 'lines',
+      type: 'graph',
+      collectionMode: 'map',
+      inputs: { collection: 'inputs.items' },
+      graphDef: [
+        { name: 'taxed', type: 'transform', fn: 'addFactor', params: { amt: 'inputs.item.name', factor: 0.1 } }
+      ]
+    }
+  ])
+  expect(types).toMatchObject({
+    prices: 'number[]',
+    subtotal: 'number',
+    rate: 'number',
+    label: 'string',
+    either: 'number | string',
+    'lines.taxed': 'number',
+    lines: '{ taxed: number }[]'
+  })
+  expect(issues.map(({ level, nodeName, path }) => [level, nodeName, path])).toEqual([
+    ['error', 'doubled', 'params.amt'],
+    ['error', 'north', 'mirror'],
+    ['warning', 'scaled', 'params.amt'],
+    ['error', 'lines.taxed', 'params.amt']
+  ])
+  expect(issues[0].message).toBe("Param 'amt' of 'mult' expects number | money but is number[].")
+  expect(issues[1].message).toBe("'rates.north' can never resolve: { east: number, west: number } has no property 'north'.")
+})
+
+test('reduce subgraphs fold a collection through an accumulator', async () => {
+  const graphDef = [
+    {
+      name: 'cappedTotal',
+      type: 'graph',
+      collectionMode: 'reduce',
+      output: 'total',
+      inputs: { collection: 'inputs.lines', initial: 0, cap: 'inputs.cap' },
+      graphDef: [
+        { name: 'uncapped', type: 'transform', fn: 'add', params: { a: 'inputs.accumulator', b: 'inputs.item.amount' } },
+        { name: 'total', type: 'transform', fn: 'min', params: { a: 'uncapped', b: 'inputs.cap' } }
+      ]
+    },
+    {
+      name: 'indexes',
+      type: 'graph',
+      collectionMode: 'reduce',
+      output: 'seen',
+      inputs: { collection: 'inputs.lines', initial: [] },
+      graphDef: [
+        { name: 'seen', type: 'transform', fn: 'concatArrays', params: ['inputs.accumulator', 'inputs.index'] }
+      ]
+    }
+  ]
+  const graph = new DGraph(graphDef, 'reducing')
+  expect(await graph.run({ lines: [{ amount: 10 }, { amount: 20 }, { amount: 30 }], cap: 45 })).toEqual({
+    cappedTotal: 45,
+    indexes: [0, 1, 2]
+  })
+  // the items' subgraphs are let go after a run, but their provenance is kept.
+  expect(graph.getProvenance().cappedTotal.subgraphs.map(provenance => provenance.uncapped.args.a)).toEqual([0, 10, 30])
+
+  expect(await new DGraph(graphDef, 'emptyReduce').run({ lines: [], cap: 45 })).toEqual({ cappedTotal: 0, indexes: [] })
+
+  const issues = DGraph.validate([
+    { name: 'bad', type: 'graph', collectionMode: 'reduce', output: 'nope', inputs: { collection: 'inputs.a' }, graphDef: [{ name: 'x', type: 'static', value: 1 }] }
+  ])
+  expect(issues.map(issue => issue.code)).toEqual(['unknown-output', 'missing-input'])
+})
+
+test('filter and groupBy subgraphs select and bucket collection items', async () => {
+  const lineDef = [{ name: 'region', type: 'alias', mirror: 'inputs.item.region' }]
+  const graphDef = [
+    {
+      name: 'regionTotal',
+      type: 'graph',
+      isTemplate: true,
+      graphDef: [{ name: 'total', type: 'transform', fn: 'addN', params: ['inputs.items.*.amount'] }]
+    },
+    {
+      name: 'bigLines',
+      type: 'graph',
+      collectionMode: 'filter',
+      output: 'isBig',
+      inputs: { collection: 'inputs.lines', min: 'inputs.min' },
+      graphDef: [{ name: 'isBig', type: 'transform', fn: 'gte', params: { a: 'inputs.item.amount', b: 'inputs.min' } }]
+    },
+    { name: 'byRegion', type: 'graph', collectionMode: 'groupBy', output: 'region', inputs: { collection: 'inputs.lines' }, graphDef: lineDef },
+    {
+      name: 'regionTotals',
+      type: 'graph',
+      collectionMode: 'groupBy',
+      output: 'region',
+      groupGraphDef: 'regionTotal',
+      inputs: { collection: 'inputs.lines' },
+      graphDef: lineDef
+    }
+  ]
+  const lines = [{ amount: 10, region: 'north' }, { amount: 20, region: 'south' }, { amount: 30, region: 'north' }]
+  expect(await new DGraph(graphDef, 'grouping').run({ lines, min: 15 })).toEqual({
+    bigLines: [lines[1], lines[2]],
+    byRegion: { north: [lines[0], lines[2]], south: [lines[1]] },
+    regionTotals: { north: { total: 40 }, south: { total: 20 } }
+  })
+
+  const issues = DGraph.validate([
+    { name: 'bad', type: 'graph', collectionMode: 'filter', inputs: { collection: 'inputs.a' }, groupGraphDef: [], graphDef: [{ name: 'x', type: 'static', value: 1 }] }
+  ])
+  expect(issues.map(issue => issue.code)).toEqual(['missing-property', 'unused-property'])
+})
+
+test('map subgraphs share one preprocessed graphDef and run `concurrency` at a time', async () => {
+  const itemGraphDef = [
+    { name: 'gross', type: 'transform', fn: 'mult', params: { amt: 'inputs.item.amount', factor: 'inputs.item.qty' } },
+    { name: 'tax', type: 'transform', fn: 'mult', params: { amt: 'gross', factor: 'inputs.rate' } },
+    { name: 'net', type: 'transform', fn: 'add', params: { a: 'gross', b: 'tax' } }
+  ]
+  const graphDef = [{
+    name: 'priced',
+    type: 'graph',
+    collectionMode: 'map',
+    concurrency: 25,
+    inputs: { collection: 'inputs.lines', rate: 'inputs.rate' },
+    graphDef: itemGraphDef
+  }]
+  const lines = Array.from({ length: 100 }, (item, i) => ({ amount: i % 50, qty: 1 + (i % 3) }))
+
+  // count preprocessing and the subgraph runs pending at once.
+  const originalRun = DGraph.prototype.run
+  let pending = 0
+  let maxPending = 0
+  const preprocess = jest.spyOn(DGraph.prototype, '_preprocessGraphDef')
+  const run = jest.spyOn(DGraph.prototype, 'run').mockImplementation(function countPending(...args) {
+    if (!this.supergraph) {
+      return originalRun.apply(this, args)
+    }
+    maxPending = Math.max(maxPending, ++pending)
+    return originalRun.apply(this, args).then((state) => {
+      pending--
+      return state
+    })
+  })
+  const graph = new DGraph(graphDef, 'pricing')
+  const result = await graph.run({ lines, rate: 0.1 })
+  expect(result.priced).toHaveLength(100)
+  expect(result.priced[99]).toEqual({ gross: 49, tax: 4.9, net: 53.9 })
+  // once for the root graph and once for all the items, rather than once per item.
+  expect(preprocess).toHaveBeenCalledTimes(2)
+  expect(maxPending).toBe(25)
+  run.mockRestore()
+
+  // further item subgraphs reuse the preprocessed graphDef too.
+  graph.getDNode('priced')._createSubgraph('another')
+  expect(preprocess).toHaveBeenCalledTimes(2)
+  preprocess.mockRestore()
+
+  // a run lets each item's subgraph go once it has run, keeping the first for
+  // drawing and every item's provenance, where a watched graph keeps them all.
+  const { subgraphs } = graph.getDNode('priced')
+  expect(subgraphs).toHaveLength(100)
+  expect(subgraphs.filter(Boolean)).toHaveLength(1)
+  expect(graph.getProvenance().priced.subgraphs[99].net.value).toBe(53.9)
+  expect(graph.diagnose()).toBeDefined()
+  const watched = new DGraph(graphDef, 'pricing')
+  await watched.watch({ lines, rate: 0.1 })
+  expect(watched.getDNode('priced').subgraphs.filter(Boolean)).toHaveLength(100)
+  watched.unwatch()
+
+  expect(DGraph.validate([{ ...graphDef[0], concurrency: 0 }]).map(issue => issue.code)).toEqual(['invalid-concurrency'])
+})
+
+test('expression nodes compute formulas with the transforms', async () => {
+  const graphDef = [
+    { name: 'subtotal', type: 'transform', fn: 'addN', params: ['inputs.lines.*.amount'] },
+    { name: 'total', type: 'expression', expr: 'round(subtotal * (1 + inputs.taxRate), 2)' },
+    { name: 'size', type: 'expression', expr: "total > 100 && !inputs.isExempt ? 'large' : 'small'" },
+    { name: 'change', type: 'expression', expr: '-subtotal + 2 * 3 - (1 - 2)' }
+  ]
+  const inputs = { lines: [{ amount: 50 }, { amount: 70.5 }], taxRate: 0.08, isExempt: false }
+  const graph = new DGraph(graphDef, 'formulas')
+  expect(await graph.run(inputs)).toEqual({ subtotal: 120.5, total: 130.14, size: 'large', change: -113.5 })
+  expect(graph.getProvenance().total.sources).toEqual({ subtotal: 'subtotal', 'inputs.taxRate': 'inputs.taxRate' })
+  expect(graph.explain('total', { depth: 0 })).toBe('total = round(subtotal * (1 + inputs.taxRate), 2) = 130.14 (subtotal=120.5, inputs.taxRate=0.08)')
+  expect(DGraph.collectExpectedInputNames(graphDef)).toEqual(['lines', 'taxRate', 'isExempt'])
+
+  const decimalGraph = new DGraph(graphDef, 'decimalFormulas', { numeric: 'decimal' })
+  expect((await decimalGraph.run({ ...inputs, lines: [{ amount: 0.1 }, { amount: 0.2 }], taxRate: 0.1 })).total).toBe('0.33')
+
+  const issues = DGraph.validate([
+    { name: 'a', type: 'expression', expr: 'b + 1' },
+    { name: 'c', type: 'expression', expr: 'round(1, 2, "half-up", 4)' },
+    { name: 'd', type: 'expression', expr: '(1 + 2' }
+  ])
+  expect(issues.map(issue => issue.code)).toEqual(['unknown-path', 'invalid-expression', 'invalid-expression'])
+  expect(() => new DGraph([{ name: 'd', type: 'expression', expr: '(1 + 2' }])).toThrow(DGraph.ExpressionSyntaxError)
+})
+
+test('transform chains collapse to expressions and expand back', async () => {
+  const graphDef = [
+    { name: 'subtotal', type: 'transform', fn: 'addN', params: ['inputs.lines.*.amount'] },
+    { name: 'rate', type: 'transform', fn: 'add', params: { a: 1, b: 'inputs.taxRate' } },
+    { name: 'taxed', type: 'transform', fn: 'mult', params: { amt: 'subtotal', factor: 'rate' } },
+    { name: 'total', type: 'transform', fn: 'round', params: { amt: 'taxed', places: 2 } },
+    { name: 'isLarge', type: 'transform', fn: 'gt', params: { a: 'total', b: 100 } },
+    { name: 'size', type: 'transform', fn: 'ternary', params: { test: 'isLarge', pass: 'large', fail: 'small' } },
+    {
+      name: 'lineTotals',
+      type: 'graph',
+      collectionMode: 'map',
+      inputs: { collection: 'inputs.lines' },
+      graphDef: [
+        { name: 'gross', type: 'transform', fn: 'mult', params: { amt: 'inputs.item.amount', factor: 2 } },
+        { name: 'net', type: 'transform', fn: 'sub', params: { a: 'gross', b: 1 } }
+      ]
+    }
+  ]
+  const collapsed = DGraph.collapseExpressions(graphDef, { keep: ['total'] })
+  expect(collapsed.slice(0, 2)).toEqual([
+    { name: 'total', type: 'expression', expr: 'round(addN(inputs.lines.*.amount) * (1 + inputs.taxRate), 2)' },
+    { name: 'size', type: 'expression', expr: "total > 100 ? 'large' : 'small'" }
+  ])
+  expect(collapsed[2].graphDef).toEqual([{ name: 'net', type: 'expression', expr: 'inputs.item.amount * 2 - 1' }])
+
+  const inputs = { lines: [{ amount: 50 }, { amount: 70.5 }], taxRate: 0.08 }
+  const expected = { total: 130.14, size: 'large', lineTotals: [{ net: 99 }, { net: 140 }] }
+  expect(await new DGraph(collapsed, 'collapsed').run(inputs)).toEqual(expected)
+
+  // preprocessed definitions collapse the same way, literals included.
+  expect(DGraph.collapseExpressions(new DGraph(graphDef, 'preprocessed').preprocessedGraphDef, { keep: ['total'] })).toEqual(collapsed)
+
+  const expanded = DGraph.expandExpressions(collapsed)
+  expect(expanded.filter(nodeDef => !nodeDef.name.startsWith('#')).map(nodeDef => nodeDef.type)).toEqual(['transform', 'transform', 'graph'])
+  expect(await new DGraph(expanded, 'expanded').run(inputs)).toEqual(expected)
+  expect(DGraph.collapseExpressions(expanded, { keep: ['total'] })).toEqual(collapsed)
+})
+
+test('cond nodes take the first case that holds', async () => {
+  const graphDef = [
+    { name: 'baseRate', type: 'static', value: 10 },
+    {
+      name: 'rate',
+      type: 'cond',
+      cases: [
+        { when: 'inputs.mileage > 500', then: 'baseRate * 0.8' },
+        { when: 'inputs.mileage > 100', then: 'baseRate * 0.9' },
+        { when: 'inputs.isHoliday', then: 'inputs.holidayRate' }
+      ],
+      default: 'baseRate'
+    },
+    { name: 'tier', type: 'cond', cases: [{ when: 'rate < 10', then: "'discounted'" }, { when: true, then: "'standard'" }] }
+  ]
+  const graph = new DGraph(graphDef, 'cond')
+  expect(await graph.run({ mileage: 800, isHoliday: false, holidayRate: 12 })).toEqual({ baseRate: 10, rate: 8, tier: 'discounted' })
+  expect(graph.explain('rate', { depth: 0 })).toBe('rate = baseRate * 0.8 = 8 (case 0: inputs.mileage > 500 holds)')
+  expect(await graph.run({ mileage: 50, isHoliday: false, holidayRate: 12 })).toEqual({ baseRate: 10, rate: 10, tier: 'standard' })
+  expect(graph.getProvenance().rate).toMatchObject({ case: 'default', sources: { 'inputs.mileage': 'inputs.mileage', 'inputs.isHoliday': 'inputs.isHoliday', baseRate: 'baseRate' } })
+  expect(DGraph.checkTypes(graphDef).types).toMatchObject({ rate: 'any', tier: 'string' })
+
+  // untaken cases' values needn't resolve.
+  const lazy = new DGraph([
+    { name: 'pending', type: 'async', promise: new Promise(() => {}) },
+    { name: 'picked', type: 'cond', cases: [{ when: 'pending', then: 1 }], default: 2 },
+    { name: 'early', type: 'cond', cases: [{ when: true, then: 1 }], default: 'pending' }
+  ], 'lazy')
+  expect(lazy.getDNode('picked').value).toBeUndefined()
+  expect(lazy.getDNode('picked').undefinedDependencies).toEqual(['pending'])
+  expect(lazy.getDNode('early').value).toBe(1)
+
+  // nor need the inputs they read be passed, but they fail if the case is taken.
+  const trip = new DGraph([
+    { name: 'fare', type: 'cond', cases: [{ when: 'inputs.miles > 500', then: 'inputs.long' }, { when: true, then: 'inputs.short' }] }
+  ], 'trip')
+  expect(await trip.run({ miles: 10, short: 1 })).toEqual({ fare: 1 })
+  await expect(trip.run({ miles: 600, short: 1 })).rejects.toThrow("Cond node fare reads input 'long', which was not passed to graph trip.")
+  expect(() => trip.run({ short: 1 })).toThrow('was not passed the following expected inputs: miles')
+
+  const issues = DGraph.validate([
+    { name: 'a', type: 'cond', cases: [{ when: 'missing > 1', then: 1 }, { then: 2 }] },
+    { name: 'b', type: 'cond', cases: [{ when: '(true', then: 1 }] }
+  ])
+  expect(issues.map(({ code, path }) => [code, path])).toEqual([['unknown-path', 'cases.0.when'], ['missing-property', 'cases.1.when'], ['invalid-expression', 'cases.0.when']])
+  await expect(new DGraph([{ name: 'a', type: 'cond', cases: [{ when: false, then: 1 }] }], 'noCase').run()).rejects.toThrow('No case of cond node a holds')
+
+  // a match isn't overwritten by the `_default_` of a later case.
+  const branch = new DGraph([
+    { name: 'a', type: 'static', value: 'A' },
+    { name: 'b', type: 'static', value: 'B' },
+    { name: 'picked', type: 'branch', test: 'inputs.key', cases: ['a', '_default_', 'c'], nodeNames: ['a', 'b', 'b'] }
+  ], 'branchDefault')
+  expect((await branch.run({ key: 'a' })).picked).toBe('A')
+  expect((await branch.run({ key: 'z' })).picked).toBe('B')
+})
+
+test('table nodes look up rows by key, range and bracket', async () => {
+  const rateCard = [
+    { state: 'CA', service: 'ground', minMiles: 0, maxMiles: 500, rate: 1.2 },
+    { state: 'CA', service: 'ground', minMiles: 500, maxMiles: null, rate: 0.9 },
+    { state: 'CA', service: 'air', minMiles: 0, maxMiles: null, rate: 3 },
+    { state: 'NY', service: 'ground', minMiles: 0, maxMiles: null, rate: 1.5 }
+  ]
+  const graphDef = [
+    {
+      name: 'rate',
+      type: 'table',
+      rows: 'inputs.rateCard',
+      keys: { state: 'inputs.state', service: 'inputs.service' },
+      range: { key: 'inputs.miles', min: 'minMiles', max: 'maxMiles' },
+      column: 'rate'
+    },
+    {
+      name: 'bracket',
+      type: 'table',
+      rows: [{ over: 0, rate: 0.1 }, { over: 10000, rate: 0.2 }, { over: 40000, rate: 0.3 }],
+      range: { key: 'inputs.income', min: 'over' }
+    },
+    {
+      name: 'discount',
+      type: 'table',
+      rows: [{ qty: 0, pct: 0 }, { qty: 100, pct: 10 }, { qty: 200, pct: 15 }],
+      range: { key: 'inputs.qty', min: 'qty' },
+      column: 'pct',
+      interpolate: 'linear'
+    }
+  ]
+  const graph = new DGraph(graphDef, 'tables')
+  const inputs = { rateCard, state: 'CA', service: 'ground', miles: 600, income: 25000, qty: 150 }
+  expect(await graph.run(inputs)).toEqual({ rate: 0.9, bracket: { over: 10000, rate: 0.2 }, discount: 12.5 })
+  expect((await graph.run({ ...inputs, miles: 499, qty: 500 })).rate).toBe(1.2)
+  expect(graph.getDNode('discount').value).toBe(15)
+  expect(graph.explain('rate', { depth: 0 })).toBe('rate = inputs.rateCard(state="CA", service="ground", rangeKey=499) = 1.2 (row 0)')
+  expect(DGraph.checkTypes(graphDef.slice(1)).types).toEqual({ bracket: '{ over: number, rate: number }', discount: 'number' })
+
+  const run = graph.run({ ...inputs, state: 'TX' })
+  await expect(run).rejects.toThrow('No row of table node \'rate\' in graph \'tables\' matches state = "TX" and service = "ground" and minMiles <= 600 < maxMiles.')
+  await expect(run).rejects.toMatchObject({ cause: { name: 'NoRowMatchedError' } })
+
+  const issues = DGraph.validate([
+    { name: 'a', type: 'table', rows: [{ minMiles: 0, rate: 1 }], range: { key: 1, min: 'minMiles' }, column: 'rte' },
+    { name: 'b', type: 'table', rows: [{ x: 1 }], range: { key: 1, min: 'x', max: 'x' }, column: 'x', interpolate: 'linear' },
+    { name: 'c', type: 'table', keys: { x: 1 } }
+  ])
+  expect(issues.map(({ code, path }) => [code, path])).toEqual([['unknown-column', 'column'], ['invalid-interpolate', 'interpolate'], ['missing-property', 'rows']])
+})
+
+test('bracketed tax transforms return totals with a per-bracket breakdown', async () => {
+  const brackets = [{ over: 10000, rate: 0.2 }, { over: 0, rate: 0.1 }, { over: 40000, rate: 0.3, cap: 1000 }]
+  const params = { amt: 'inputs.income', brackets: 'inputs.brackets' }
+  const graphDef = [
+    { name: 'marginal', type: 'transform', fn: 'marginalTax', params },
+    { name: 'flat', type: 'transform', fn: 'flatOverThresholdTax', params },
+    { name: 'capped', type: 'transform', fn: 'cappedPercentTax', params: { ...params, cap: 7000 } },
+    { name: 'minimum', type: 'transform', fn: 'minimumChargeTax', params: { ...params, minimum: 500 } }
+  ]
+  const results = await new DGraph(graphDef, 'taxes').run({ income: 55000, brackets })
+  expect(results.marginal).toEqual({
+    total: 11500,
+    breakdown: [
+      { over: 0, upTo: 10000, rate: 0.1, taxable: 10000, tax: 1000 },
+      { over: 10000, upTo: 40000, rate: 0.2, taxable: 30000, tax: 6000 },
+      { over: 40000, upTo: null, rate: 0.3, taxable: 15000, tax: 4500 }
+    ]
+  })
+  expect(results.flat.total).toBe(16500)
+  expect(results.flat.breakdown.map(({ tax }) => tax)).toEqual([0, 0, 16500])
+  expect(results.capped).toMatchObject({ total: 7000, adjustment: -1000 })
+  expect(results.capped.breakdown[2].tax).toBe(1000)
+  expect(results.minimum).toMatchObject({ total: 11500, adjustment: 0 })
+
+  const decimalResults = await new DGraph(graphDef, 'decimalTaxes', { numeric: 'decimal' }).run({ income: 2000.1, brackets })
+  expect(decimalResults.marginal.total).toBe('200.01')
+  expect(decimalResults.minimum).toMatchObject({ total: '500', adjustment: '299.99' })
+
+  const usd = amount => ({ amount, currency: 'USD' })
+  const moneyBrackets = [{ over: usd('0'), rate: 0.1 }, { over: usd('100'), rate: 0.5 }]
+  const moneyTax = DGraph.transforms.get('marginalTax')({ amt: usd('150'), brackets: moneyBrackets }, DGraph.transforms)
+  expect(moneyTax.total).toEqual({ amount: DGraph.Decimal.from('35'), currency: 'USD' })
+  expect(DGraph.checkTypes(graphDef.slice(0, 1)).types.marginal).toBe('{ total: number, breakdown: { rate: number, taxable: number, tax: number, ... }[] }')
+})
+
+test('date transforms count days, add durations and prorate in a time zone', async () => {
+  const timeZone = 'America/New_York'
+  const graphDef = [
+    { name: 'days', type: 'transform', fn: 'dateDiff', params: { start: 'inputs.pickUp', end: 'inputs.dropOff', timeZone } },
+    { name: 'elapsedHours', type: 'transform', fn: 'dateDiff', params: { start: 'inputs.pickUp', end: 'inputs.dropOff', unit: 'hours', timeZone } },
+    { name: 'due', type: 'transform', fn: 'addDuration', params: { date: 'inputs.pickUp', days: 'days', timeZone } },
+    { name: 'startsOnWeekend', type: 'transform', fn: 'isWeekend', params: { date: 'inputs.pickUp', timeZone } },
+    { name: 'workDays', type: 'transform', fn: 'businessDays', params: { start: 'inputs.pickUp', end: 'inputs.dropOff', holidays: 'inputs.holidays', timeZone } },
+    { name: 'charge', type: 'transform', fn: 'prorate', params: { amt: 'inputs.monthlyRate', start: 'inputs.pickUp', end: 'inputs.dropOff', periodStart: '2024-03-01', periodEnd: '2024-04-01', timeZone } },
+    { name: 'driverAge', type: 'transform', fn: 'age', params: { birthDate: 'inputs.birthDate', date: 'inputs.pickUp', timeZone } }
+  ]
+  // the rental spans the switch to daylight saving time on March 10th.
+  const inputs = { pickUp: '2024-03-08T10:00', dropOff: '2024-03-12T10:00', holidays: ['2024-03-11'], monthlyRate: 310, birthDate: '2000-03-09' }
+  expect(await new DGraph(graphDef, 'rental').run(inputs)).toEqual({
+    days: 4, elapsedHours: 95, due: '2024-03-12T14:00:00.000Z', startsOnWeekend: false, workDays: 1, charge: 40, driverAge: 23
+  })
+
+  const transforms = DGraph.transforms
+  expect(transforms.get('parseDate')({ date: '2024-03-10T12:30:00+05:30' })).toBe('2024-03-10T07:00:00.000Z')
+  expect(transforms.get('addDuration')({ date: '2024-01-31', months: 1 })).toBe('2024-02-29')
+  expect(transforms.get('dayOfWeek')({ date: '2024-06-01T02:00:00Z', timeZone })).toBe(5)
+  expect(() => transforms.get('dateDiff')({ start: '03/08/2024', end: '2024-03-12' })).toThrow('Expected an ISO 8601 date')
+  expect(() => transforms.get('parseDate')({ date: '2024-02-31' })).toThrow('Expected an ISO 8601 date, got "2024-02-31".')
+  expect(() => transforms.get('parseDate')({ date: '2024-13-45T25:61' })).toThrow('Expected an ISO 8601 date')
+  expect(() => transforms.get('parseDate')({ date: '2024-03-10T24:00' })).toThrow('Expected an ISO 8601 date')
+  expect(transforms.get('parseDate')({ date: '2024-02-29T23:59:59Z' })).toBe('2024-02-29T23:59:59.000Z')
+  expect(DGraph.validate([
+    { name: 'driverAge', type: 'transform', fn: 'age', params: { birthDate: 'inputs.birthDate' } }
+  ]).map(({ code, path }) => `${code} ${path}`)).toEqual(['missing-param params.date'])
+
+  const decimalCharge = await new DGraph(graphDef.slice(5), 'decimalRental', { numeric: 'decimal' }).run({ ...inputs, monthlyRate: 100 })
+  expect(decimalCharge.charge).toBe('12.90322580645161290323')
+})
+
+test('string transforms format receipt lines and labels', async () => {
+  const graphDef = [
+    {
+      name: 'receiptLines',
+      type: 'graph',
+      collectionMode: 'map',
+      inputs: { collection: 'inputs.lines' },
+      graphDef: [
+        { name: 'price', type: 'transform', fn: 'formatCurrency', params: { amt: 'inputs.item.price' } },
+        { name: 'label', type: 'transform', fn: 'changeCase', params: { str: 'inputs.item.name', to: 'title' } },
+        { name: 'line', type: 'transform', fn: 'format', params: { template: '{qty} x {label} @ {price} {{each}}', qty: 'inputs.item.qty', label: 'label', price: 'price' } }
+      ]
+    },
+    { name: 'sku', type: 'transform', fn: 'pad', params: { str: 'inputs.skuNumber', length: 6, char: '0' } },
+    { name: 'skuParts', type: 'transform', fn: 'match', params: { str: 'inputs.code', pattern: '^([A-Z]+)-(\\d+)$' } },
+    { name: 'slug', type: 'transform', fn: 'replace', params: { str: 'inputs.code', pattern: '[^A-Za-z0-9]+', replacement: '_' } },
+    { name: 'tags', type: 'transform', fn: 'split', params: { str: 'inputs.tagList', separator: ',' } },
+    { name: 'tagLabel', type: 'transform', fn: 'join', params: { collection: 'tags', separator: ' / ' } },
+    { name: 'rate', type: 'transform', fn: 'formatPercent', params: { amt: 'inputs.taxRate', places: 1, locale: 'de-DE' } },
+    { name: 'totalLabel', type: 'transform', fn: 'formatNumber', params: { amt: 'inputs.total', places: 2, locale: 'de-DE' } }
+  ]
+  const inputs = {
+    lines: [{ qty: 2, name: 'wiper blades', price: { amount: '12.5', currency: 'USD' } }, { qty: 1, name: 'SNOW CHAINS', price: { amount: '4500', currency: 'JPY' } }],
+    skuNumber: 42,
+    code: 'AB-123',
+    tagList: 'winter,auto',
+    taxRate: 0.075,
+    total: 1234.5
+  }
+  expect(await new DGraph(graphDef, 'receipt').run(inputs)).toEqual({
+    receiptLines: [{ price: '$12.50', label: 'Wiper Blades', line: '2 x Wiper Blades @ $12.50 {each}' }, { price: '¥4,500', label: 'Snow Chains', line: '1 x Snow Chains @ ¥4,500 {each}' }],
+    sku: '000042',
+    skuParts: ['AB-123', 'AB', '123'],
+    slug: 'AB_123',
+    tags: ['winter', 'auto'],
+    tagLabel: 'winter / auto',
+    rate: '7,5\u00a0%',
+    totalLabel: '1.234,50'
+  })
+
+  const transforms = DGraph.transforms
+  expect(transforms.get('format')({ template: '{order.id}: {n}', values: { order: { id: 7 } }, n: 3 })).toBe('7: 3')
+  expect(transforms.get('changeCase')({ str: 'WIPER BLADES, front', to: 'sentence' })).toBe('Wiper blades, front')
+  expect(() => transforms.get('format')({ template: '{missing}' })).toThrow("no value for '{missing}'")
+  expect(transforms.get('formatCurrency')({ amt: DGraph.Decimal.from('0.1').add('0.2'), currency: 'EUR', locale: 'fr-FR' })).toBe('0,30\u00a0€')
+  expect(DGraph.validate(graphDef).filter(issue => issue.code === 'unknown-param')).toEqual([])
+})
+
+test('collection transforms sort, group, aggregate and match items by path', async () => {
+  const vehicles = [
+    { id: 'v1', class: 'suv', rate: { daily: 80 }, miles: 12000 },
+    { id: 'v2', class: 'compact', rate: { daily: 45 }, miles: 30000 },
+    { id: 'v3', class: 'suv', rate: { daily: 95 }, miles: 5000 },
+    { id: 'v4', class: 'compact', rate: { daily: 45 }, miles: 8000 }
+  ]
+  const collection = 'inputs.vehicles'
+  const graphDef = [
+    { name: 'sorted', type: 'transform', fn: 'sortBy', params: { collection, paths: ['rate.daily', 'miles'], orders: ['desc', 'asc'] } },
+    { name: 'ids', type: 'transform', fn: 'map', params: { collection: 'sorted', fn: 'concat', params: { id: 'id' } } },
+    { name: 'byClass', type: 'transform', fn: 'groupBy', params: { collection, path: 'class' } },
+    { name: 'classCounts', type: 'transform', fn: 'countBy', params: { collection, path: 'class' } },
+    { name: 'totalDaily', type: 'transform', fn: 'sumBy', params: { collection, path: 'rate.daily' } },
+    { name: 'avgMiles', type: 'transform', fn: 'avgBy', params: { collection, path: 'miles' } },
+    { name: 'cheapest', type: 'transform', fn: 'minBy', params: { collection, path: 'rate.daily' } },
+    { name: 'newest', type: 'transform', fn: 'minBy', params: { collection, path: 'miles' } },
+    { name: 'priciest', type: 'transform', fn: 'maxBy', params: { collection, path: 'rate.daily' } },
+    { name: 'rateTiers', type: 'transform', fn: 'uniqBy', params: { collection, path: 'rate.daily' } },
+    { name: 'firstTwo', type: 'transform', fn: 'take', params: { collection: 'ids', count: 2 } },
+    { name: 'lastTwo', type: 'transform', fn: 'slice', params: { collection: 'ids', start: -2 } },
+    { name: 'pairs', type: 'transform', fn: 'zip', params: { id: 'firstTwo', other: 'lastTwo' } },
+    { name: 'flat', type: 'transform', fn: 'flatten', params: { collection: [[1, [2]], [3]] } },
+    { name: 'split', type: 'transform', fn: 'partition', params: { collection, where: { class: 'suv', miles: { lt: 10000 } } } },
+    { name: 'match', type: 'transform', fn: 'find', params: { collection, where: { rate: { daily: { gte: 50, lt: 90 } }, class: { in: ['suv', 'van'] } } } }
+  ]
+  const results = await new DGraph(graphDef, 'fleet').run({ vehicles })
+  expect(results.ids).toEqual(['v3', 'v1', 'v4', 'v2'])
+  expect(_values(results.byClass).map(items => items.map(item => item.id))).toEqual([['v1', 'v3'], ['v2', 'v4']])
+  expect(results).toMatchObject({ classCounts: { suv: 2, compact: 2 }, totalDaily: 265, avgMiles: 13750 })
+  expect([results.cheapest.id, results.newest.id, results.priciest.id, results.match.id]).toEqual(['v2', 'v3', 'v3', 'v1'])
+  expect(results.rateTiers.map(item => item.id)).toEqual(['v1', 'v2', 'v3'])
+  expect(results.pairs).toEqual([{ id: 'v3', other: 'v4' }, { id: 'v1', other: 'v2' }])
+  expect(results.flat).toEqual([1, [2], 3])
+  expect(results.split.map(items => items.map(item => item.id))).toEqual([['v3'], ['v1', 'v2', 'v4']])
+
+  const decimalResults = await new DGraph(graphDef.slice(4, 6), 'decimalFleet', { numeric: 'decimal' }).run({
+    vehicles: [{ rate: { daily: 0.1 } }, { rate: { daily: 0.2 } }, { rate: {} }]
+  })
+  expect(decimalResults).toEqual({ totalDaily: '0.3', avgMiles: null })
+  const emptyResults = await new DGraph(graphDef.slice(4, 5), 'emptyFleet', { numeric: 'decimal', decimalOutput: 'decimal' }).run({ vehicles: [] })
+  expect(DGraph.Decimal.isDecimal(emptyResults.totalDaily)).toBe(true)
+  expect(emptyResults.totalDaily.toString()).toBe('0')
+  expect(() => DGraph.transforms.get('zip')({ a: [1], b: [1, 2] })).toThrow('zip error: collections must be equal in length. Got a: 1, b: 2.')
+  expect(DGraph.transforms.get('find')({ collection: vehicles, propName: 'id', propValue: 'v4' })).toBe(vehicles[3])
+  expect(DGraph.transforms.get('find')({ collection: vehicles, where: { 'rate.daily': 95 } })).toBe(vehicles[2])
+  expect(DGraph.transforms.get('find')({ collection: vehicles, where: { id: { gt: 'v3' } } })).toBe(vehicles[3])
+
+  // strings and dates compare in decimal graphs too.
+  const drivers = [
+    { name: 'cy', email: 'cy@example.com', licensed: '2019-05-01' },
+    { name: 'al', email: 'john.doe@example.com', licensed: '2021-11-30' }
+  ]
+  const driverResults = await new DGraph([
+    { name: 'byName', type: 'transform', fn: 'sortBy', params: { collection: 'inputs.drivers', paths: 'name' } },
+    { name: 'newestLicense', type: 'transform', fn: 'maxBy', params: { collection: 'inputs.drivers', path: 'licensed' } },
+    { name: 'laterEmail', type: 'transform', fn: 'find', params: { collection: 'inputs.drivers', where: { email: { gt: 'john.doe' } } } }
+  ], 'drivers', { numeric: 'decimal' }).run({ drivers })
+  expect(driverResults.byName.map(driver => driver.name)).toEqual(['al', 'cy'])
+  expect(driverResults.newestLicense.name).toBe('al')
+  expect(driverResults.laterEmail.name).toBe('al')
+
+  // `where` is a literal, so operands naming nodes or inputs are probably mistakes.
+  expect(DGraph.validate([
+    { name: 'match', type: 'transform', fn: 'find', params: { collection, where: { rate: { daily: { gte: 'inputs.min' } }, email: { gt: 'john.doe' } } } }
+  ]).map(({ code, path }) => `${code} ${path}`)).toEqual(['literal-where-operand params.where.rate.daily.gte'])
+})
+
 /*
 import { expect } from 'chai'
 import basic from './cases/basic'